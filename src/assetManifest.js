@@ -0,0 +1,290 @@
+// Loading and validation of the asset manifest (public/assets.json by default)
+
+export const DEFAULT_MANIFEST_URL = '/assets.json';
+
+// Texture slots a LOD may override with an external file, or with a fallback list of files in order of preference
+export const TEXTURE_SLOTS = ['baseColor', 'occlusionRoughnessMetallic', 'normal'];
+
+const MODEL_EXTENSIONS = ['.gltf', '.glb'];
+const TEXTURE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp', '.ktx2'];
+// Formats src/environmentMaps.js can load; .jpg/.jpeg are HDR JPEGs with an embedded gain map
+const ENVIRONMENT_EXTENSIONS = ['.hdr', '.exr', '.jpg', '.jpeg'];
+
+// Alternative encodings of a slot's texture that can be switched between at runtime
+export const VARIANT_FORMATS = ['ktx2', 'webp', 'png', 'jpg'];
+
+export class ManifestError extends Error {
+  constructor(url, errors) {
+    super(`Asset manifest ${url} is invalid:\n${errors.join('\n')}`);
+    this.name = 'ManifestError';
+    this.errors = errors;
+  }
+}
+
+function hasExtension(url, extensions) {
+  const path = url.split(/[?#]/)[0].toLowerCase();
+  return extensions.some((extension) => path.endsWith(extension));
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function validateEnvironmentMaps(environmentMaps, location, errors) {
+  if (!Array.isArray(environmentMaps) || environmentMaps.length === 0) {
+    errors.push(`${location}: expected a non-empty array of environment map URLs`);
+    return;
+  }
+  environmentMaps.forEach((url, index) => {
+    if (!isNonEmptyString(url)) {
+      errors.push(`${location}[${index}]: expected a URL string`);
+    } else if (!hasExtension(url, ENVIRONMENT_EXTENSIONS)) {
+      errors.push(`${location}[${index}]: "${url}" is not a supported environment map (${ENVIRONMENT_EXTENSIONS.join(', ')})`);
+    }
+  });
+}
+
+function validateLOD(lod, location, errors) {
+  if (!lod || typeof lod !== 'object') {
+    errors.push(`${location}: expected an object with a "url"`);
+    return;
+  }
+  if (!isNonEmptyString(lod.url)) {
+    errors.push(`${location}.url: expected a model URL`);
+  } else if (!hasExtension(lod.url, MODEL_EXTENSIONS)) {
+    errors.push(`${location}.url: "${lod.url}" is not a glTF/GLB file`);
+  }
+
+  if (lod.textures !== undefined) {
+    if (!lod.textures || typeof lod.textures !== 'object') {
+      errors.push(`${location}.textures: expected an object keyed by slot (${TEXTURE_SLOTS.join(', ')})`);
+    } else {
+      Object.entries(lod.textures).forEach(([slot, urls]) => {
+        if (!TEXTURE_SLOTS.includes(slot)) {
+          errors.push(`${location}.textures.${slot}: unknown slot, expected one of ${TEXTURE_SLOTS.join(', ')}`);
+        } else if (!Array.isArray(urls)) {
+          validateTextureURL(urls, `${location}.textures.${slot}`, errors);
+        } else if (urls.length === 0) {
+          errors.push(`${location}.textures.${slot}: expected a texture URL or a non-empty fallback list`);
+        } else {
+          urls.forEach((url, index) => validateTextureURL(url, `${location}.textures.${slot}[${index}]`, errors));
+        }
+      });
+    }
+  }
+
+  if (lod.variants !== undefined) {
+    validateVariants(lod.variants, `${location}.variants`, errors);
+  }
+}
+
+function validateTextureURL(url, location, errors) {
+  if (!isNonEmptyString(url)) {
+    errors.push(`${location}: expected a texture URL`);
+  } else if (!hasExtension(url, TEXTURE_EXTENSIONS)) {
+    errors.push(`${location}: "${url}" is not a supported texture (${TEXTURE_EXTENSIONS.join(', ')})`);
+  }
+}
+
+function validateVariants(variants, location, errors) {
+  if (!variants || typeof variants !== 'object') {
+    errors.push(`${location}: expected an object keyed by slot (${TEXTURE_SLOTS.join(', ')})`);
+    return;
+  }
+  Object.entries(variants).forEach(([slot, formats]) => {
+    if (!TEXTURE_SLOTS.includes(slot)) {
+      errors.push(`${location}.${slot}: unknown slot, expected one of ${TEXTURE_SLOTS.join(', ')}`);
+      return;
+    }
+    if (!formats || typeof formats !== 'object') {
+      errors.push(`${location}.${slot}: expected an object keyed by format (${VARIANT_FORMATS.join(', ')})`);
+      return;
+    }
+    Object.entries(formats).forEach(([format, url]) => {
+      if (!VARIANT_FORMATS.includes(format)) {
+        errors.push(`${location}.${slot}.${format}: unknown format, expected one of ${VARIANT_FORMATS.join(', ')}`);
+      } else if (!isNonEmptyString(url) || !hasExtension(url, format === 'jpg' ? ['.jpg', '.jpeg'] : [`.${format}`])) {
+        errors.push(`${location}.${slot}.${format}: expected a .${format} URL`);
+      }
+    });
+  });
+}
+
+/**
+ * Checks the manifest structure. Returns a list of errors, each prefixed with
+ * the location of the offending entry, e.g. `assets[0].lods.lod2.url`.
+ */
+export function validateManifest(manifest) {
+  const errors = [];
+  if (!manifest || typeof manifest !== 'object') {
+    return ['manifest: expected a JSON object'];
+  }
+
+  if (manifest.environmentMaps !== undefined) {
+    validateEnvironmentMaps(manifest.environmentMaps, 'environmentMaps', errors);
+  }
+
+  if (!Array.isArray(manifest.assets) || manifest.assets.length === 0) {
+    errors.push('assets: expected a non-empty array');
+    return errors;
+  }
+
+  const ids = new Set();
+  manifest.assets.forEach((asset, index) => {
+    const location = `assets[${index}]`;
+    if (!asset || typeof asset !== 'object') {
+      errors.push(`${location}: expected an object`);
+      return;
+    }
+    if (!isNonEmptyString(asset.id)) {
+      errors.push(`${location}.id: expected a non-empty string`);
+    } else if (ids.has(asset.id)) {
+      errors.push(`${location}.id: duplicate id "${asset.id}"`);
+    } else {
+      ids.add(asset.id);
+    }
+
+    if (!asset.lods || typeof asset.lods !== 'object' || Object.keys(asset.lods).length === 0) {
+      errors.push(`${location}.lods: expected an object with at least one LOD`);
+    } else {
+      Object.entries(asset.lods).forEach(([lodKey, lod]) => validateLOD(lod, `${location}.lods.${lodKey}`, errors));
+    }
+
+    if (asset.environmentMaps !== undefined) {
+      validateEnvironmentMaps(asset.environmentMaps, `${location}.environmentMaps`, errors);
+    } else if (manifest.environmentMaps === undefined) {
+      errors.push(`${location}.environmentMaps: missing, and the manifest has no top-level environmentMaps`);
+    }
+  });
+
+  return errors;
+}
+
+// Every URL the manifest references, with the location it was referenced from
+function collectFileReferences(manifest) {
+  const references = [];
+  (manifest.environmentMaps || []).forEach((url, index) => references.push({ url, location: `environmentMaps[${index}]` }));
+  manifest.assets.forEach((asset, assetIndex) => {
+    Object.entries(asset.lods).forEach(([lodKey, lod]) => {
+      references.push({ url: lod.url, location: `assets[${assetIndex}].lods.${lodKey}.url` });
+      Object.entries(lod.textures || {}).forEach(([slot, urls]) => {
+        if (!Array.isArray(urls)) {
+          references.push({ url: urls, location: `assets[${assetIndex}].lods.${lodKey}.textures.${slot}` });
+          return;
+        }
+        urls.forEach((url, index) => {
+          references.push({ url, location: `assets[${assetIndex}].lods.${lodKey}.textures.${slot}[${index}]` });
+        });
+      });
+      Object.entries(lod.variants || {}).forEach(([slot, formats]) => {
+        Object.entries(formats).forEach(([format, url]) => {
+          references.push({ url, location: `assets[${assetIndex}].lods.${lodKey}.variants.${slot}.${format}` });
+        });
+      });
+    });
+    (asset.environmentMaps || []).forEach((url, index) => {
+      references.push({ url, location: `assets[${assetIndex}].environmentMaps[${index}]` });
+    });
+  });
+  return references;
+}
+
+/**
+ * Sends a HEAD request for every referenced file and reports the ones that are missing.
+ * Note that the Vite dev server answers unknown paths with index.html, so an HTML
+ * response is treated as missing too.
+ */
+export async function checkManifestFiles(manifest) {
+  const checked = new Map();
+  const errors = [];
+
+  // Every request is sent up front; errors are still reported in manifest order
+  const references = collectFileReferences(manifest);
+  references.forEach(({ url }) => {
+    if (checked.has(url)) return;
+    checked.set(url, fetch(url, { method: 'HEAD' })
+      .then((response) => {
+        if (!response.ok) return `HTTP ${response.status}`;
+        if ((response.headers.get('content-type') || '').includes('text/html')) return 'not found';
+        return null;
+      })
+      .catch((error) => error.message));
+  });
+
+  const problems = await Promise.all(references.map(({ url }) => checked.get(url)));
+  references.forEach(({ url, location }, index) => {
+    if (problems[index]) {
+      errors.push(`${location}: file "${url}" is not available (${problems[index]})`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Fetches and validates the manifest, throwing a ManifestError listing every
+ * problem found so they can be fixed in one go.
+ */
+export async function loadManifest(url = DEFAULT_MANIFEST_URL) {
+  let manifest;
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    manifest = await response.json();
+  } catch (error) {
+    throw new ManifestError(url, [`manifest: could not be loaded (${error.message})`]);
+  }
+
+  const structureErrors = validateManifest(manifest);
+  if (structureErrors.length) {
+    throw new ManifestError(url, structureErrors);
+  }
+
+  const fileErrors = await checkManifestFiles(manifest);
+  if (fileErrors.length) {
+    throw new ManifestError(url, fileErrors);
+  }
+
+  return manifest;
+}
+
+// A slot's texture override as a fallback list; a single URL is a list of one
+export function getTextureFallbacks(lod, slot) {
+  const urls = lod.textures?.[slot];
+  if (!urls) return [];
+  return Array.isArray(urls) ? urls : [urls];
+}
+
+export function getAsset(manifest, assetId) {
+  return manifest.assets.find((asset) => asset.id === assetId) || manifest.assets[0];
+}
+
+export function getEnvironmentMaps(manifest, asset) {
+  return asset.environmentMaps || manifest.environmentMaps;
+}
+
+/**
+ * Presets and hashes saved before the manifest stored environment maps as bare file names,
+ * e.g. 'studio_small_01_1k.hdr'. Maps such a value to the URL in urls with that file name;
+ * anything else is returned as is.
+ */
+export function resolveEnvironmentMapURL(urls, value) {
+  if (typeof value !== 'string' || urls.includes(value)) return value;
+  return urls.find((url) => url.split(/[?#]/)[0].split('/').pop() === value) ?? value;
+}
+
+// Union of the LOD keys of all assets, in manifest order
+export function getAllLODKeys(manifest) {
+  const keys = [];
+  manifest.assets.forEach((asset) => {
+    Object.keys(asset.lods).forEach((lodKey) => {
+      if (!keys.includes(lodKey)) keys.push(lodKey);
+    });
+  });
+  return keys;
+}
+
+export function getAssetLabel(asset) {
+  return asset.name || asset.id;
+}
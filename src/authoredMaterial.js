@@ -0,0 +1,104 @@
+import * as THREE from 'three';
+
+export const MATERIAL_BASELINES = {
+  'GUI Defaults': 'defaults',
+  Authored: 'authored'
+};
+
+// Scalar material controls that map one to one onto MeshPhysicalMaterial properties
+const SCALAR_PROPERTIES = [
+  'roughness', 'metalness', 'clearcoat', 'clearcoatRoughness', 'transmission', 'thickness', 'ior',
+  'sheen', 'sheenRoughness', 'specularIntensity', 'iridescence', 'iridescenceIOR', 'emissiveIntensity',
+  'dispersion', 'anisotropy', 'anisotropyRotation', 'aoMapIntensity'
+];
+const COLOR_PROPERTIES = ['color', 'sheenColor', 'specularColor', 'emissive', 'attenuationColor'];
+
+// Values closer than this count as equal, to absorb float noise from sliders and color conversions
+const EPSILON = 1e-3;
+
+/**
+ * Reads the material controls a loaded glTF material corresponds to. GLTFLoader creates a
+ * MeshStandardMaterial unless physical extensions are used, so anything the source doesn't
+ * have falls back to the MeshPhysicalMaterial default, which is also the glTF default.
+ */
+export function readAuthoredMaterial(material) {
+  const physical = new THREE.MeshPhysicalMaterial();
+  SCALAR_PROPERTIES.forEach((property) => {
+    if (typeof material[property] === 'number') physical[property] = material[property];
+  });
+  COLOR_PROPERTIES.forEach((property) => {
+    if (material[property]?.isColor) physical[property].copy(material[property]);
+  });
+  if (Number.isFinite(material.attenuationDistance)) {
+    physical.attenuationDistance = material.attenuationDistance;
+  }
+  if (material.iridescenceThicknessRange) {
+    physical.iridescenceThicknessRange = [...material.iridescenceThicknessRange];
+  }
+
+  const authored = {
+    useBaseColorMap: Boolean(material.map),
+    useAORMMaps: Boolean(material.roughnessMap || material.metalnessMap || material.aoMap),
+    ...Object.fromEntries(SCALAR_PROPERTIES.map((property) => [property, physical[property]])),
+    ...Object.fromEntries(COLOR_PROPERTIES.map((property) => [property, physical[property].getHex()])),
+    // Derived from the IOR; applied after it, so it has to agree with it
+    reflectivity: physical.reflectivity,
+    attenuationDistance: Number.isFinite(physical.attenuationDistance) ? physical.attenuationDistance : 0,
+    iridescenceThicknessMin: physical.iridescenceThicknessRange[0],
+    iridescenceThicknessMax: physical.iridescenceThicknessRange[1],
+    normalScale: Math.abs(material.normalScale?.x ?? 1)
+  };
+  physical.dispose();
+  return authored;
+}
+
+/**
+ * Sets every trait map source to the glTF's own maps, so the authored look
+ * includes whatever trait textures the file has.
+ */
+export function getAuthoredTraitMapSources(materialCtrl) {
+  return Object.fromEntries(Object.keys(materialCtrl)
+    .filter((key) => key.endsWith('MapSource'))
+    .map((key) => [key, 'glTF']));
+}
+
+function valuesDiffer(value, authoredValue) {
+  if (typeof value === 'number' && typeof authoredValue === 'number') {
+    return Math.abs(value - authoredValue) > EPSILON * Math.max(1, Math.abs(authoredValue));
+  }
+  return value !== authoredValue;
+}
+
+// Material control keys whose current value differs from the authored one
+export function diffFromAuthored(materialCtrl, authored) {
+  return Object.keys(authored).filter((key) => valuesDiffer(materialCtrl[key], authored[key]));
+}
+
+function formatValue(value, key) {
+  if (/color|emissive/i.test(key) && typeof value === 'number') {
+    return `#${value.toString(16).padStart(6, '0')}`;
+  }
+  return typeof value === 'number' ? String(Math.round(value * 1000) / 1000) : String(value);
+}
+
+/**
+ * Highlights the controllers of a GUI folder (and its subfolders) whose value differs from
+ * the authored one, with the authored value as tooltip.
+ */
+export function updateAuthoredIndicators(folder, materialCtrl, authored) {
+  const differing = new Set(authored ? diffFromAuthored(materialCtrl, authored) : []);
+  folder.__controllers.forEach((controller) => {
+    if (controller.object !== materialCtrl || !authored || !(controller.property in authored)) return;
+    const label = controller.__li.querySelector('.property-name');
+    const differs = differing.has(controller.property);
+    label.style.color = differs ? '#ffb347' : '';
+    label.title = differs ? `Authored: ${formatValue(authored[controller.property], controller.property)}` : '';
+  });
+  Object.values(folder.__folders).forEach((subFolder) => updateAuthoredIndicators(subFolder, materialCtrl, authored));
+  return differing.size;
+}
+
+export function setupAuthoredMaterialGUI(materialFolder, baselineCtrl, onBaselineChange) {
+  materialFolder.add(baselineCtrl, 'mode', MATERIAL_BASELINES).name('Baseline').onChange(onBaselineChange);
+  materialFolder.add(baselineCtrl, 'resetToAuthored').name('Reset to Authored');
+}
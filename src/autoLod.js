@@ -0,0 +1,108 @@
+import * as THREE from 'three';
+
+export const AUTO_LOD_METRICS = ['distance', 'screenSize'];
+
+const boundingBox = new THREE.Box3();
+const boundingSphere = new THREE.Sphere();
+
+/**
+ * Measures the model's world-space bounding sphere against the camera.
+ * screenSize is the projected diameter as a fraction of the viewport height.
+ */
+export function measureModel(model, camera) {
+  boundingBox.setFromObject(model);
+  boundingBox.getBoundingSphere(boundingSphere);
+
+  const distance = camera.position.distanceTo(boundingSphere.center);
+  const halfFov = THREE.MathUtils.degToRad(camera.fov) / 2;
+  const screenSize = distance > boundingSphere.radius
+    ? boundingSphere.radius / (distance * Math.tan(halfFov))
+    : Infinity;
+
+  return { distance, screenSize, radius: boundingSphere.radius };
+}
+
+/**
+ * Picks a LOD index from a metric value with hysteresis around each boundary.
+ * thresholds[i] is the boundary between LOD i and LOD i + 1. For 'distance' the
+ * thresholds ascend and a larger value means a coarser LOD; for 'screenSize' they
+ * descend and a smaller value means a coarser LOD. A boundary the current LOD has
+ * already crossed is only crossed back once the value clears it by the hysteresis
+ * fraction, so the selection can't flicker when the camera rests on a boundary.
+ */
+export function selectLODIndex(value, thresholds, currentIndex, hysteresis, metric) {
+  let index = 0;
+  thresholds.forEach((threshold, boundary) => {
+    const alreadyCrossed = currentIndex > boundary;
+    let crossed;
+    if (metric === 'distance') {
+      crossed = value > threshold * (alreadyCrossed ? 1 - hysteresis : 1 + hysteresis);
+    } else {
+      crossed = value < threshold * (alreadyCrossed ? 1 + hysteresis : 1 - hysteresis);
+    }
+    if (crossed) index = boundary + 1;
+  });
+  return index;
+}
+
+function getThresholds(lodCtrl, lodKeys) {
+  const isDistance = lodCtrl.autoMetric === 'distance';
+  const source = isDistance ? lodCtrl.distanceThresholds : lodCtrl.screenSizeThresholds;
+  // A LOD without a threshold is never selected automatically
+  return lodKeys.slice(1).map((lodKey) => source[lodKey] ?? (isDistance ? Infinity : 0));
+}
+
+/**
+ * Decides which LOD the auto mode wants for the current view.
+ * Returns the LOD key together with a human readable reason for the overlay.
+ */
+export function evaluateAutoLOD(model, camera, lodCtrl, lodKeys, isLODLoaded) {
+  const measurement = measureModel(model, camera);
+  const metric = lodCtrl.autoMetric;
+  const value = measurement[metric];
+  const thresholds = getThresholds(lodCtrl, lodKeys);
+  const currentIndex = Math.max(0, lodKeys.indexOf(lodCtrl.currentLOD));
+
+  let index = selectLODIndex(value, thresholds, currentIndex, lodCtrl.hysteresis, metric);
+
+  // Fall back towards the current LOD while the wanted one is still loading
+  while (index !== currentIndex && !isLODLoaded(lodKeys[index])) {
+    index += index > currentIndex ? -1 : 1;
+  }
+
+  const lodKey = lodKeys[index];
+  const formatted = Number.isFinite(value) ? value.toFixed(2) : 'inside';
+  const upper = index < thresholds.length ? thresholds[index] : null;
+  const lower = index > 0 ? thresholds[index - 1] : null;
+  let range;
+  if (metric === 'distance') {
+    range = `${lower ?? 0} – ${upper ?? '∞'}`;
+  } else {
+    range = `${upper ?? 0} – ${lower ?? '∞'}`;
+  }
+
+  return {
+    lodKey,
+    value,
+    reason: `${metric} ${formatted} in [${range}] ±${Math.round(lodCtrl.hysteresis * 100)}%`
+  };
+}
+
+export function setupAutoLODGUI(gui, lodCtrl, lodKeys) {
+  const autoFolder = gui.addFolder('Auto LOD');
+  autoFolder.add(lodCtrl, 'autoLOD').name('Enable Auto LOD').listen();
+  autoFolder.add(lodCtrl, 'autoMetric', AUTO_LOD_METRICS).name('Metric');
+  autoFolder.add(lodCtrl, 'hysteresis', 0, 0.5, 0.01).name('Hysteresis');
+
+  const distanceFolder = autoFolder.addFolder('Distance Thresholds');
+  lodKeys.slice(1).filter((lodKey) => lodKey in lodCtrl.distanceThresholds).forEach((lodKey) => {
+    distanceFolder.add(lodCtrl.distanceThresholds, lodKey, 0, 50, 0.1).name(`${lodKey} beyond`);
+  });
+
+  const screenSizeFolder = autoFolder.addFolder('Screen Size Thresholds');
+  lodKeys.slice(1).filter((lodKey) => lodKey in lodCtrl.screenSizeThresholds).forEach((lodKey) => {
+    screenSizeFolder.add(lodCtrl.screenSizeThresholds, lodKey, 0, 2, 0.01).name(`${lodKey} below`);
+  });
+
+  return autoFolder;
+}
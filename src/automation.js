@@ -0,0 +1,227 @@
+import { summarizeFrameTimes, summarizeGPUTimes } from './benchmark.js';
+import { downloadJSON, fileTimestamp } from './fileExport.js';
+
+export const AUTOMATION_EVENTS = ['lodLoaded', 'envMapReady', 'materialRecompiled', 'runComplete'];
+export const AUTO_RUN_MODES = ['frames', 'benchmark', 'crowdSweep', 'shadowSweep', 'postProcessing', 'imageQuality', 'leakCheck'];
+
+const API_VERSION = 1;
+
+// Query-string parameters that configure the page or the auto-run rather than appControls
+const RESERVED_PARAMS = ['manifest', 'run', 'frames', 'warmup', 'download'];
+
+// Frames to wait for a LOD that is still loading before setLOD() gives up
+const LOD_LOAD_TIMEOUT_FRAMES = 600;
+
+export function createEventBus() {
+  const listeners = new Map(AUTOMATION_EVENTS.map((event) => [event, new Set()]));
+
+  function on(event, callback) {
+    if (!listeners.has(event)) {
+      throw new Error(`Unknown event "${event}", expected one of ${AUTOMATION_EVENTS.join(', ')}`);
+    }
+    listeners.get(event).add(callback);
+    return () => listeners.get(event).delete(callback);
+  }
+
+  function emit(event, detail) {
+    listeners.get(event).forEach((callback) => {
+      try {
+        callback(detail);
+      } catch (error) {
+        console.error(`perfTest "${event}" listener failed:`, error);
+      }
+    });
+  }
+
+  return { on, emit };
+}
+
+// Converts a query-string value to the type of the appControls default it sets
+function parseQueryValue(text, defaultValue) {
+  if (typeof defaultValue === 'number') return text.trim() === '' ? NaN : Number(text);
+  if (typeof defaultValue === 'boolean') return text === 'true' || text === '1' ? true : text === 'false' || text === '0' ? false : text;
+  return text;
+}
+
+/**
+ * Reads appControls values and the auto-run request from the query string, e.g.
+ * ?lod.currentLOD=lod2&material.clearcoat=1&run=frames&frames=300.
+ * Every parameter except the reserved ones is taken as a flattened appControls path.
+ */
+export function readQueryConfig(search, flatDefaults) {
+  const params = new URLSearchParams(search);
+  const values = {};
+  params.forEach((text, path) => {
+    if (RESERVED_PARAMS.includes(path)) return;
+    values[path] = path in flatDefaults ? parseQueryValue(text, flatDefaults[path]) : text;
+  });
+
+  const mode = params.get('run');
+  const run = mode ? {
+    mode,
+    frames: Number(params.get('frames')) || 240,
+    warmup: params.has('warmup') ? Number(params.get('warmup')) : 30,
+    download: params.get('download') === 'true' || params.get('download') === '1'
+  } : null;
+
+  return { values, run };
+}
+
+/**
+ * Builds the window.perfTest API. Everything that changes the scene returns a promise
+ * that resolves once the change has been rendered, so automation scripts can chain calls
+ * without polling. The API only reaches the app through the functions passed in:
+ *
+ * - applyControls(flatValues, source) validates and applies flattened appControls values
+ *   and returns { issues, settled }, settled resolving once assets and env maps are in
+ * - selectLOD(lodKey) shows a loaded LOD the way picking it in the GUI does
+ * - renderForCapture() renders a frame and returns the canvas right away, while its
+ *   drawing buffer is still intact
+ * - runners maps an auto-run mode to a function running it with config overrides
+ */
+export function createAutomationAPI({
+  appControls, getControls, applyControls, selectLOD, getLODKeys, getEnvironmentMaps, isLODLoaded, waitForFrame, getStats,
+  getCapabilities, renderForCapture, events, runners
+}) {
+  async function waitFrames(count = 1) {
+    const frames = [];
+    for (let i = 0; i < count; i++) {
+      frames.push(await waitForFrame());
+    }
+    return frames;
+  }
+
+  async function setControls(flatValues) {
+    const { issues, settled } = applyControls(flatValues, 'perfTest');
+    await settled;
+    await waitForFrame();
+    if (issues.length) {
+      const error = new Error(`${issues.length} setting(s) were not applied: ${issues.join('; ')}`);
+      error.issues = issues;
+      throw error;
+    }
+    return getControls();
+  }
+
+  async function waitForLOD(lodKey) {
+    for (let frame = 0; frame < LOD_LOAD_TIMEOUT_FRAMES && !isLODLoaded(lodKey); frame++) {
+      await waitForFrame();
+    }
+    if (!isLODLoaded(lodKey)) {
+      throw new Error(`${lodKey} did not finish loading`);
+    }
+  }
+
+  async function setLOD(lodKey) {
+    if (!getLODKeys().includes(lodKey)) {
+      throw new Error(`Unknown LOD "${lodKey}", expected one of ${getLODKeys().join(', ')}`);
+    }
+    await waitForLOD(lodKey);
+    // Not through setControls: a plain LOD switch keeps per-material overrides and the governor's state
+    selectLOD(lodKey);
+    await waitForFrame();
+    return lodKey;
+  }
+
+  async function setEnvironmentMap(url) {
+    if (!getEnvironmentMaps().includes(url)) {
+      throw new Error(`Unknown environment map "${url}", expected one of ${getEnvironmentMaps().join(', ')}`);
+    }
+    await setControls({ 'environment.envMap': url });
+    return url;
+  }
+
+  // Any of { enabled, type, resolution, directional, particle }
+  function setShadows({ enabled, type, resolution, directional, particle }) {
+    const values = {
+      'shadow.useShadows': enabled,
+      'shadow.shadowType': type,
+      'shadow.shadowResolution': resolution,
+      'shadow.useDirectionalLightShadow': directional,
+      'shadow.useParticleLightShadow': particle
+    };
+    return setControls(Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined)));
+  }
+
+  // Frame-time percentiles over the next frames, after an optional warmup
+  async function measure({ frames = 240, warmup = 30 } = {}) {
+    await waitFrames(warmup);
+    const frameInfos = await waitFrames(frames);
+    return {
+      ...summarizeFrameTimes(frameInfos.map((frame) => frame.frameTime)),
+      ...(await summarizeGPUTimes(frameInfos)),
+      triangles: Math.max(...frameInfos.map((frame) => frame.triangles)),
+      drawCalls: Math.max(...frameInfos.map((frame) => frame.drawCalls)),
+      lod: appControls.lod.currentLOD
+    };
+  }
+
+  async function screenshot({ type = 'image/png', quality } = {}) {
+    await waitForFrame();
+    return renderForCapture().toDataURL(type, quality);
+  }
+
+  function once(event, predicate = () => true) {
+    return new Promise((resolve) => {
+      const off = events.on(event, (detail) => {
+        if (!predicate(detail)) return;
+        off();
+        resolve(detail);
+      });
+    });
+  }
+
+  async function run(mode, config = {}) {
+    const runner = mode === 'frames' ? measure : runners[mode];
+    if (!runner) {
+      throw new Error(`Unknown run mode "${mode}", expected one of ${AUTO_RUN_MODES.join(', ')}`);
+    }
+    const results = await runner(config);
+    events.emit('runComplete', { mode, results });
+    return results;
+  }
+
+  return {
+    version: API_VERSION,
+    events: AUTOMATION_EVENTS,
+    get: (path) => getControls()[path],
+    getControls,
+    set: (path, value) => setControls({ [path]: value }),
+    setControls,
+    setLOD,
+    setEnvironmentMap,
+    setShadows,
+    waitFrames,
+    measure,
+    getStats,
+    getCapabilities,
+    screenshot,
+    on: events.on,
+    once,
+    run
+  };
+}
+
+/**
+ * Runs the measurement requested in the query string once perfTest.ready resolves. Progress
+ * is mirrored to data-perf-test on <body> (running, done or error), so scripts can wait
+ * for it with a selector as well. Resolves with the results, or with null when the page
+ * failed to load or the run failed; the error is logged rather than rethrown.
+ */
+export async function runQueryAutoRun(perfTest, run) {
+  document.body.dataset.perfTest = 'running';
+  try {
+    await perfTest.ready;
+    const { frames, warmup } = run;
+    const results = await perfTest.run(run.mode, run.mode === 'frames' ? { frames, warmup } : {});
+    if (run.download) {
+      downloadJSON(`perftest-${run.mode}-${fileTimestamp()}.json`, { ...results, device: perfTest.getCapabilities() });
+    }
+    document.body.dataset.perfTest = 'done';
+    return results;
+  } catch (error) {
+    console.error('perfTest auto-run failed:', error);
+    document.body.dataset.perfTest = 'error';
+    return null;
+  }
+}
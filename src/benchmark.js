@@ -0,0 +1,365 @@
+import { downloadJSON, downloadCSV, fileTimestamp } from './fileExport.js';
+import { getDeviceSummary } from './capabilities.js';
+
+// Material values for the "on" and "off" state of each trait in the benchmark matrix.
+// Any material property not listed keeps the value it had when the run started.
+export const BENCHMARK_TRAITS = {
+  clearcoat: {
+    on: { clearcoat: 1.0, clearcoatRoughness: 0.1 },
+    off: { clearcoat: 0.0 }
+  },
+  transmission: {
+    on: { transmission: 1.0, thickness: 0.5, ior: 1.5 },
+    off: { transmission: 0.0 }
+  },
+  sheen: {
+    on: { sheen: 1.0, sheenRoughness: 0.5, sheenColor: 0xffffff },
+    off: { sheen: 0.0 }
+  },
+  iridescence: {
+    on: { iridescence: 1.0 },
+    off: { iridescence: 0.0 }
+  },
+  anisotropy: {
+    on: { anisotropy: 1.0, anisotropyRotation: 0.0 },
+    off: { anisotropy: 0.0 }
+  },
+  // Dispersion only shows up through the transmission pass, so it brings transmission along
+  dispersion: {
+    on: { dispersion: 1.0, transmission: 1.0, thickness: 0.5, ior: 1.5 },
+    off: { dispersion: 0.0 }
+  }
+};
+
+export const BENCHMARK_MODES = ['isolated', 'combinations'];
+
+// Columns added to CSV exports by summarizeGPUTimes()
+export const GPU_TIME_COLUMNS = ['timing', 'gpuMs', 'gpuShadowMs', 'gpuTransmissionMs', 'gpuMainMs', 'gpuPostMs'];
+
+const CSV_COLUMNS = [
+  'lod', 'traits', 'frames', 'meanMs', 'p50Ms', 'p95Ms', 'p99Ms', 'minMs', 'maxMs', 'fps', ...GPU_TIME_COLUMNS, 'triangles', 'drawCalls', 'error'
+];
+
+// How many frames to wait for a LOD that is still loading before the cell is skipped
+const LOD_LOAD_TIMEOUT_FRAMES = 600;
+
+/**
+ * Builds the list of cells to measure.
+ * 'isolated' measures a baseline with every trait off plus each trait on its own,
+ * 'combinations' measures every on/off combination of the selected traits.
+ */
+export function buildBenchmarkMatrix(lodKeys, traitKeys, mode = 'isolated') {
+  let traitSets;
+  if (mode === 'combinations') {
+    traitSets = [];
+    for (let mask = 0; mask < (1 << traitKeys.length); mask++) {
+      traitSets.push(traitKeys.filter((_, index) => mask & (1 << index)));
+    }
+  } else {
+    traitSets = [[], ...traitKeys.map((trait) => [trait])];
+  }
+
+  const cells = [];
+  lodKeys.forEach((lod) => {
+    traitSets.forEach((traits) => cells.push({ lod, traits }));
+  });
+  return cells;
+}
+
+// Linear-interpolated percentile of an ascending sorted array, p in [0, 100]
+export function percentile(sortedValues, p) {
+  if (sortedValues.length === 0) return NaN;
+  const rank = (p / 100) * (sortedValues.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (rank - lower);
+}
+
+export function summarizeFrameTimes(frameTimes) {
+  const sorted = [...frameTimes].sort((a, b) => a - b);
+  const mean = sorted.reduce((sum, value) => sum + value, 0) / (sorted.length || 1);
+  return {
+    frames: sorted.length,
+    meanMs: round(mean),
+    p50Ms: round(percentile(sorted, 50)),
+    p95Ms: round(percentile(sorted, 95)),
+    p99Ms: round(percentile(sorted, 99)),
+    minMs: round(sorted[0]),
+    maxMs: round(sorted[sorted.length - 1]),
+    fps: round(1000 / mean, 1)
+  };
+}
+
+/**
+ * Median GPU time per segment over waitForFrame() results. Each frame's GPU times arrive
+ * a few frames after it, so this waits for them. Without timer queries the frames carry
+ * no GPU times, and the summary says so instead of reporting zeros.
+ */
+export async function summarizeGPUTimes(frameInfos) {
+  const timed = (await Promise.all(frameInfos.map((frame) => frame.gpu))).filter(Boolean);
+  const median = (key) => (timed.length ? round(percentile(timed.map((times) => times[key]).sort((a, b) => a - b), 50)) : null);
+  return {
+    timing: timed.length ? 'gpu' : 'cpu-only',
+    gpuMs: median('total'),
+    gpuShadowMs: median('shadow'),
+    gpuTransmissionMs: median('transmission'),
+    gpuMainMs: median('main'),
+    gpuPostMs: median('post')
+  };
+}
+
+/**
+ * The bookkeeping every measurement run shares: the busy flag, cancellation, the status
+ * line, the results header and the warmup-then-measure frame loop. The benchmark, the
+ * crowd sweep and the shadow sweep only supply their steps.
+ *
+ * run(config, { setup, execute }) calls setup(), which changes what the run needs and
+ * returns a function that restores it, then execute(results), which pushes one row per
+ * step into results[rowsKey] and stops early once isCancelled(). The restore function
+ * runs even when a step throws; the error is recorded on the results.
+ */
+export function createSweepRunner({ name, rowsKey = 'rows', waitForFrame }) {
+  let running = false;
+  let cancelRequested = false;
+  let status = '';
+  let lastResults = null;
+
+  // onFrame(index, frameCount) runs before each frame, e.g. to move the camera; warmup frames get index 0
+  async function measureFrames({ warmupFrames, frameCount, onFrame = () => {} }) {
+    // Warmup absorbs shader compilation, texture uploads and reallocations triggered by the step
+    for (let i = 0; i < warmupFrames && !cancelRequested; i++) {
+      onFrame(0, frameCount);
+      await waitForFrame();
+    }
+
+    const frames = [];
+    for (let i = 0; i < frameCount && !cancelRequested; i++) {
+      onFrame(i, frameCount);
+      frames.push(await waitForFrame());
+    }
+    return {
+      ...summarizeFrameTimes(frames.map((frame) => frame.frameTime)),
+      ...(await summarizeGPUTimes(frames)),
+      triangles: Math.max(0, ...frames.map((frame) => frame.triangles)),
+      drawCalls: Math.max(0, ...frames.map((frame) => frame.drawCalls))
+    };
+  }
+
+  async function run(config, { setup, execute }) {
+    if (running) {
+      console.warn(`A ${name} is already running.`);
+      return lastResults;
+    }
+    running = true;
+    cancelRequested = false;
+    const restore = setup();
+
+    const results = {
+      startedAt: new Date().toISOString(),
+      userAgent: navigator.userAgent,
+      device: getDeviceSummary(),
+      devicePixelRatio: window.devicePixelRatio,
+      viewport: { width: window.innerWidth, height: window.innerHeight },
+      config: { ...config },
+      [rowsKey]: []
+    };
+
+    try {
+      await execute(results);
+    } catch (error) {
+      console.error(`${name[0].toUpperCase()}${name.slice(1)} failed:`, error);
+      results.error = error.message;
+    } finally {
+      results.finishedAt = new Date().toISOString();
+      results.cancelled = cancelRequested;
+      restore();
+      running = false;
+      status = cancelRequested ? 'cancelled' : 'done';
+    }
+
+    lastResults = results;
+    console.table(results[rowsKey]);
+    return results;
+  }
+
+  return {
+    run,
+    measureFrames,
+    cancel: () => {
+      cancelRequested = running;
+    },
+    isCancelled: () => cancelRequested,
+    isRunning: () => running,
+    setStatus: (text) => {
+      status = text;
+    },
+    getStatus: () => status,
+    getResults: () => lastResults
+  };
+}
+
+function round(value, digits = 3) {
+  if (!Number.isFinite(value)) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function formatTraits(traits) {
+  return traits.length ? traits.join('+') : 'none';
+}
+
+/**
+ * Drives the app through a LOD × material trait matrix and collects frame-time percentiles.
+ * The runner only talks to the app through the functions passed in, so it never
+ * holds on to a stale model or material.
+ */
+export function createBenchmarkRunner({ camera, controls, appControls, changeLOD, updateModelMaterials, isLODLoaded, waitForFrame }) {
+  const runner = createSweepRunner({ name: 'benchmark', rowsKey: 'cells', waitForFrame });
+
+  function placeCameraOnOrbit(config, frameIndex, frameCount) {
+    const angle = (frameIndex / frameCount) * Math.PI * 2 * config.orbitRevolutions;
+    const target = controls.target;
+    camera.position.set(
+      target.x + Math.sin(angle) * config.orbitRadius,
+      target.y + config.orbitHeight,
+      target.z + Math.cos(angle) * config.orbitRadius
+    );
+    camera.lookAt(target);
+  }
+
+  function applyTraits(baseMaterial, traits) {
+    Object.assign(appControls.material, baseMaterial);
+    Object.keys(BENCHMARK_TRAITS).forEach((trait) => {
+      const values = traits.includes(trait) ? BENCHMARK_TRAITS[trait].on : BENCHMARK_TRAITS[trait].off;
+      Object.assign(appControls.material, values);
+    });
+    updateModelMaterials();
+  }
+
+  async function waitForLOD(lodKey) {
+    for (let frame = 0; frame < LOD_LOAD_TIMEOUT_FRAMES && !isLODLoaded(lodKey); frame++) {
+      await waitForFrame();
+    }
+    return isLODLoaded(lodKey);
+  }
+
+  async function measureCell(cell, config, baseMaterial) {
+    const row = { lod: cell.lod, traits: formatTraits(cell.traits) };
+
+    if (!(await waitForLOD(cell.lod))) {
+      return { ...row, error: `${cell.lod} did not finish loading` };
+    }
+
+    appControls.lod.currentLOD = cell.lod;
+    changeLOD(cell.lod);
+    applyTraits(baseMaterial, cell.traits);
+
+    const measured = await runner.measureFrames({
+      warmupFrames: config.warmupFrames,
+      frameCount: config.framesPerCell,
+      onFrame: (index, frameCount) => placeCameraOnOrbit(config, index, frameCount)
+    });
+    return { ...row, ...measured };
+  }
+
+  async function run(config) {
+    const cells = buildBenchmarkMatrix(config.lods, config.traits, config.mode);
+    if (cells.length === 0 && !runner.isRunning()) {
+      console.warn('Benchmark matrix is empty. Select at least one LOD.');
+      return runner.getResults();
+    }
+
+    let baseMaterial;
+    return runner.run(config, {
+      // Snapshot everything the run touches so it can be restored afterwards
+      setup: () => {
+        baseMaterial = { ...appControls.material };
+        const initialLOD = appControls.lod.currentLOD;
+        const initialAutoLOD = appControls.lod.autoLOD;
+        const initialRotate = appControls.general.rotatePlane;
+        const initialCameraPosition = camera.position.clone();
+        const initialControlsEnabled = controls.enabled;
+
+        appControls.general.rotatePlane = false;
+        appControls.lod.autoLOD = false;
+        controls.enabled = false;
+
+        return () => {
+          Object.assign(appControls.material, baseMaterial);
+          appControls.lod.currentLOD = initialLOD;
+          changeLOD(initialLOD);
+          appControls.lod.autoLOD = initialAutoLOD;
+          appControls.general.rotatePlane = initialRotate;
+          camera.position.copy(initialCameraPosition);
+          controls.enabled = initialControlsEnabled;
+          controls.update();
+        };
+      },
+      execute: async (results) => {
+        for (let index = 0; index < cells.length && !runner.isCancelled(); index++) {
+          const cell = cells[index];
+          runner.setStatus(`${index + 1}/${cells.length} ${cell.lod} + ${formatTraits(cell.traits)}`);
+          results.cells.push(await measureCell(cell, config, baseMaterial));
+        }
+      }
+    });
+  }
+
+  return {
+    run,
+    cancel: runner.cancel,
+    isRunning: runner.isRunning,
+    getStatus: runner.getStatus,
+    getResults: runner.getResults
+  };
+}
+
+export function downloadBenchmarkResults(results, format = 'json') {
+  if (!results) {
+    console.warn('No benchmark results to download yet.');
+    return;
+  }
+  const filename = `benchmark-${fileTimestamp(new Date(results.startedAt))}`;
+  if (format === 'csv') {
+    downloadCSV(`${filename}.csv`, results.cells, CSV_COLUMNS);
+  } else {
+    downloadJSON(`${filename}.json`, results);
+  }
+}
+
+// Reads the GUI-friendly benchmark controls into a runner config, limited to the LODs the asset has
+export function getBenchmarkConfig(benchmarkCtrl, availableLODs) {
+  return {
+    lods: availableLODs.filter((lod) => benchmarkCtrl.lods[lod]),
+    traits: Object.keys(benchmarkCtrl.traits).filter((trait) => benchmarkCtrl.traits[trait]),
+    mode: benchmarkCtrl.mode,
+    warmupFrames: benchmarkCtrl.warmupFrames,
+    framesPerCell: benchmarkCtrl.framesPerCell,
+    orbitRadius: benchmarkCtrl.orbitRadius,
+    orbitHeight: benchmarkCtrl.orbitHeight,
+    orbitRevolutions: benchmarkCtrl.orbitRevolutions
+  };
+}
+
+export function setupBenchmarkGUI(gui, benchmarkCtrl) {
+  const benchmarkFolder = gui.addFolder('Benchmark');
+
+  const lodFolder = benchmarkFolder.addFolder('LODs');
+  Object.keys(benchmarkCtrl.lods).forEach((lod) => lodFolder.add(benchmarkCtrl.lods, lod));
+
+  const traitFolder = benchmarkFolder.addFolder('Traits');
+  Object.keys(benchmarkCtrl.traits).forEach((trait) => traitFolder.add(benchmarkCtrl.traits, trait));
+
+  benchmarkFolder.add(benchmarkCtrl, 'mode', BENCHMARK_MODES).name('Matrix');
+  benchmarkFolder.add(benchmarkCtrl, 'warmupFrames', 0, 300, 1).name('Warmup Frames');
+  benchmarkFolder.add(benchmarkCtrl, 'framesPerCell', 30, 2000, 10).name('Frames per Cell');
+  benchmarkFolder.add(benchmarkCtrl, 'orbitRadius', 0.5, 10).name('Orbit Radius');
+  benchmarkFolder.add(benchmarkCtrl, 'orbitHeight', -5, 5).name('Orbit Height');
+  benchmarkFolder.add(benchmarkCtrl, 'orbitRevolutions', 0, 4, 0.25).name('Orbit Revolutions');
+  benchmarkFolder.add(benchmarkCtrl, 'run').name('Run Benchmark');
+  benchmarkFolder.add(benchmarkCtrl, 'cancel').name('Cancel Benchmark');
+  benchmarkFolder.add(benchmarkCtrl, 'downloadJSON').name('Download JSON');
+  benchmarkFolder.add(benchmarkCtrl, 'downloadCSV').name('Download CSV');
+
+  return benchmarkFolder;
+}
@@ -0,0 +1,195 @@
+import { downloadJSON, fileTimestamp } from './fileExport.js';
+
+// Compressed texture families and the WebGL extensions that expose them
+export const COMPRESSED_FORMATS = {
+  astc: { label: 'ASTC', extensions: ['WEBGL_compressed_texture_astc'] },
+  etc2: { label: 'ETC2', extensions: ['WEBGL_compressed_texture_etc'] },
+  bc7: { label: 'BC7', extensions: ['EXT_texture_compression_bptc'] },
+  s3tc: { label: 'S3TC', extensions: ['WEBGL_compressed_texture_s3tc'] },
+  etc1: { label: 'ETC1', extensions: ['WEBGL_compressed_texture_etc1'] },
+  pvrtc: { label: 'PVRTC', extensions: ['WEBGL_compressed_texture_pvrtc', 'WEBKIT_WEBGL_compressed_texture_pvrtc'] },
+  rgtc: { label: 'RGTC', extensions: ['EXT_texture_compression_rgtc'] }
+};
+
+// Formats KTX2Loader can transcode Basis textures to, roughly in the order it prefers them
+const KTX2_TARGETS = ['astc', 'bc7', 's3tc', 'etc2', 'etc1', 'pvrtc'];
+
+// 1×1 lossy WebP
+const WEBP_PROBE = 'data:image/webp;base64,UklGRiIAAABXRUJQVlA4IBYAAAAwAQCdASoBAAEADsD+JaQAA3AAAAAA';
+
+// The report of this page's device, kept so every exported measurement can carry its summary
+let detected = null;
+
+async function canDecode(dataURL) {
+  try {
+    const blob = await (await fetch(dataURL)).blob();
+    const bitmap = await createImageBitmap(blob);
+    bitmap.close();
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Collects what the renderer's WebGL context and the browser support: GPU, texture size
+ * limits, compressed texture formats, float texture rendering and filtering, image
+ * decoding and the full extension list. Resolves once the image decode probes are done.
+ */
+export async function detectCapabilities(renderer) {
+  const gl = renderer.getContext();
+  const has = (names) => names.some((name) => renderer.extensions.has(name));
+  const debugInfo = has(['WEBGL_debug_renderer_info']) ? gl.getExtension('WEBGL_debug_renderer_info') : null;
+  const { capabilities } = renderer;
+
+  detected = {
+    detectedAt: new Date().toISOString(),
+    userAgent: navigator.userAgent,
+    devicePixelRatio: window.devicePixelRatio,
+    gpu: {
+      vendor: gl.getParameter(debugInfo ? debugInfo.UNMASKED_VENDOR_WEBGL : gl.VENDOR),
+      renderer: gl.getParameter(debugInfo ? debugInfo.UNMASKED_RENDERER_WEBGL : gl.RENDERER)
+    },
+    webgl: gl.getParameter(gl.VERSION),
+    maxTextureSize: capabilities.maxTextureSize,
+    maxCubemapSize: capabilities.maxCubemapSize,
+    maxAnisotropy: capabilities.getMaxAnisotropy(),
+    maxSamples: capabilities.maxSamples,
+    precision: capabilities.precision,
+    compressedFormats: Object.fromEntries(Object.entries(COMPRESSED_FORMATS).map(([key, { extensions }]) => [key, has(extensions)])),
+    floatTextures: {
+      renderable: has(['EXT_color_buffer_float']),
+      filterable: has(['OES_texture_float_linear']),
+      halfFloatRenderable: has(['EXT_color_buffer_half_float', 'EXT_color_buffer_float']),
+      blendable: has(['EXT_float_blend'])
+    },
+    imageDecoding: {
+      webp: await canDecode(WEBP_PROBE)
+    },
+    extensions: gl.getSupportedExtensions() || []
+  };
+  return detected;
+}
+
+export function getCapabilities() {
+  return detected;
+}
+
+// A few fields of the report for measurement exports, so results from different devices can be told apart
+export function getDeviceSummary() {
+  if (!detected) return null;
+  return {
+    gpu: detected.gpu.renderer,
+    maxTextureSize: detected.maxTextureSize,
+    compressedFormats: getSupportedCompressedFormats(detected),
+    floatRenderable: detected.floatTextures.renderable,
+    floatFilterable: detected.floatTextures.filterable,
+    webp: detected.imageDecoding.webp
+  };
+}
+
+function getSupportedCompressedFormats(report) {
+  return Object.keys(COMPRESSED_FORMATS).filter((key) => report.compressedFormats[key]).map((key) => COMPRESSED_FORMATS[key].label);
+}
+
+export function getTextureFormat(url) {
+  const path = url.split(/[?#]/)[0].toLowerCase();
+  const extension = path.slice(path.lastIndexOf('.') + 1);
+  return extension === 'jpeg' ? 'jpg' : extension;
+}
+
+// Whether this device can use a texture format well, and why
+function checkTextureFormat(format, report) {
+  if (format === 'ktx2') {
+    const targets = KTX2_TARGETS.filter((key) => report.compressedFormats[key]).map((key) => COMPRESSED_FORMATS[key].label);
+    return targets.length
+      ? { supported: true, reason: `KTX2 transcodes to ${targets[0]}` }
+      : { supported: false, reason: 'no compressed format to transcode KTX2 to, it would upload uncompressed' };
+  }
+  if (format === 'webp') {
+    return report.imageDecoding.webp
+      ? { supported: true, reason: 'the browser decodes WebP' }
+      : { supported: false, reason: 'the browser can\'t decode WebP' };
+  }
+  return { supported: true, reason: `every browser decodes ${format.toUpperCase()}` };
+}
+
+/**
+ * Orders a texture slot's fallback list for loading: the formats this device supports
+ * first, in the order the manifest lists them, then the unsupported ones as a last resort.
+ * Without a report (detection hasn't run) the manifest order is kept.
+ */
+export function rankTextureCandidates(urls, report = detected) {
+  const candidates = urls.map((url, index) => {
+    const format = getTextureFormat(url);
+    const check = report ? checkTextureFormat(format, report) : { supported: true, reason: 'capabilities not detected' };
+    return { url, format, index, ...check };
+  });
+  return [...candidates.filter((candidate) => candidate.supported), ...candidates.filter((candidate) => !candidate.supported)];
+}
+
+// One line for a slot's pick, e.g. "png (every browser decodes PNG); skipped ktx2: no compressed format …"
+export function describeTextureChoice(choice) {
+  const skipped = choice.skipped.map((entry) => `skipped ${entry.format}: ${entry.reason}`);
+  return [`${choice.format} (${choice.reason})`, ...skipped].join('; ');
+}
+
+function yesNo(value) {
+  return value ? 'yes' : 'no';
+}
+
+export function describeCapabilities(report) {
+  const formats = Object.entries(COMPRESSED_FORMATS).map(([key, { label }]) => `${label} ${report.compressedFormats[key] ? '✓' : '✗'}`);
+  const { floatTextures } = report;
+  return [
+    `GPU: ${report.gpu.renderer} (${report.gpu.vendor})`,
+    `${report.webgl}, ${report.precision} precision, DPR ${report.devicePixelRatio}`,
+    `Max texture size: ${report.maxTextureSize}, cube map ${report.maxCubemapSize}, anisotropy ${report.maxAnisotropy}, MSAA ${report.maxSamples}×`,
+    `Compressed formats: ${formats.join(' · ')}`,
+    `Float textures: render ${yesNo(floatTextures.renderable)}, filter ${yesNo(floatTextures.filterable)}, `
+      + `half-float render ${yesNo(floatTextures.halfFloatRenderable)}, blend ${yesNo(floatTextures.blendable)}`,
+    `WebP decoding: ${yesNo(report.imageDecoding.webp)}`
+  ];
+}
+
+/**
+ * Fills the capability panel with the report and, per LOD and slot, the texture picked
+ * from its fallback list. choices is [{ lod, slot, format, reason, skipped }].
+ */
+export function renderCapabilityReport(container, report, choices) {
+  container.replaceChildren();
+  const addLine = (text, style = '') => {
+    const line = document.createElement('div');
+    line.textContent = text;
+    line.style.cssText = style;
+    container.appendChild(line);
+  };
+
+  if (!report) {
+    addLine('Capabilities not detected yet');
+    return;
+  }
+  describeCapabilities(report).forEach((text) => addLine(text));
+
+  addLine('Texture fallbacks', 'margin-top: 6px; font-weight: bold;');
+  if (choices.length === 0) addLine('No LOD declares a fallback list');
+  choices.forEach((choice) => addLine(`${choice.lod} ${choice.slot}: ${describeTextureChoice(choice)}`));
+
+  addLine(`Extensions (${report.extensions.length})`, 'margin-top: 6px; font-weight: bold;');
+  addLine(report.extensions.join(', '), 'word-break: break-all; opacity: 0.8;');
+}
+
+export function downloadCapabilityReport(report, extra = {}) {
+  if (!report) {
+    console.warn('Capabilities have not been detected yet.');
+    return;
+  }
+  downloadJSON(`device-capabilities-${fileTimestamp()}.json`, { ...report, ...extra });
+}
+
+export function setupCapabilitiesGUI(gui, capabilitiesCtrl, onToggle) {
+  const capabilitiesFolder = gui.addFolder('Device Capabilities');
+  capabilitiesFolder.add(capabilitiesCtrl, 'showReport').name('Show Report').onChange(onToggle);
+  capabilitiesFolder.add(capabilitiesCtrl, 'downloadJSON').name('Download JSON');
+  return capabilitiesFolder;
+}
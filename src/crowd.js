@@ -0,0 +1,294 @@
+import * as THREE from 'three';
+import { selectLODIndex } from './autoLod.js';
+import { GPU_TIME_COLUMNS, createSweepRunner } from './benchmark.js';
+import { downloadCSV, downloadJSON, fileTimestamp } from './fileExport.js';
+
+export const CROWD_LOD_MODES = ['current', 'distance'];
+export const MAX_CROWD_COUNT = 5000;
+
+// Instance counts a sweep steps through, capped at the crowd count (which is always measured last)
+const SWEEP_COUNTS = [1, 10, 50, 100, 250, 500, 1000, 2500, 5000];
+
+const CSV_COLUMNS = [
+  'count', 'frames', 'meanMs', 'p50Ms', 'p95Ms', 'p99Ms', 'minMs', 'maxMs', 'fps', ...GPU_TIME_COLUMNS, 'triangles', 'drawCalls', 'lods', 'error'
+];
+
+// Grid positions on the ground plane, centered on the origin, in rows of ceil(sqrt(count))
+export function layoutGrid(count, spacing) {
+  const columns = Math.ceil(Math.sqrt(count));
+  const rows = Math.ceil(count / columns);
+  const positions = [];
+  for (let i = 0; i < count; i++) {
+    const column = i % columns;
+    const row = Math.floor(i / columns);
+    positions.push(new THREE.Vector3((column - (columns - 1) / 2) * spacing, 0, (row - (rows - 1) / 2) * spacing));
+  }
+  return positions;
+}
+
+export function getSweepCounts(maxCount) {
+  return [...new Set([...SWEEP_COUNTS.filter((count) => count < maxCount), maxCount])];
+}
+
+function formatLODCounts(lodCounts) {
+  return Object.entries(lodCounts)
+    .filter(([, count]) => count > 0)
+    .map(([lodKey, count]) => `${lodKey} ${count}`)
+    .join(', ');
+}
+
+/**
+ * Lays out N copies of the current asset on a grid, drawn with one InstancedMesh per mesh
+ * of each LOD, so the draw call count stays flat while the instance count grows.
+ *
+ * In 'current' mode every instance shows the selected LOD. In 'distance' mode each instance
+ * picks its own LOD from its camera distance, with the Auto LOD distance thresholds and
+ * hysteresis. LODs are only reassigned when the camera or the LOD settings change, and
+ * instance matrices are only rewritten when an assignment changes.
+ *
+ * createModel(lodKey) returns a clone of a loaded LOD with the GUI material applied, so the
+ * crowd shows the same traits as the single model. After material changes, updateMaterials()
+ * re-applies them through updateMaterial(material, lodKey) without rebuilding the instances;
+ * invalidate() rebuilds them, e.g. once another LOD has loaded.
+ */
+export function createCrowd({
+  scene, camera, crowdCtrl, lodCtrl, getLODKeys, createModel, updateMaterial, isLODLoaded, waitForFrame
+}) {
+  let lodBatches = new Map();
+  let positions = [];
+  let assignment = [];
+  let lodCounts = {};
+  let dirty = true;
+  // What the instances were built and assigned for, to skip work while nothing changed
+  let builtLOD = null;
+  let assignedSettings = null;
+  const assignedCameraMatrix = new THREE.Matrix4();
+
+  const sweep = createSweepRunner({ name: 'crowd sweep', waitForFrame });
+
+  const instanceMatrix = new THREE.Matrix4();
+  const matrix = new THREE.Matrix4();
+
+  function dispose() {
+    lodBatches.forEach(({ group, meshes }) => {
+      scene.remove(group);
+      meshes.forEach(({ mesh }) => {
+        mesh.material.dispose();
+        mesh.dispose();
+      });
+    });
+    lodBatches = new Map();
+    assignment = [];
+  }
+
+  // One InstancedMesh per mesh of each loaded LOD, placed by the mesh's transform within the model
+  function createBatch(lodKey, count) {
+    const template = createModel(lodKey);
+    if (!template) return null;
+    template.updateMatrixWorld(true);
+
+    const group = new THREE.Group();
+    group.name = `crowd ${lodKey}`;
+    const meshes = [];
+    template.traverse((child) => {
+      if (!child.isMesh) return;
+      const mesh = new THREE.InstancedMesh(child.geometry, child.material, count);
+      mesh.name = `${child.name} (instanced)`;
+      mesh.castShadow = child.castShadow;
+      mesh.receiveShadow = child.receiveShadow;
+      mesh.count = 0;
+      group.add(mesh);
+      meshes.push({ mesh, localMatrix: child.matrixWorld.clone() });
+    });
+    scene.add(group);
+    return { group, meshes };
+  }
+
+  function rebuild() {
+    dispose();
+    const count = crowdCtrl.count;
+    positions = layoutGrid(count, crowdCtrl.spacing);
+    const lodKeys = crowdCtrl.lodMode === 'distance' ? getLODKeys().filter(isLODLoaded) : [lodCtrl.currentLOD];
+    lodKeys.forEach((lodKey) => {
+      const batch = createBatch(lodKey, count);
+      if (batch) lodBatches.set(lodKey, batch);
+    });
+    builtLOD = lodCtrl.currentLOD;
+    assignedSettings = null;
+    dirty = false;
+  }
+
+  // LOD assignments depend on the camera position and the Auto LOD thresholds
+  function getAssignmentSettings() {
+    return `${crowdCtrl.lodMode} ${lodCtrl.hysteresis} ${JSON.stringify(lodCtrl.distanceThresholds)}`;
+  }
+
+  // LOD index per instance; falls back to the nearest loaded LOD below while others load
+  function assignLODs() {
+    const lodKeys = getLODKeys();
+    if (crowdCtrl.lodMode !== 'distance') {
+      const index = lodKeys.indexOf(lodCtrl.currentLOD);
+      return positions.map(() => index);
+    }
+
+    const thresholds = lodKeys.slice(1).map((lodKey) => lodCtrl.distanceThresholds[lodKey] ?? Infinity);
+    return positions.map((position, i) => {
+      let index = selectLODIndex(camera.position.distanceTo(position), thresholds, assignment[i] ?? 0, lodCtrl.hysteresis, 'distance');
+      while (index > 0 && !lodBatches.has(lodKeys[index])) index--;
+      return index;
+    });
+  }
+
+  function writeInstances(nextAssignment) {
+    const lodKeys = getLODKeys();
+    const counters = new Map([...lodBatches.keys()].map((lodKey) => [lodKey, 0]));
+    nextAssignment.forEach((index, i) => {
+      const batch = lodBatches.get(lodKeys[index]);
+      if (!batch) return;
+      const slot = counters.get(lodKeys[index]);
+      instanceMatrix.makeTranslation(positions[i]);
+      batch.meshes.forEach(({ mesh, localMatrix }) => {
+        mesh.setMatrixAt(slot, matrix.multiplyMatrices(instanceMatrix, localMatrix));
+      });
+      counters.set(lodKeys[index], slot + 1);
+    });
+
+    lodBatches.forEach(({ meshes }, lodKey) => {
+      meshes.forEach(({ mesh }) => {
+        mesh.count = counters.get(lodKey);
+        mesh.instanceMatrix.needsUpdate = true;
+        // Recomputed from the instances on the next frustum test
+        mesh.boundingSphere = null;
+      });
+    });
+    lodCounts = Object.fromEntries(counters);
+    assignment = nextAssignment;
+  }
+
+  // Called once per frame before rendering
+  function update() {
+    if (!crowdCtrl.enabled) return;
+    // In 'current' mode the batch holds the selected LOD only
+    if (dirty || (crowdCtrl.lodMode !== 'distance' && lodCtrl.currentLOD !== builtLOD)) rebuild();
+
+    camera.updateMatrixWorld();
+    const settings = getAssignmentSettings();
+    if (settings === assignedSettings && camera.matrixWorld.equals(assignedCameraMatrix)) return;
+    assignedSettings = settings;
+    assignedCameraMatrix.copy(camera.matrixWorld);
+
+    const nextAssignment = assignLODs();
+    if (nextAssignment.length !== assignment.length || nextAssignment.some((index, i) => index !== assignment[i])) {
+      writeInstances(nextAssignment);
+    }
+  }
+
+  // The instanced meshes share their materials with the template clones
+  function updateMaterials() {
+    lodBatches.forEach(({ meshes }, lodKey) => {
+      meshes.forEach(({ mesh }) => updateMaterial(mesh.material, lodKey));
+    });
+  }
+
+  function setEnabled(enabled) {
+    if (!enabled) dispose();
+    dirty = true;
+  }
+
+  // Pulls the camera back until the whole grid fits the view
+  function frame(controls) {
+    const extent = Math.ceil(Math.sqrt(crowdCtrl.count)) * crowdCtrl.spacing;
+    const distance = extent / Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2);
+    controls.target.set(0, 0, 0);
+    camera.position.set(0, distance * 0.6, distance * 0.8);
+    camera.lookAt(controls.target);
+    controls.update();
+  }
+
+  /**
+   * Measures frame time, draw calls and triangles at increasing instance counts, so the
+   * scaling of the current asset and material can be read off one table.
+   */
+  function runSweep(config) {
+    return sweep.run({ ...config, lodMode: crowdCtrl.lodMode, spacing: crowdCtrl.spacing }, {
+      setup: () => {
+        const initial = { enabled: crowdCtrl.enabled, count: crowdCtrl.count };
+        crowdCtrl.enabled = true;
+        return () => {
+          Object.assign(crowdCtrl, initial);
+          setEnabled(crowdCtrl.enabled);
+        };
+      },
+      execute: async (results) => {
+        const counts = getSweepCounts(config.maxCount);
+        for (let index = 0; index < counts.length && !sweep.isCancelled(); index++) {
+          const count = counts[index];
+          sweep.setStatus(`${index + 1}/${counts.length} ${count} instances`);
+          crowdCtrl.count = count;
+          dirty = true;
+
+          const measured = await sweep.measureFrames({ warmupFrames: config.warmupFrames, frameCount: config.framesPerStep });
+          results.rows.push({ count, ...measured, lods: formatLODCounts(lodCounts) });
+        }
+      }
+    });
+  }
+
+  return {
+    isActive: () => crowdCtrl.enabled,
+    update,
+    setEnabled,
+    frame,
+    updateMaterials,
+    invalidate: () => {
+      dirty = true;
+    },
+    getStats: () => ({ count: assignment.length, lods: formatLODCounts(lodCounts) }),
+    runSweep,
+    cancelSweep: sweep.cancel,
+    isSweeping: sweep.isRunning,
+    getStatus: sweep.getStatus,
+    getResults: sweep.getResults
+  };
+}
+
+export function describeCrowdStats({ count, lods }) {
+  return `Crowd: ${count.toLocaleString('en-US')} instances${lods ? ` (${lods})` : ''}`;
+}
+
+export function downloadCrowdResults(results, format = 'json') {
+  if (!results) {
+    console.warn('No crowd sweep results to download yet.');
+    return;
+  }
+  const filename = `crowd-sweep-${fileTimestamp(new Date(results.startedAt))}`;
+  if (format === 'csv') {
+    downloadCSV(`${filename}.csv`, results.rows, CSV_COLUMNS);
+  } else {
+    downloadJSON(`${filename}.json`, results);
+  }
+}
+
+export function getCrowdSweepConfig(crowdCtrl) {
+  return {
+    maxCount: crowdCtrl.count,
+    warmupFrames: crowdCtrl.warmupFrames,
+    framesPerStep: crowdCtrl.framesPerStep
+  };
+}
+
+export function setupCrowdGUI(gui, crowdCtrl, { onToggle, onChange }) {
+  const crowdFolder = gui.addFolder('Crowd Stress Test');
+  crowdFolder.add(crowdCtrl, 'enabled').name('Enable Crowd').listen().onChange(onToggle);
+  crowdFolder.add(crowdCtrl, 'count', 1, MAX_CROWD_COUNT, 1).name('Instances').listen().onChange(onChange);
+  crowdFolder.add(crowdCtrl, 'spacing', 0.5, 10, 0.1).name('Spacing').onChange(onChange);
+  crowdFolder.add(crowdCtrl, 'lodMode', CROWD_LOD_MODES).name('LOD per Instance').onChange(onChange);
+  crowdFolder.add(crowdCtrl, 'frameCrowd').name('Frame Crowd');
+  crowdFolder.add(crowdCtrl, 'warmupFrames', 0, 300, 1).name('Warmup Frames');
+  crowdFolder.add(crowdCtrl, 'framesPerStep', 30, 2000, 10).name('Frames per Step');
+  crowdFolder.add(crowdCtrl, 'runSweep').name('Run Scaling Sweep');
+  crowdFolder.add(crowdCtrl, 'cancelSweep').name('Cancel Sweep');
+  crowdFolder.add(crowdCtrl, 'downloadJSON').name('Download JSON');
+  crowdFolder.add(crowdCtrl, 'downloadCSV').name('Download CSV');
+  return crowdFolder;
+}
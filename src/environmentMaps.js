@@ -0,0 +1,237 @@
+import * as THREE from 'three';
+import { RGBELoader } from 'three/examples/jsm/loaders/RGBELoader.js';
+import { EXRLoader } from 'three/examples/jsm/loaders/EXRLoader.js';
+import { HDRJPGLoader } from '@monogrid/gainmap-js';
+import { downloadCSV, downloadJSON, fileTimestamp } from './fileExport.js';
+import { formatBytes } from './gpuMemory.js';
+import { getDeviceSummary } from './capabilities.js';
+
+// Loaders by file extension. A gain map JPEG is an SDR JPEG with an embedded gain map that
+// HDRJPGLoader recombines into a half-float HDR image on the GPU.
+const ENVIRONMENT_LOADERS = {
+  '.hdr': { format: 'RGBE', create: () => new RGBELoader() },
+  '.exr': { format: 'EXR', create: () => new EXRLoader() },
+  '.jpg': { format: 'Gain map JPEG', create: (renderer) => new HDRJPGLoader(renderer) },
+  '.jpeg': { format: 'Gain map JPEG', create: (renderer) => new HDRJPGLoader(renderer) }
+};
+export const ENVIRONMENT_EXTENSIONS = Object.keys(ENVIRONMENT_LOADERS);
+
+const STATS_COLUMNS = ['name', 'format', 'width', 'height', 'bytes', 'decodeMs', 'pmremMs', 'error'];
+
+const BACKGROUND_COLOR = new THREE.Color(0x111111);
+
+function getExtension(fileName) {
+  const path = fileName.split(/[?#]/)[0].toLowerCase();
+  return path.slice(path.lastIndexOf('.'));
+}
+
+function fileName(url) {
+  return decodeURIComponent(url.split(/[?#]/)[0].split('/').pop());
+}
+
+function round(ms) {
+  return Math.round(ms * 10) / 10;
+}
+
+export function isEnvironmentFile(name) {
+  return getExtension(name) in ENVIRONMENT_LOADERS;
+}
+
+/**
+ * Loads environment maps, turns them into PMREM textures and applies them to the scene.
+ * One PMREMGenerator is created on first use and reused for every map, and each map is
+ * converted once per URL; switching back to a map reuses its cached PMREM texture.
+ *
+ * Every conversion records the file size, the decode time (from the response arriving to
+ * the decoded texture) and the PMREM time, so formats can be compared on the same map.
+ * Dropped or picked files are listed under 'dropped:<n>/<name>' and read through an object
+ * URL that is revoked as soon as the load is done; a map released from the cache gets a
+ * new one when it is converted again.
+ *
+ * PMREM render targets are tracked in the resource registry as 'env:<url>'; disposing one
+ * frees its texture too. releaseUnused() disposes every cached map but the active one,
+ * which is converted again when picked.
+ */
+export function createEnvironmentManager({ renderer, scene, loadProfiler, resources }) {
+  let pmremGenerator = null;
+  let active = null;
+  const cache = new Map();
+  const pending = new Map();
+  const stats = new Map();
+  const droppedFiles = new Map();
+  let droppedCount = 0;
+
+  function getPMREMGenerator() {
+    if (!pmremGenerator) {
+      pmremGenerator = new THREE.PMREMGenerator(renderer);
+      pmremGenerator.compileEquirectangularShader();
+    }
+    return pmremGenerator;
+  }
+
+  function getName(url) {
+    return droppedFiles.get(url)?.name || fileName(url);
+  }
+
+  async function convert(url) {
+    const name = getName(url);
+    const loaderType = ENVIRONMENT_LOADERS[getExtension(name)];
+    if (!loaderType) {
+      throw new Error(`"${name}" is not a supported environment map (${ENVIRONMENT_EXTENSIONS.join(', ')})`);
+    }
+
+    const profileLabel = `env ${name}`;
+    const dropped = droppedFiles.get(url);
+    const row = { name, format: loaderType.format, bytes: dropped?.size ?? null };
+    stats.set(url, row);
+    // The last progress event marks the response as complete, so what follows is decoding
+    let receivedAt = performance.now();
+    const onProgress = (event) => {
+      receivedAt = performance.now();
+      row.bytes = event.loaded;
+    };
+
+    const loadURL = dropped ? URL.createObjectURL(dropped.file) : url;
+    try {
+      const loader = loadProfiler.wrapLoader(loaderType.create(renderer), profileLabel, 'imageDecode');
+      const result = await loader.loadAsync(loadURL, onProgress);
+      row.decodeMs = round(performance.now() - receivedAt);
+
+      const source = result.isTexture ? result : result.renderTarget.texture;
+      source.mapping = THREE.EquirectangularReflectionMapping;
+      row.width = source.image.width;
+      row.height = source.image.height;
+
+      const pmremStart = performance.now();
+      const renderTarget = loadProfiler.measure(profileLabel, 'pmrem', 'fromEquirectangular', () => getPMREMGenerator().fromEquirectangular(source));
+      const { texture } = renderTarget;
+      row.pmremMs = round(performance.now() - pmremStart);
+      // HDRJPGLoader's result owns the render target it decoded into
+      if (result.isTexture) {
+        result.dispose();
+      } else {
+        result.dispose(true);
+      }
+
+      texture.name = name;
+      resources.track(`env:${url}`, renderTarget);
+      cache.set(url, texture);
+      return texture;
+    } catch (error) {
+      row.error = error.message || String(error);
+      throw error;
+    } finally {
+      if (dropped) URL.revokeObjectURL(loadURL);
+    }
+  }
+
+  // Resolves with the PMREM texture of url; cached is false when it had to be converted
+  async function load(url) {
+    if (cache.has(url)) return { texture: cache.get(url), cached: true };
+    if (!pending.has(url)) {
+      pending.set(url, convert(url).finally(() => pending.delete(url)));
+    }
+    return { texture: await pending.get(url), cached: false };
+  }
+
+  // Makes a loaded map the active one; the rest of environmentCtrl applies without reloading
+  function setActive(url) {
+    active = cache.get(url) || null;
+  }
+
+  function apply(environmentCtrl) {
+    const rotation = THREE.MathUtils.degToRad(environmentCtrl.rotation);
+    scene.environment = active;
+    scene.environmentIntensity = environmentCtrl.envMapIntensity;
+    scene.environmentRotation.set(0, rotation, 0);
+    scene.background = environmentCtrl.useBackgroundAsEnv && active ? active : BACKGROUND_COLOR;
+    scene.backgroundIntensity = environmentCtrl.backgroundIntensity;
+    scene.backgroundBlurriness = environmentCtrl.backgroundBlurriness;
+    scene.backgroundRotation.set(0, rotation, 0);
+  }
+
+  // Keeps dropped or picked files that are environment maps; returns the keys they are listed under
+  function addFiles(files) {
+    return [...files].filter((file) => isEnvironmentFile(file.name)).map((file) => {
+      const key = `dropped:${++droppedCount}/${file.name}`;
+      droppedFiles.set(key, { name: file.name, size: file.size, file });
+      return key;
+    });
+  }
+
+  // Returns the number of maps that were disposed
+  function releaseUnused() {
+    const unused = [...cache].filter(([, texture]) => texture !== active);
+    unused.forEach(([url]) => {
+      resources.release(`env:${url}`);
+      cache.delete(url);
+    });
+    return unused.length;
+  }
+
+  return {
+    load,
+    setActive,
+    releaseUnused,
+    apply,
+    addFiles,
+    getName,
+    getDroppedURLs: () => [...droppedFiles.keys()],
+    getStats: (url) => stats.get(url) || null,
+    getAllStats: () => [...stats.values()],
+    // PMREM textures by map name, for the GPU memory report
+    getCache: () => Object.fromEntries([...cache].map(([url, texture]) => [getName(url), texture]))
+  };
+}
+
+export function describeEnvironmentStats(row) {
+  if (!row) return 'Env: loading…';
+  if (row.error) return `Env: ${row.name} failed: ${row.error}`;
+  if (row.pmremMs === undefined) return `Env: loading ${row.name}…`;
+  return `Env: ${row.name} (${row.format}, ${row.width}×${row.height}): ${formatBytes(row.bytes)}, decode ${row.decodeMs} ms, PMREM ${row.pmremMs} ms`;
+}
+
+export function downloadEnvironmentStats(rows, format = 'json') {
+  if (rows.length === 0) {
+    console.warn('No environment maps have been loaded yet.');
+    return;
+  }
+  const filename = `environment-maps-${fileTimestamp()}`;
+  if (format === 'csv') {
+    downloadCSV(`${filename}.csv`, rows, STATS_COLUMNS);
+  } else {
+    downloadJSON(`${filename}.json`, { userAgent: navigator.userAgent, device: getDeviceSummary(), measuredAt: new Date().toISOString(), maps: rows });
+  }
+}
+
+// Opens a file picker for environment maps
+export function pickEnvironmentFiles() {
+  return new Promise((resolve) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.multiple = true;
+    input.accept = ENVIRONMENT_EXTENSIONS.join(',');
+    input.addEventListener('change', () => {
+      if (input.files.length) resolve(input.files);
+    });
+    input.click();
+  });
+}
+
+/**
+ * Returns the map dropdown, whose options change with the asset and with dropped files.
+ * onEnvMapChange loads the selected map, onChange re-applies the other settings.
+ */
+export function setupEnvironmentGUI(gui, environmentCtrl, envMapOptions, { onEnvMapChange, onChange }) {
+  const envFolder = gui.addFolder('Environment');
+  const envMapController = envFolder.add(environmentCtrl, 'envMap', envMapOptions).name('Environment Map').onChange(onEnvMapChange);
+  envFolder.add(environmentCtrl, 'envMapIntensity', 0, 2).name('Lighting Intensity').onChange(onChange);
+  envFolder.add(environmentCtrl, 'rotation', -180, 180, 1).name('Rotation (°)').onChange(onChange);
+  envFolder.add(environmentCtrl, 'useBackgroundAsEnv').name('Use Background as Environment').onChange(onChange);
+  envFolder.add(environmentCtrl, 'backgroundIntensity', 0, 2).name('Background Intensity').onChange(onChange);
+  envFolder.add(environmentCtrl, 'backgroundBlurriness', 0, 1, 0.01).name('Background Blurriness').onChange(onChange);
+  envFolder.add(environmentCtrl, 'pickFiles').name('Open Environment Map…');
+  envFolder.add(environmentCtrl, 'downloadStatsJSON').name('Download Map Stats JSON');
+  envFolder.add(environmentCtrl, 'downloadStatsCSV').name('Download Map Stats CSV');
+  return { folder: envFolder, envMapController };
+}
@@ -0,0 +1,44 @@
+// Helpers for getting measurements out of the app as downloadable files
+
+export function downloadFile(filename, contents, mimeType = 'application/octet-stream') {
+  const blob = contents instanceof Blob ? contents : new Blob([contents], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a tick to start the download before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export function downloadJSON(filename, data) {
+  downloadFile(filename, JSON.stringify(data, null, 2), 'application/json');
+}
+
+export function downloadCSV(filename, rows, columns) {
+  downloadFile(filename, toCSV(rows, columns), 'text/csv');
+}
+
+// Converts an array of flat objects to CSV. Columns default to the keys of the first row.
+export function toCSV(rows, columns = Object.keys(rows[0] || {})) {
+  const escape = (value) => {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = [columns.map(escape).join(',')];
+  rows.forEach((row) => {
+    lines.push(columns.map((column) => escape(row[column])).join(','));
+  });
+  return lines.join('\n');
+}
+
+// Filesystem-safe timestamp for export filenames, e.g. 2024-05-01T12-30-00
+export function fileTimestamp(date = new Date()) {
+  return date.toISOString().slice(0, 19).replace(/:/g, '-');
+}
@@ -0,0 +1,237 @@
+import * as THREE from 'three';
+import { downloadJSON, fileTimestamp } from './fileExport.js';
+import { getDeviceSummary } from './capabilities.js';
+
+// Bytes per texel of uncompressed formats, per component type
+const TYPE_BYTES = {
+  [THREE.UnsignedByteType]: 1,
+  [THREE.ByteType]: 1,
+  [THREE.ShortType]: 2,
+  [THREE.UnsignedShortType]: 2,
+  [THREE.HalfFloatType]: 2,
+  [THREE.IntType]: 4,
+  [THREE.UnsignedIntType]: 4,
+  [THREE.FloatType]: 4
+};
+
+const FORMAT_COMPONENTS = {
+  [THREE.AlphaFormat]: 1,
+  [THREE.RedFormat]: 1,
+  [THREE.RedIntegerFormat]: 1,
+  [THREE.RGFormat]: 2,
+  [THREE.RGIntegerFormat]: 2,
+  [THREE.RGBFormat]: 3,
+  [THREE.RGBAFormat]: 4,
+  [THREE.RGBAIntegerFormat]: 4
+};
+
+function getImageSize(image) {
+  if (!image) return { width: 0, height: 0 };
+  return {
+    width: image.width || image.videoWidth || 0,
+    height: image.height || image.videoHeight || 0
+  };
+}
+
+/**
+ * Estimates the GPU memory a texture occupies once uploaded.
+ * Compressed textures are counted from their mip data as uploaded; uncompressed
+ * textures from their size, format and type, plus a third for a generated mip chain.
+ */
+export function estimateTextureBytes(texture) {
+  if (!texture) return 0;
+
+  if (texture.isCompressedTexture || (texture.mipmaps && texture.mipmaps.length && texture.mipmaps[0].data)) {
+    return texture.mipmaps.reduce((sum, mipmap) => sum + (mipmap.data ? mipmap.data.byteLength : 0), 0);
+  }
+
+  const { width, height } = getImageSize(texture.image);
+  const depth = texture.image?.depth || 1;
+  const components = FORMAT_COMPONENTS[texture.format] ?? 4;
+  const bytesPerTexel = components * (TYPE_BYTES[texture.type] ?? 1);
+  const base = width * height * depth * bytesPerTexel;
+  const mipFactor = texture.generateMipmaps && texture.minFilter !== THREE.LinearFilter && texture.minFilter !== THREE.NearestFilter ? 4 / 3 : 1;
+  return Math.round(base * mipFactor);
+}
+
+export function formatBytes(bytes) {
+  if (bytes === null || bytes === undefined) return 'n/a';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+}
+
+/**
+ * Sums the buffers a geometry uploads. Typed array sizes are used as-is, so quantized
+ * attributes (KHR_mesh_quantization int8/int16) count at their real size. Interleaved
+ * buffers are counted once even when several attributes point into them.
+ */
+export function estimateGeometryBytes(geometry, countedBuffers = new Set()) {
+  let attributes = 0;
+  const count = (attribute) => {
+    const buffer = attribute.isInterleavedBufferAttribute ? attribute.data : attribute;
+    if (countedBuffers.has(buffer)) return 0;
+    countedBuffers.add(buffer);
+    return buffer.array.byteLength;
+  };
+
+  Object.values(geometry.attributes).forEach((attribute) => {
+    attributes += count(attribute);
+  });
+  Object.values(geometry.morphAttributes).forEach((morphs) => {
+    morphs.forEach((attribute) => {
+      attributes += count(attribute);
+    });
+  });
+  const index = geometry.index ? count(geometry.index) : 0;
+
+  return { attributes, index, total: attributes + index };
+}
+
+// Render targets are RGBA8 color plus a 24-bit depth buffer (padded to 4 bytes)
+const RENDER_TARGET_TEXEL_BYTES = 8;
+
+/**
+ * Estimates the shadow map render target of a light. Allocated maps are measured directly;
+ * maps that will be (re)allocated on the next frame are estimated from shadow.mapSize and the
+ * light's frame extents (a point light packs its six faces into a 4 × 2 atlas). VSM keeps a
+ * second blur target of the same size.
+ */
+export function estimateShadowMapBytes(light) {
+  const shadow = light.shadow;
+  if (!light.castShadow || !shadow) return 0;
+
+  let width = shadow.map?.width;
+  let height = shadow.map?.height;
+  if (!width || !height) {
+    const extents = shadow.getFrameExtents();
+    width = shadow.mapSize.x * extents.x;
+    height = shadow.mapSize.y * extents.y;
+  }
+
+  const targets = shadow.mapPass ? 2 : 1;
+  return width * height * RENDER_TARGET_TEXEL_BYTES * targets;
+}
+
+/**
+ * Estimates the default framebuffer: color + depth at drawing buffer size, plus a
+ * multisampled copy of both when the context was created with antialias.
+ */
+export function estimateFramebufferBytes(renderer) {
+  const size = renderer.getDrawingBufferSize(new THREE.Vector2());
+  const attributes = renderer.getContext().getContextAttributes();
+  const samples = attributes?.antialias ? 4 : 0;
+  return size.x * size.y * RENDER_TARGET_TEXEL_BYTES * (1 + samples);
+}
+
+const TEXTURE_PROPERTIES = [
+  'map', 'alphaMap', 'aoMap', 'bumpMap', 'displacementMap', 'emissiveMap', 'envMap', 'lightMap',
+  'metalnessMap', 'normalMap', 'roughnessMap', 'clearcoatMap', 'clearcoatNormalMap', 'clearcoatRoughnessMap',
+  'iridescenceMap', 'iridescenceThicknessMap', 'sheenColorMap', 'sheenRoughnessMap', 'specularColorMap',
+  'specularIntensityMap', 'thicknessMap', 'transmissionMap', 'anisotropyMap'
+];
+
+function describeTexture(texture) {
+  const image = texture.mipmaps?.[0] || texture.image;
+  const size = image?.width ? `${image.width}×${image.height}` : '';
+  const compressed = texture.isCompressedTexture ? ' compressed' : '';
+  return `${size}${compressed}`.trim();
+}
+
+/**
+ * Walks the scene and the PMREM cache and returns an itemized GPU memory estimate:
+ * { items: [{ category, name, bytes, detail }], totals: { category: bytes }, total }.
+ * Only what the scene references is counted, since three.js uploads lazily on first use.
+ */
+export function collectGPUMemory({ scene, renderer, pmremCache = {} }) {
+  const items = [];
+  const seenTextures = new Set();
+  const seenGeometries = new Set();
+  const countedBuffers = new Set();
+  const pmremTextures = new Set(Object.values(pmremCache));
+
+  const addTexture = (texture, name) => {
+    if (!texture || !texture.isTexture || seenTextures.has(texture) || pmremTextures.has(texture)) return;
+    seenTextures.add(texture);
+    items.push({ category: 'textures', name: texture.name || name, bytes: estimateTextureBytes(texture), detail: describeTexture(texture) });
+  };
+
+  scene.traverse((object) => {
+    if (object.isMesh || object.isLine || object.isPoints) {
+      if (!seenGeometries.has(object.geometry)) {
+        seenGeometries.add(object.geometry);
+        const { attributes, index, total } = estimateGeometryBytes(object.geometry, countedBuffers);
+        items.push({
+          category: 'geometry',
+          name: object.name || object.geometry.name || object.type,
+          bytes: total,
+          detail: `attributes ${formatBytes(attributes)}, index ${formatBytes(index)}`
+        });
+      }
+
+      const materials = Array.isArray(object.material) ? object.material : [object.material];
+      materials.forEach((material) => {
+        TEXTURE_PROPERTIES.forEach((property) => addTexture(material?.[property], `${material.name || material.type}.${property}`));
+      });
+    }
+
+    if (object.isLight && object.castShadow) {
+      items.push({
+        category: 'shadowMaps',
+        name: object.name || object.type,
+        bytes: estimateShadowMapBytes(object),
+        detail: `${object.shadow.mapSize.x}² ${object.isPointLight ? 'cube (4×2 atlas)' : '2D'}`
+      });
+    }
+  });
+
+  addTexture(scene.background, 'scene.background');
+  addTexture(scene.environment, 'scene.environment');
+
+  Object.entries(pmremCache).forEach(([name, texture]) => {
+    const active = texture === scene.environment ? ' (active)' : '';
+    items.push({ category: 'pmrem', name: `${name.split('/').pop()}${active}`, bytes: estimateTextureBytes(texture), detail: describeTexture(texture) });
+  });
+
+  items.push({ category: 'framebuffer', name: 'canvas', bytes: estimateFramebufferBytes(renderer), detail: 'color + depth, ×5 with MSAA' });
+
+  const totals = {};
+  items.forEach((item) => {
+    totals[item.category] = (totals[item.category] || 0) + item.bytes;
+  });
+  const total = Object.values(totals).reduce((sum, bytes) => sum + bytes, 0);
+
+  return { items, totals, total };
+}
+
+export const GPU_MEMORY_CATEGORIES = {
+  textures: 'Textures',
+  geometry: 'Geometry',
+  shadowMaps: 'Shadow Maps',
+  pmrem: 'PMREM',
+  framebuffer: 'Framebuffer'
+};
+
+export function describeGPUMemory({ totals, total }) {
+  const parts = Object.entries(GPU_MEMORY_CATEGORIES)
+    .filter(([category]) => totals[category])
+    .map(([category, label]) => `${label} ${formatBytes(totals[category])}`);
+  return `GPU Memory ≈ ${formatBytes(total)} (${parts.join(', ')})`;
+}
+
+export function downloadGPUMemoryReport(report, rendererInfo) {
+  downloadJSON(`gpu-memory-${fileTimestamp()}.json`, {
+    userAgent: navigator.userAgent,
+    device: getDeviceSummary(),
+    measuredAt: new Date().toISOString(),
+    rendererInfo: { ...rendererInfo.memory },
+    ...report
+  });
+}
+
+export function setupGPUMemoryGUI(gui, memoryCtrl) {
+  const memoryFolder = gui.addFolder('GPU Memory');
+  memoryFolder.add(memoryCtrl, 'showBreakdown').name('Show Breakdown');
+  memoryFolder.add(memoryCtrl, 'downloadReport').name('Download Report');
+  return memoryFolder;
+}
@@ -0,0 +1,195 @@
+export const GPU_SEGMENTS = ['shadow', 'transmission', 'main', 'post'];
+
+const TIMER_EXTENSION = 'EXT_disjoint_timer_query_webgl2';
+
+// Frames averaged for the overlay, and frames allowed in flight before the oldest are dropped
+const AVERAGE_FRAMES = 30;
+const MAX_PENDING_FRAMES = 8;
+
+/**
+ * Times the GPU work of each frame with WebGL2 timer queries, split into segments:
+ * shadow maps, the transmission pass, the main scene pass and post-processing passes.
+ *
+ * three.js has no hooks for this, so renderer.render, shadowMap.render and
+ * setRenderTarget are wrapped: a render call is timed as 'main' (or 'post' for fullscreen
+ * quads and override-material passes), its shadow map update as 'shadow', and a switch to
+ * another render target in the middle of it, which is the transmission pass, as
+ * 'transmission'. Only one timer query can run at a time, so segments are timed back to
+ * back rather than nested. Results arrive a few frames late; getLatest() is the most
+ * recently resolved frame. endFrame() returns the frame's number, and getFrameTimes(number)
+ * resolves with that frame's times once its queries are in, so a measurement gets the
+ * samples of the frames it measured rather than whatever resolved meanwhile.
+ *
+ * Without the extension (WebGL1, Firefox by default, some mobile GPUs) everything here is
+ * a no-op and mode is 'cpu-only', so callers can label their numbers as CPU pacing.
+ */
+export function createGPUTimer(renderer) {
+  const gl = renderer.getContext();
+  const extension = gl.getExtension(TIMER_EXTENSION);
+
+  const queryPool = [];
+  const pending = [];
+  const history = [];
+  // Resolvers of getFrameTimes() by frame number
+  const waiting = new Map();
+  let frameCount = 0;
+  let frame = null;
+  let active = null;
+  let depth = 0;
+  let mainSegment = 'main';
+  let startTarget = null;
+  let latest = null;
+
+  function end() {
+    if (!active) return;
+    gl.endQuery(extension.TIME_ELAPSED_EXT);
+    frame.queries.push(active);
+    active = null;
+  }
+
+  function begin(segment) {
+    end();
+    const query = queryPool.pop() || gl.createQuery();
+    gl.beginQuery(extension.TIME_ELAPSED_EXT, query);
+    active = { segment, query };
+  }
+
+  function instrument() {
+    const render = renderer.render;
+    renderer.render = function(scene, camera) {
+      // Nested renders (e.g. from onBeforeRender) fall inside the running query
+      if (!frame || depth > 0) return render.call(this, scene, camera);
+      depth++;
+      mainSegment = scene.isScene && !scene.overrideMaterial ? 'main' : 'post';
+      startTarget = this.getRenderTarget();
+      begin(mainSegment);
+      try {
+        return render.call(this, scene, camera);
+      } finally {
+        end();
+        depth--;
+      }
+    };
+
+    const shadowMap = renderer.shadowMap;
+    const renderShadows = shadowMap.render;
+    shadowMap.render = function(lights, scene, camera) {
+      const timed = active && this.enabled && lights.length > 0;
+      if (timed) begin('shadow');
+      try {
+        renderShadows.call(this, lights, scene, camera);
+      } finally {
+        if (timed) begin(mainSegment);
+      }
+    };
+
+    const setRenderTarget = renderer.setRenderTarget;
+    renderer.setRenderTarget = function(renderTarget, ...args) {
+      if (active?.segment === mainSegment && renderTarget !== startTarget) {
+        begin('transmission');
+      } else if (active?.segment === 'transmission' && renderTarget === startTarget) {
+        begin(mainSegment);
+      }
+      return setRenderTarget.call(this, renderTarget, ...args);
+    };
+  }
+
+  // Hands a frame's times, or null when they were lost, to whoever is waiting for them
+  function settle(number, times) {
+    waiting.get(number)?.forEach((resolve) => resolve(times));
+    waiting.delete(number);
+  }
+
+  function record(times) {
+    latest = times;
+    history.push(times);
+    if (history.length > AVERAGE_FRAMES) history.shift();
+  }
+
+  // Collects every frame whose queries have finished, oldest first
+  function poll() {
+    const disjoint = gl.getParameter(extension.GPU_DISJOINT_EXT);
+    while (pending.length > 0) {
+      const { number, queries } = pending[0];
+      // Queries finish in order, so the frame is done once its last one is
+      if (!gl.getQueryParameter(queries[queries.length - 1].query, gl.QUERY_RESULT_AVAILABLE)) break;
+      pending.shift();
+      // A disjoint event (e.g. a GPU clock change) invalidates whatever was in flight
+      if (disjoint) {
+        settle(number, null);
+      } else {
+        const times = Object.fromEntries(GPU_SEGMENTS.map((segment) => [segment, 0]));
+        queries.forEach(({ segment, query }) => {
+          times[segment] += gl.getQueryParameter(query, gl.QUERY_RESULT) / 1e6;
+        });
+        times.total = GPU_SEGMENTS.reduce((sum, segment) => sum + times[segment], 0);
+        times.frame = number;
+        record(times);
+        settle(number, times);
+      }
+      queries.forEach(({ query }) => queryPool.push(query));
+    }
+  }
+
+  function beginFrame() {
+    if (!extension) return;
+    poll();
+    frame = { number: ++frameCount, queries: [] };
+  }
+
+  // Returns the number of the frame just timed, or null without timer queries
+  function endFrame() {
+    if (!extension || !frame) return null;
+    end();
+    const { number } = frame;
+    if (frame.queries.length > 0) pending.push(frame);
+    frame = null;
+    // The GPU is far behind or results were lost; don't let queries pile up
+    while (pending.length > MAX_PENDING_FRAMES) {
+      const dropped = pending.shift();
+      dropped.queries.forEach(({ query }) => gl.deleteQuery(query));
+      settle(dropped.number, null);
+    }
+    return number;
+  }
+
+  // Resolves with the times of one frame, or null if it drew nothing, was dropped or isn't known
+  function getFrameTimes(number) {
+    if (!extension || number === null) return Promise.resolve(null);
+    if (!pending.some((entry) => entry.number === number)) {
+      return Promise.resolve(history.find((times) => times.frame === number) || null);
+    }
+    return new Promise((resolve) => {
+      if (!waiting.has(number)) waiting.set(number, []);
+      waiting.get(number).push(resolve);
+    });
+  }
+
+  function getAverage() {
+    if (history.length === 0) return null;
+    const keys = [...GPU_SEGMENTS, 'total'];
+    return Object.fromEntries(keys.map((key) => [key, history.reduce((sum, times) => sum + times[key], 0) / history.length]));
+  }
+
+  if (extension) instrument();
+
+  return {
+    available: Boolean(extension),
+    mode: extension ? 'gpu' : 'cpu-only',
+    beginFrame,
+    endFrame,
+    getLatest: () => latest,
+    getFrameTimes,
+    getAverage
+  };
+}
+
+export function describeGPUTimes(timer) {
+  if (!timer.available) {
+    return `Timing: CPU only (${TIMER_EXTENSION} unavailable), frame times are CPU-side pacing`;
+  }
+  const average = timer.getAverage();
+  if (!average) return 'GPU: waiting for timer queries…';
+  const segments = GPU_SEGMENTS.map((segment) => `${segment} ${average[segment].toFixed(2)}`).join(', ');
+  return `GPU: ${average.total.toFixed(2)} ms (${segments})`;
+}
@@ -0,0 +1,25 @@
+// Small dat.gui helpers shared by the GUI setup functions
+
+/**
+ * Swaps the options of a dropdown controller. dat.gui's own controller.options()
+ * replaces the controller and drops its label, onChange handler and listen state,
+ * so those are carried over to the replacement here.
+ */
+export function replaceControllerOptions(controller, options) {
+  const name = controller.__li.querySelector('.property-name').innerHTML;
+  const onChange = controller.__onChange;
+  const listening = controller.__gui.__listening.indexOf(controller);
+  if (listening > -1) {
+    controller.__gui.__listening.splice(listening, 1);
+  }
+
+  const replacement = controller.options(options).name(name);
+  if (onChange) replacement.onChange(onChange);
+  if (listening > -1) replacement.listen();
+  return replacement;
+}
+
+// Labels a list of URLs by file name for dropdowns
+export function optionsByFileName(urls) {
+  return Object.fromEntries(urls.map((url) => [url.split('/').pop(), url]));
+}
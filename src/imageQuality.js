@@ -0,0 +1,365 @@
+import * as THREE from 'three';
+import { OutputPass } from 'three/examples/jsm/postprocessing/OutputPass.js';
+import { downloadJSON, downloadCSV, fileTimestamp } from './fileExport.js';
+import { getDeviceSummary } from './capabilities.js';
+
+export const CAPTURE_SIZES = [256, 512, 1024];
+export const QUALITY_COMPARE_MODES = ['current', 'all'];
+
+const CSV_COLUMNS = ['lod', 'reference', 'viewpoint', 'psnr', 'ssim', 'maxError', 'meanError', 'pass'];
+
+// SSIM on luminance in 8 × 8 windows with a stride of 4, constants for 8-bit values
+const SSIM_WINDOW = 8;
+const SSIM_STRIDE = 4;
+const SSIM_C1 = (0.01 * 255) ** 2;
+const SSIM_C2 = (0.03 * 255) ** 2;
+
+function round(value, digits = 4) {
+  if (!Number.isFinite(value)) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function toLuminance(pixels, width, height) {
+  const luminance = new Float32Array(width * height);
+  for (let i = 0; i < luminance.length; i++) {
+    luminance[i] = 0.2126 * pixels[i * 4] + 0.7152 * pixels[i * 4 + 1] + 0.0722 * pixels[i * 4 + 2];
+  }
+  return luminance;
+}
+
+function computeSSIM(a, b, width, height) {
+  const count = SSIM_WINDOW * SSIM_WINDOW;
+  let sum = 0;
+  let windows = 0;
+  for (let y = 0; y + SSIM_WINDOW <= height; y += SSIM_STRIDE) {
+    for (let x = 0; x + SSIM_WINDOW <= width; x += SSIM_STRIDE) {
+      let sumA = 0, sumB = 0, sumAA = 0, sumBB = 0, sumAB = 0;
+      for (let wy = 0; wy < SSIM_WINDOW; wy++) {
+        const row = (y + wy) * width + x;
+        for (let wx = 0; wx < SSIM_WINDOW; wx++) {
+          const va = a[row + wx];
+          const vb = b[row + wx];
+          sumA += va;
+          sumB += vb;
+          sumAA += va * va;
+          sumBB += vb * vb;
+          sumAB += va * vb;
+        }
+      }
+      const meanA = sumA / count;
+      const meanB = sumB / count;
+      const varianceA = sumAA / count - meanA * meanA;
+      const varianceB = sumBB / count - meanB * meanB;
+      const covariance = sumAB / count - meanA * meanB;
+      sum += ((2 * meanA * meanB + SSIM_C1) * (2 * covariance + SSIM_C2))
+        / ((meanA * meanA + meanB * meanB + SSIM_C1) * (varianceA + varianceB + SSIM_C2));
+      windows++;
+    }
+  }
+  return windows ? sum / windows : 1;
+}
+
+/**
+ * Compares two RGBA8 images of the same size.
+ * PSNR is over the RGB channels (Infinity for identical images), SSIM over luminance,
+ * and max/mean error are the largest/average per-pixel channel difference in 0–1.
+ */
+export function computeImageMetrics(a, b, width, height) {
+  let squaredError = 0;
+  let errorSum = 0;
+  let maxError = 0;
+  for (let i = 0; i < width * height; i++) {
+    let pixelError = 0;
+    for (let c = 0; c < 3; c++) {
+      const difference = Math.abs(a[i * 4 + c] - b[i * 4 + c]);
+      squaredError += difference * difference;
+      pixelError = Math.max(pixelError, difference);
+    }
+    errorSum += pixelError;
+    maxError = Math.max(maxError, pixelError);
+  }
+
+  const mse = squaredError / (width * height * 3);
+  return {
+    psnr: mse === 0 ? Infinity : 10 * Math.log10((255 * 255) / mse),
+    ssim: computeSSIM(toLuminance(a, width, height), toLuminance(b, width, height), width, height),
+    maxError: maxError / 255,
+    meanError: errorSum / (width * height * 255)
+  };
+}
+
+// Blue → cyan → green → yellow → red
+function falseColor(t) {
+  const stops = [[0, 0, 64], [0, 160, 255], [0, 220, 0], [255, 230, 0], [255, 0, 0]];
+  const position = THREE.MathUtils.clamp(t, 0, 1) * (stops.length - 1);
+  const index = Math.min(Math.floor(position), stops.length - 2);
+  const f = position - index;
+  return stops[index].map((value, c) => value + (stops[index + 1][c] - value) * f);
+}
+
+/**
+ * Builds the false-color difference image. The per-pixel error is multiplied by `gain`
+ * so small differences stand out; rows are flipped since readPixels starts at the bottom.
+ */
+export function createHeatmap(a, b, width, height, gain) {
+  const heatmap = new ImageData(width, height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const source = ((height - 1 - y) * width + x) * 4;
+      let error = 0;
+      for (let c = 0; c < 3; c++) {
+        error = Math.max(error, Math.abs(a[source + c] - b[source + c]));
+      }
+      const [r, g, bl] = falseColor((error / 255) * gain);
+      const target = (y * width + x) * 4;
+      heatmap.data[target] = r;
+      heatmap.data[target + 1] = g;
+      heatmap.data[target + 2] = bl;
+      heatmap.data[target + 3] = 255;
+    }
+  }
+  return heatmap;
+}
+
+export function getQualityConfig(ctrl, currentLOD, availableLODs) {
+  const lods = ctrl.compare === 'all'
+    ? availableLODs.filter((lodKey) => lodKey !== ctrl.referenceLOD)
+    : [currentLOD];
+  return {
+    referenceLOD: ctrl.referenceLOD,
+    lods,
+    viewpoints: ctrl.viewpoints,
+    orbitRadius: ctrl.orbitRadius,
+    orbitHeight: ctrl.orbitHeight,
+    captureSize: ctrl.captureSize,
+    psnrThreshold: ctrl.psnrThreshold,
+    ssimThreshold: ctrl.ssimThreshold,
+    heatmapGain: ctrl.heatmapGain
+  };
+}
+
+/**
+ * Renders the reference LOD and the compared LODs from the same ring of viewpoints
+ * around the orbit-controls target and compares the images.
+ *
+ * Each viewpoint is captured within a single task into captureSize² render targets, so
+ * every LOD sees the same light positions and the canvas is left alone. An OutputPass
+ * applies the renderer's tone mapping and sRGB encoding, so the output matches what the
+ * canvas shows. The main model is hidden during the capture and a fresh clone of each
+ * LOD is rendered instead.
+ */
+export function createImageQualityTool({ renderer, scene, camera, controls, getModel, createModel, isLODLoaded, waitForFrame, freezeScene }) {
+  let running = false;
+  let status = '';
+  let lastResults = null;
+  const heatmaps = new Map();
+  const outputPass = new OutputPass();
+
+  function getViewpointCamera(config, index) {
+    const captureCamera = new THREE.PerspectiveCamera(camera.fov, 1, camera.near, camera.far);
+    const angle = (index / config.viewpoints) * Math.PI * 2;
+    const target = controls.target;
+    captureCamera.position.set(
+      target.x + Math.sin(angle) * config.orbitRadius,
+      target.y + config.orbitHeight,
+      target.z + Math.cos(angle) * config.orbitRadius
+    );
+    captureCamera.lookAt(target);
+    return captureCamera;
+  }
+
+  // Renders linear HDR into sceneTarget, then tone maps and encodes it into outputTarget
+  function capture(lodModel, captureCamera, { sceneTarget, outputTarget }, size) {
+    scene.add(lodModel);
+    renderer.setRenderTarget(sceneTarget);
+    renderer.render(scene, captureCamera);
+    scene.remove(lodModel);
+    outputPass.render(renderer, outputTarget, sceneTarget);
+
+    const pixels = new Uint8Array(size * size * 4);
+    renderer.readRenderTargetPixels(outputTarget, 0, 0, size, size, pixels);
+    return pixels;
+  }
+
+  function disposeModel(lodModel) {
+    lodModel.traverse((child) => {
+      if (child.isMesh) child.material.dispose();
+    });
+  }
+
+  async function waitForLODs(lodKeys) {
+    for (let frame = 0; frame < 600 && !lodKeys.every(isLODLoaded); frame++) {
+      await waitForFrame();
+    }
+    return lodKeys.filter(isLODLoaded);
+  }
+
+  function captureViewpoint(config, lodKeys, index) {
+    const size = config.captureSize;
+    const previousTarget = renderer.getRenderTarget();
+    const targets = {
+      sceneTarget: new THREE.WebGLRenderTarget(size, size, { type: THREE.HalfFloatType }),
+      outputTarget: new THREE.WebGLRenderTarget(size, size)
+    };
+    const mainModel = getModel();
+    const restoreScene = freezeScene();
+    const images = {};
+
+    if (mainModel) mainModel.visible = false;
+    try {
+      const captureCamera = getViewpointCamera(config, index);
+      [config.referenceLOD, ...lodKeys].forEach((lodKey) => {
+        const lodModel = createModel(lodKey);
+        images[lodKey] = capture(lodModel, captureCamera, targets, size);
+        disposeModel(lodModel);
+      });
+    } finally {
+      if (mainModel) mainModel.visible = true;
+      restoreScene();
+      renderer.setRenderTarget(previousTarget);
+      targets.sceneTarget.dispose();
+      targets.outputTarget.dispose();
+    }
+    return images;
+  }
+
+  async function run(config) {
+    if (running) {
+      console.warn('An image quality run is already in progress.');
+      return lastResults;
+    }
+    running = true;
+    heatmaps.clear();
+
+    const results = {
+      startedAt: new Date().toISOString(),
+      userAgent: navigator.userAgent,
+      device: getDeviceSummary(),
+      config: { ...config },
+      rows: [],
+      summary: []
+    };
+
+    try {
+      status = 'waiting for LODs…';
+      const loaded = await waitForLODs([config.referenceLOD, ...config.lods]);
+      if (!loaded.includes(config.referenceLOD)) {
+        throw new Error(`Reference ${config.referenceLOD} is not loaded`);
+      }
+      const lodKeys = config.lods.filter((lodKey) => loaded.includes(lodKey));
+
+      for (let index = 0; index < config.viewpoints; index++) {
+        status = `viewpoint ${index + 1}/${config.viewpoints}`;
+        const images = captureViewpoint(config, lodKeys, index);
+        const size = config.captureSize;
+        const reference = images[config.referenceLOD];
+
+        lodKeys.forEach((lodKey) => {
+          const metrics = computeImageMetrics(reference, images[lodKey], size, size);
+          results.rows.push({
+            lod: lodKey,
+            reference: config.referenceLOD,
+            viewpoint: index,
+            psnr: round(metrics.psnr, 2),
+            ssim: round(metrics.ssim),
+            maxError: round(metrics.maxError),
+            meanError: round(metrics.meanError, 5),
+            pass: metrics.psnr >= config.psnrThreshold && metrics.ssim >= config.ssimThreshold
+          });
+          heatmaps.set(`${lodKey}.${index}`, createHeatmap(reference, images[lodKey], size, size, config.heatmapGain));
+        });
+
+        // Let a regular frame through between viewpoints so the page stays responsive
+        await waitForFrame();
+      }
+
+      results.summary = lodKeys.map((lodKey) => summarizeLOD(lodKey, results.rows.filter((row) => row.lod === lodKey)));
+      status = 'done';
+    } catch (error) {
+      console.error('Image quality run failed:', error);
+      results.error = error.message;
+      status = `failed: ${error.message}`;
+    } finally {
+      results.finishedAt = new Date().toISOString();
+      running = false;
+    }
+
+    lastResults = results;
+    console.table(results.rows);
+    return results;
+  }
+
+  return {
+    run,
+    isRunning: () => running,
+    getStatus: () => status,
+    getResults: () => lastResults,
+    getHeatmap: (lodKey, viewpoint) => heatmaps.get(`${lodKey}.${viewpoint}`) || null
+  };
+}
+
+// Worst case over the viewpoints, which is what a fidelity threshold has to hold for
+function summarizeLOD(lodKey, rows) {
+  // identical images have a PSNR of Infinity, exported as null
+  const psnrs = rows.map((row) => (row.psnr === null ? Infinity : row.psnr));
+  return {
+    lod: lodKey,
+    minPsnr: round(Math.min(...psnrs), 2),
+    minSsim: round(Math.min(...rows.map((row) => row.ssim))),
+    maxError: round(Math.max(...rows.map((row) => row.maxError))),
+    pass: rows.every((row) => row.pass)
+  };
+}
+
+export function describeQualitySummary(summary, reference) {
+  const psnr = summary.minPsnr === null ? '∞' : `${summary.minPsnr} dB`;
+  return `${summary.lod} vs ${reference}: PSNR ≥ ${psnr}, SSIM ≥ ${summary.minSsim}, max error ${summary.maxError} (${summary.pass ? 'pass' : 'FAIL'})`;
+}
+
+export function downloadQualityResults(results, format) {
+  if (!results) {
+    console.warn('No image quality results yet. Run a comparison first.');
+    return;
+  }
+  const baseName = `image-quality-${fileTimestamp(new Date(results.startedAt))}`;
+  if (format === 'csv') {
+    downloadCSV(`${baseName}.csv`, results.rows, CSV_COLUMNS);
+  } else {
+    downloadJSON(`${baseName}.json`, results);
+  }
+}
+
+export function setupImageQualityGUI(gui, qualityCtrl, lodKeys, onHeatmapChange) {
+  const qualityFolder = gui.addFolder('Image Quality');
+  const referenceController = qualityFolder.add(qualityCtrl, 'referenceLOD', lodKeys).name('Reference LOD');
+  qualityFolder.add(qualityCtrl, 'compare', QUALITY_COMPARE_MODES).name('Compare LODs');
+  qualityFolder.add(qualityCtrl, 'viewpoints', 1, 16, 1).name('Viewpoints').onChange(() => {
+    syncHeatmapViewpoint();
+    onHeatmapChange();
+  });
+  qualityFolder.add(qualityCtrl, 'orbitRadius', 0.5, 10, 0.1).name('Orbit Radius');
+  qualityFolder.add(qualityCtrl, 'orbitHeight', -5, 5, 0.1).name('Orbit Height');
+  qualityFolder.add(qualityCtrl, 'captureSize', CAPTURE_SIZES).name('Capture Size').onChange((value) => {
+    qualityCtrl.captureSize = Number(value); // dropdowns yield strings
+  });
+  qualityFolder.add(qualityCtrl, 'psnrThreshold', 10, 60, 0.5).name('Pass PSNR ≥ (dB)');
+  qualityFolder.add(qualityCtrl, 'ssimThreshold', 0, 1, 0.005).name('Pass SSIM ≥');
+  qualityFolder.add(qualityCtrl, 'heatmapGain', 1, 32, 1).name('Heatmap Gain');
+  qualityFolder.add(qualityCtrl, 'showHeatmap').name('Show Heatmap').onChange(onHeatmapChange);
+  const heatmapViewpointController = qualityFolder.add(qualityCtrl, 'heatmapViewpoint', 0, qualityCtrl.viewpoints - 1, 1)
+    .name('Heatmap Viewpoint').onChange(onHeatmapChange);
+  qualityFolder.add(qualityCtrl, 'run').name('Run Comparison');
+  qualityFolder.add(qualityCtrl, 'downloadJSON').name('Download JSON');
+  qualityFolder.add(qualityCtrl, 'downloadCSV').name('Download CSV');
+
+  // The heatmap viewpoint slider only offers the viewpoints a run captures
+  function syncHeatmapViewpoint() {
+    const last = qualityCtrl.viewpoints - 1;
+    heatmapViewpointController.max(last);
+    qualityCtrl.heatmapViewpoint = Math.min(qualityCtrl.heatmapViewpoint, last);
+    heatmapViewpointController.updateDisplay();
+  }
+
+  return { folder: qualityFolder, referenceLOD: referenceController, syncHeatmapViewpoint };
+}
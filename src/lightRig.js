@@ -0,0 +1,427 @@
+import * as THREE from 'three';
+import { RectAreaLightUniformsLib } from 'three/examples/jsm/lights/RectAreaLightUniformsLib.js';
+import { fitDirectionalShadow } from './shadows.js';
+
+const STORAGE_KEY = 'threejs-perftest.lightRigs';
+
+export const LIGHT_TYPES = ['directional', 'point', 'spot', 'hemisphere', 'rectArea', 'ambient'];
+export const LIGHT_ANIMATIONS = ['none', 'orbit', 'lissajous'];
+
+// Light types three.js can render shadows for, and the ones that have a position at all
+const SHADOW_TYPES = ['directional', 'point', 'spot'];
+const POSITIONED_TYPES = ['directional', 'point', 'spot', 'hemisphere', 'rectArea'];
+
+// Intensity slider range per type; point and spot lights decay physically with distance
+const INTENSITY_RANGES = {
+  directional: 10,
+  point: 200,
+  spot: 300,
+  hemisphere: 5,
+  rectArea: 50,
+  ambient: 5
+};
+
+// three.js defaults for the per-light shadow settings, and for a directional light's frustum
+const SHADOW_DEFAULTS = { shadowBias: 0, shadowNormalBias: 0, shadowRadius: 1, shadowBlurSamples: 8 };
+const DIRECTIONAL_FRUSTUM = { left: -5, right: 5, top: 5, bottom: -5, near: 0.5, far: 50 };
+
+// Starting values for a newly added light of each type
+const LIGHT_DEFAULTS = {
+  directional: { intensity: 1, x: 5, y: 10, z: 7.5, castShadow: true },
+  point: { intensity: 10, x: 2, y: 3, z: 2, distance: 0, decay: 2 },
+  spot: { intensity: 40, x: 3, y: 5, z: 3, castShadow: true, angle: Math.PI / 6, penumbra: 0.3, distance: 0, decay: 2 },
+  hemisphere: { intensity: 0.5, x: 0, y: 10, z: 0, groundColor: 0x444444 },
+  rectArea: { intensity: 5, x: 0, y: 2, z: 3, width: 2, height: 2 },
+  ambient: { intensity: 0.1 }
+};
+
+/**
+ * A light of a rig as plain data, so rigs can be stored as JSON and bound to the GUI.
+ * x/y/z is the rest position; animated lights move around it.
+ */
+export function createLightSpec(type, overrides = {}) {
+  return {
+    type,
+    name: type,
+    color: 0xffffff,
+    x: 0,
+    y: 0,
+    z: 0,
+    castShadow: false,
+    animation: 'none',
+    speed: 1,
+    ...(SHADOW_TYPES.includes(type) ? SHADOW_DEFAULTS : {}),
+    ...LIGHT_DEFAULTS[type],
+    ...overrides
+  };
+}
+
+// Rigs that ship with the app; "Default" is the original ambient + directional + orbiting point light
+export const BUILT_IN_RIGS = {
+  Default: [
+    createLightSpec('ambient', { name: 'ambient', intensity: 0.1 }),
+    createLightSpec('directional', { name: 'directional', intensity: 0.5, x: 0, y: 10, z: 10 }),
+    createLightSpec('point', { name: 'particle', intensity: 12, x: 0, y: 4, z: 3, castShadow: true, animation: 'lissajous' })
+  ],
+  'Three-Point Studio': [
+    createLightSpec('spot', { name: 'key', color: 0xfff1e0, intensity: 60, x: 3, y: 4, z: 3 }),
+    createLightSpec('directional', { name: 'fill', color: 0xdde8ff, intensity: 0.4, x: -4, y: 2, z: 2, castShadow: false }),
+    createLightSpec('directional', { name: 'rim', intensity: 1.2, x: 0, y: 3, z: -5, castShadow: false }),
+    createLightSpec('ambient', { name: 'ambient', intensity: 0.05 })
+  ],
+  'Single Key Light': [
+    createLightSpec('directional', { name: 'key', intensity: 1.5, x: 3, y: 6, z: 4 })
+  ],
+  Softbox: [
+    createLightSpec('rectArea', { name: 'softbox', intensity: 8, x: 0, y: 2.5, z: 2.5, width: 3, height: 2 }),
+    createLightSpec('hemisphere', { name: 'sky', intensity: 0.3, color: 0xdde8ff, groundColor: 0x3a3025 })
+  ]
+};
+
+function cloneSpecs(specs) {
+  return specs.map((spec) => ({ ...spec }));
+}
+
+export function loadRigStore() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    console.warn('Stored light rigs could not be read:', error);
+    return {};
+  }
+}
+
+export function getRigNames() {
+  return [...Object.keys(BUILT_IN_RIGS), ...Object.keys(loadRigStore()).filter((name) => !(name in BUILT_IN_RIGS))];
+}
+
+// A copy of a built-in or saved rig, or null if there is none by that name
+export function getRig(name) {
+  const specs = BUILT_IN_RIGS[name] || loadRigStore()[name];
+  return specs ? cloneSpecs(specs).map((spec) => createLightSpec(spec.type, spec)) : null;
+}
+
+export function saveRig(name, specs) {
+  if (name in BUILT_IN_RIGS) {
+    throw new Error(`"${name}" is a built-in rig; save under another name.`);
+  }
+  const store = loadRigStore();
+  store[name] = cloneSpecs(specs);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+}
+
+export function deleteRig(name) {
+  const store = loadRigStore();
+  delete store[name];
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+}
+
+function createLight(spec) {
+  switch (spec.type) {
+    case 'directional':
+      return new THREE.DirectionalLight();
+    case 'point': {
+      const light = new THREE.PointLight();
+      // A small bulb shows where the light is
+      light.add(new THREE.Mesh(new THREE.SphereGeometry(0.05, 8, 8), new THREE.MeshBasicMaterial()));
+      return light;
+    }
+    case 'spot':
+      return new THREE.SpotLight();
+    case 'hemisphere':
+      return new THREE.HemisphereLight();
+    case 'rectArea':
+      return new THREE.RectAreaLight();
+    case 'ambient':
+      return new THREE.AmbientLight();
+    default:
+      throw new Error(`Unknown light type "${spec.type}"`);
+  }
+}
+
+/**
+ * Keeps the scene's lights in sync with an editable list of light specs. Shadows follow
+ * the shadow controls: a light casts one if shadows are on, its spec asks for it, and its
+ * class is enabled (useDirectionalLightShadow covers directional and spot lights,
+ * useParticleLightShadow point lights, whose cube shadow maps render the scene six times).
+ */
+export function createLightRig({ scene, shadowCtrl }) {
+  RectAreaLightUniformsLib.init();
+
+  let specs = [];
+  const lights = new Map();
+  const helpers = new Map();
+  let showHelpers = false;
+  let frozen = false;
+
+  function castsShadow(spec) {
+    if (!shadowCtrl.useShadows || !spec.castShadow || !SHADOW_TYPES.includes(spec.type)) return false;
+    return spec.type === 'point' ? shadowCtrl.useParticleLightShadow : shadowCtrl.useDirectionalLightShadow;
+  }
+
+  function applyShadow(spec) {
+    const light = lights.get(spec);
+    light.castShadow = castsShadow(spec);
+    if (!light.shadow) return;
+    const resolution = Number(shadowCtrl.shadowResolution);
+    if (light.shadow.mapSize.x !== resolution) {
+      light.shadow.mapSize.set(resolution, resolution);
+      // Force shadow map update
+      if (light.shadow.map) {
+        light.shadow.map.dispose();
+        light.shadow.map = null;
+      }
+    }
+    light.shadow.bias = spec.shadowBias;
+    light.shadow.normalBias = spec.shadowNormalBias;
+    light.shadow.radius = spec.shadowRadius;
+    light.shadow.blurSamples = spec.shadowBlurSamples;
+    // Until fitShadows() fits it, a directional light covers a fixed box around the origin
+    Object.assign(light.shadow.camera, light.isDirectionalLight ? DIRECTIONAL_FRUSTUM : { near: 0.5, far: 50 });
+    light.shadow.camera.updateProjectionMatrix();
+    light.shadow.needsUpdate = true;
+    updateHelper(spec);
+  }
+
+  function removeHelper(spec) {
+    const helper = helpers.get(spec);
+    if (!helper) return;
+    scene.remove(helper);
+    helper.dispose();
+    helpers.delete(spec);
+  }
+
+  // Frustum helpers for the shadow cameras of directional and spot lights, shown while they cast shadows
+  function updateHelper(spec) {
+    const light = lights.get(spec);
+    if (!showHelpers || !light.castShadow || !(light.isDirectionalLight || light.isSpotLight)) {
+      removeHelper(spec);
+    } else if (!helpers.has(spec)) {
+      const helper = new THREE.CameraHelper(light.shadow.camera);
+      helper.name = `${spec.name} shadow frustum`;
+      helpers.set(spec, helper);
+      scene.add(helper);
+    }
+  }
+
+  function setHelpersVisible(visible) {
+    showHelpers = visible;
+    specs.forEach(updateHelper);
+  }
+
+  /**
+   * Called once per frame: fits each shadow-casting directional light's frustum to box
+   * (skipped when box is null) and redraws the frustum helpers.
+   */
+  function fitShadows(box, margin) {
+    specs.forEach((spec) => {
+      const light = lights.get(spec);
+      if (box && light.isDirectionalLight && light.castShadow) {
+        fitDirectionalShadow(light, box, margin);
+      }
+      helpers.get(spec)?.update();
+    });
+  }
+
+  function placeAtRest(spec) {
+    const light = lights.get(spec);
+    light.position.set(spec.x, spec.y, spec.z);
+    if (light.isRectAreaLight) light.lookAt(0, 0, 0);
+  }
+
+  // Pushes a spec's values into its light, e.g. after a GUI edit
+  function syncLight(spec) {
+    const light = lights.get(spec);
+    if (!light) return;
+    light.name = spec.name;
+    light.color.set(spec.color);
+    light.intensity = spec.intensity;
+    if (light.isHemisphereLight) light.groundColor.set(spec.groundColor);
+    if (light.isPointLight || light.isSpotLight) {
+      light.distance = spec.distance;
+      light.decay = spec.decay;
+    }
+    if (light.isSpotLight) {
+      light.angle = spec.angle;
+      light.penumbra = spec.penumbra;
+    }
+    if (light.isRectAreaLight) {
+      light.width = spec.width;
+      light.height = spec.height;
+    }
+    if (light.isPointLight) {
+      light.children[0].material.color.set(spec.color);
+    }
+    if (spec.animation === 'none' || frozen) placeAtRest(spec);
+    applyShadow(spec);
+  }
+
+  function addLight(spec) {
+    const light = createLight(spec);
+    lights.set(spec, light);
+    if (!specs.includes(spec)) specs.push(spec);
+    scene.add(light);
+    syncLight(spec);
+    placeAtRest(spec);
+    return spec;
+  }
+
+  function removeLight(spec) {
+    removeHelper(spec);
+    const light = lights.get(spec);
+    if (light) {
+      scene.remove(light);
+      light.shadow?.map?.dispose();
+      light.traverse((child) => {
+        if (child.isMesh) {
+          child.geometry.dispose();
+          child.material.dispose();
+        }
+      });
+      light.dispose();
+    }
+    lights.delete(spec);
+    specs = specs.filter((entry) => entry !== spec);
+  }
+
+  function setLights(nextSpecs) {
+    [...specs].forEach(removeLight);
+    nextSpecs.forEach(addLight);
+  }
+
+  /**
+   * Moves animated lights. 'orbit' circles the rest position around the vertical axis,
+   * 'lissajous' is the original particle light path scaled to the rest position's distance.
+   */
+  function update(time, animate) {
+    if (frozen || !animate) return;
+    const t = time * 0.00025;
+    specs.forEach((spec) => {
+      if (spec.animation === 'none' || !POSITIONED_TYPES.includes(spec.type)) return;
+      const light = lights.get(spec);
+      const phase = t * spec.speed;
+      if (spec.animation === 'orbit') {
+        const radius = Math.hypot(spec.x, spec.z);
+        const angle = Math.atan2(spec.x, spec.z) + phase * 2;
+        light.position.set(Math.sin(angle) * radius, spec.y, Math.cos(angle) * radius);
+      } else {
+        const distance = Math.hypot(spec.x, spec.y, spec.z);
+        light.position.set(
+          Math.sin(phase * 7) * distance * 0.6,
+          Math.cos(phase * 5) * distance * 0.8,
+          Math.cos(phase * 3) * distance * 0.6
+        );
+      }
+      if (light.isRectAreaLight) light.lookAt(0, 0, 0);
+    });
+  }
+
+  // Holds every light at its rest position, e.g. for repeatable image comparisons
+  function freeze() {
+    frozen = true;
+    specs.forEach(placeAtRest);
+    return () => {
+      frozen = false;
+    };
+  }
+
+  function getSummary() {
+    const byType = {};
+    specs.forEach((spec) => {
+      byType[spec.type] = (byType[spec.type] || 0) + 1;
+    });
+    const shadowCasters = specs.filter(castsShadow);
+    return {
+      count: specs.length,
+      byType,
+      shadowCasters: shadowCasters.length,
+      cubeShadows: shadowCasters.filter((spec) => spec.type === 'point').length
+    };
+  }
+
+  return {
+    setLights,
+    addLight,
+    removeLight,
+    syncLight,
+    applyShadows: () => specs.forEach(applyShadow),
+    fitShadows,
+    setHelpersVisible,
+    update,
+    freeze,
+    getSpecs: () => specs,
+    getLights: () => specs.map((spec) => lights.get(spec)),
+    getSummary
+  };
+}
+
+export function describeLightRig({ count, byType, shadowCasters, cubeShadows }) {
+  const types = Object.entries(byType).map(([type, typeCount]) => `${typeCount} ${type}`).join(', ');
+  return `Lights: ${count}${types ? ` (${types})` : ''}, shadow casters: ${shadowCasters}${cubeShadows ? ` (${cubeShadows} cube)` : ''}`;
+}
+
+/**
+ * Builds the "Light Rig" folder: rig selection, save/delete and one subfolder per light.
+ * Returns the rig dropdown (its options change when rigs are saved or deleted) and a
+ * function that rebuilds the per-light subfolders after lights were added or replaced.
+ */
+export function setupLightRigGUI(gui, lightsCtrl, lightRig, onSelectRig) {
+  const rigFolder = gui.addFolder('Light Rig');
+  const rigController = rigFolder.add(lightsCtrl, 'rig', getRigNames()).name('Rig').onChange(onSelectRig);
+  rigFolder.add(lightsCtrl, 'animate').name('Animate Lights');
+  rigFolder.add(lightsCtrl, 'newLightType', LIGHT_TYPES).name('New Light Type');
+  rigFolder.add(lightsCtrl, 'addLight').name('Add Light');
+  rigFolder.add(lightsCtrl, 'saveName').name('Save As');
+  rigFolder.add(lightsCtrl, 'saveRig').name('Save Rig');
+  rigFolder.add(lightsCtrl, 'deleteRig').name('Delete Saved Rig');
+
+  let lightFolders = [];
+
+  function rebuildLightFolders() {
+    lightFolders.forEach((folder) => rigFolder.removeFolder(folder));
+    lightFolders = lightRig.getSpecs().map((spec, index) => {
+      const folder = rigFolder.addFolder(`${index + 1}. ${spec.name} (${spec.type})`);
+      const sync = () => lightRig.syncLight(spec);
+      folder.addColor(spec, 'color').name('Color').onChange(sync);
+      if (spec.type === 'hemisphere') {
+        folder.addColor(spec, 'groundColor').name('Ground Color').onChange(sync);
+      }
+      folder.add(spec, 'intensity', 0, INTENSITY_RANGES[spec.type]).name('Intensity').onChange(sync);
+      if (POSITIONED_TYPES.includes(spec.type)) {
+        ['x', 'y', 'z'].forEach((axis) => folder.add(spec, axis, -20, 20, 0.1).name(`Position ${axis.toUpperCase()}`).onChange(sync));
+        folder.add(spec, 'animation', LIGHT_ANIMATIONS).name('Animation').onChange(sync);
+        folder.add(spec, 'speed', 0, 5, 0.1).name('Animation Speed');
+      }
+      if (SHADOW_TYPES.includes(spec.type)) {
+        folder.add(spec, 'castShadow').name('Cast Shadow').onChange(sync);
+        folder.add(spec, 'shadowBias', -0.01, 0.01, 0.0001).name('Shadow Bias').onChange(sync);
+        folder.add(spec, 'shadowNormalBias', 0, 0.2, 0.001).name('Shadow Normal Bias').onChange(sync);
+        // Radius blurs PCF and VSM shadows; VSM takes blurSamples samples for that blur
+        folder.add(spec, 'shadowRadius', 0, 25, 0.1).name('Shadow Radius').onChange(sync);
+        folder.add(spec, 'shadowBlurSamples', 1, 32, 1).name('Shadow Blur Samples').onChange(sync);
+      }
+      if (spec.type === 'point' || spec.type === 'spot') {
+        folder.add(spec, 'distance', 0, 50, 0.1).name('Distance (0 = ∞)').onChange(sync);
+        folder.add(spec, 'decay', 0, 3, 0.1).name('Decay').onChange(sync);
+      }
+      if (spec.type === 'spot') {
+        folder.add(spec, 'angle', 0.05, Math.PI / 2).name('Angle').onChange(sync);
+        folder.add(spec, 'penumbra', 0, 1).name('Penumbra').onChange(sync);
+      }
+      if (spec.type === 'rectArea') {
+        folder.add(spec, 'width', 0.1, 10).name('Width').onChange(sync);
+        folder.add(spec, 'height', 0.1, 10).name('Height').onChange(sync);
+      }
+      folder.add({
+        remove: () => {
+          lightRig.removeLight(spec);
+          rebuildLightFolders();
+        }
+      }, 'remove').name('Remove Light');
+      return folder;
+    });
+  }
+
+  rebuildLightFolders();
+  return { folder: rigFolder, rigController, rebuildLightFolders };
+}
@@ -0,0 +1,305 @@
+import * as THREE from 'three';
+import { downloadJSON, fileTimestamp } from './fileExport.js';
+import { getDeviceSummary } from './capabilities.js';
+
+// Stages of an asset's lifecycle, in the order they happen, with their waterfall colors
+export const LOAD_STAGES = {
+  fetch: { label: 'Fetch', color: '#4e9af1' },
+  meshoptDecode: { label: 'Meshopt Decode', color: '#f1a04e' },
+  ktx2Transcode: { label: 'KTX2 Transcode', color: '#c34ef1' },
+  imageDecode: { label: 'Image Decode', color: '#4ef18a' },
+  pmrem: { label: 'PMREM', color: '#f1e24e' },
+  firstRender: { label: 'First Render', color: '#f14e4e' }
+};
+
+function resolveURL(url) {
+  try {
+    return new URL(url, document.baseURI).href;
+  } catch {
+    return url;
+  }
+}
+
+function fileName(url) {
+  return decodeURIComponent(url.split(/[?#]/)[0].split('/').pop());
+}
+
+function round(ms) {
+  return ms === null ? null : Math.round(ms * 10) / 10;
+}
+
+/**
+ * Records the load-time waterfall of the current asset. Every entry is a span
+ * { asset, stage, label, start, end } in performance.now() time. Network spans come
+ * from the Resource Timing entries of the URLs the instrumented loaders requested;
+ * decode spans are timed around the decoders, starting once the response has arrived.
+ *
+ * A run starts at navigation for the first asset and at the switch for later ones.
+ * Time-to-first-frame ends when the first LOD has been rendered, time-to-all-LODs when
+ * the last LOD of the asset has finished loading.
+ */
+export function createLoadProfiler() {
+  // The default buffer of 250 entries fills up quickly with per-texture requests
+  performance.setResourceTimingBufferSize?.(2000);
+
+  let run;
+  let pendingRenders = [];
+
+  function startRun(assetId, origin = performance.now()) {
+    run = {
+      assetId,
+      origin,
+      spans: [],
+      urls: new Map(),
+      strategy: null,
+      timeToFirstFrame: null,
+      timeToAllLODs: null
+    };
+    pendingRenders = [];
+  }
+
+  function addSpan(asset, stage, label, start, end, extra = {}) {
+    run.spans.push({ asset, stage, label, start, end, ...extra });
+  }
+
+  // Remembers a requested URL so its network timing can be picked up later
+  function trackURL(asset, url, requestedAt = performance.now()) {
+    if (url.startsWith('blob:') || url.startsWith('data:')) return;
+    run.urls.set(resolveURL(url), { asset, requestedAt });
+  }
+
+  function getResourceEntry(url) {
+    const entries = performance.getEntriesByName(resolveURL(url), 'resource');
+    return entries[entries.length - 1] || null;
+  }
+
+  // Times a decode that follows a download: the span starts when the response has arrived
+  function startDecode(asset, stage, url) {
+    const requestedAt = performance.now();
+    return () => {
+      const end = performance.now();
+      const entry = url ? getResourceEntry(url) : null;
+      const start = entry && entry.responseEnd > requestedAt ? entry.responseEnd : requestedAt;
+      addSpan(asset, stage, url ? fileName(url) : stage, start, end);
+    };
+  }
+
+  /**
+   * Wraps a three.js loader so every load() is tracked and timed as `stage`.
+   * The wrapper inherits from the loader, so flags like isImageBitmapLoader still apply.
+   */
+  function wrapLoader(loader, asset, stage) {
+    const wrapped = Object.create(loader);
+    wrapped.load = (url, onLoad, onProgress, onError) => {
+      const resolved = loader.path ? loader.path + url : url;
+      trackURL(asset, resolved);
+      const done = startDecode(asset, stage, resolved);
+      return loader.load(url, (result) => {
+        done();
+        onLoad(result);
+      }, onProgress, onError);
+    };
+    wrapped.loadAsync = (url, onProgress) => new Promise((resolve, reject) => wrapped.load(url, resolve, onProgress, reject));
+    return wrapped;
+  }
+
+  function wrapMeshoptDecoder(decoder, asset) {
+    const timed = (decode) => (...args) => {
+      const start = performance.now();
+      const result = decode(...args);
+      Promise.resolve(result).then(() => addSpan(asset, 'meshoptDecode', 'buffer view', start, performance.now()));
+      return result;
+    };
+    return {
+      ...decoder,
+      decodeGltfBuffer: timed(decoder.decodeGltfBuffer),
+      decodeGltfBufferAsync: decoder.decodeGltfBufferAsync && timed(decoder.decodeGltfBufferAsync)
+    };
+  }
+
+  /**
+   * Hooks a GLTFLoader used for a single asset: every file it requests is tracked
+   * through the loading manager, and the parser's meshopt decoder, KTX2 loader and
+   * image loader are swapped for timed wrappers. Each parse creates a new parser,
+   * so this is done from a plugin callback.
+   */
+  function instrumentGLTFLoader(loader, asset) {
+    // A private manager, so the shared default one used by every other loader stays untouched
+    loader.manager = new THREE.LoadingManager();
+    loader.manager.setURLModifier((url) => {
+      trackURL(asset, url);
+      return url;
+    });
+    loader.register((parser) => {
+      const { options } = parser;
+      if (options.meshoptDecoder) {
+        options.meshoptDecoder = wrapMeshoptDecoder(options.meshoptDecoder, asset);
+      }
+      if (options.ktx2Loader) {
+        options.ktx2Loader = wrapLoader(options.ktx2Loader, asset, 'ktx2Transcode');
+      }
+      parser.textureLoader = wrapLoader(parser.textureLoader, asset, 'imageDecode');
+      return { name: 'load_profiler' };
+    });
+    return loader;
+  }
+
+  // Bytes transferred so far for the URLs requested for asset, from their Resource Timing entries
+  function getTransferredBytes(asset) {
+    let bytes = 0;
+    run.urls.forEach((tracked, url) => {
+      if (tracked.asset !== asset) return;
+      const entry = getResourceEntry(url);
+      if (entry && entry.startTime >= tracked.requestedAt - 1) bytes += entry.encodedBodySize;
+    });
+    return bytes;
+  }
+
+  // Times a synchronous step such as PMREM generation
+  function measure(asset, stage, label, fn) {
+    const start = performance.now();
+    const result = fn();
+    addSpan(asset, stage, label, start, performance.now());
+    return result;
+  }
+
+  // The asset became visible; the span closes once the next frame has been rendered
+  function expectFirstRender(asset) {
+    if (run.spans.some((span) => span.asset === asset && span.stage === 'firstRender')) return;
+    if (pendingRenders.some((pending) => pending.asset === asset)) return;
+    pendingRenders.push({ asset, start: performance.now() });
+  }
+
+  function onFrameRendered() {
+    if (!run || pendingRenders.length === 0) return;
+    const end = performance.now();
+    pendingRenders.forEach(({ asset, start }) => addSpan(asset, 'firstRender', asset, start, end));
+    pendingRenders = [];
+    if (run.timeToFirstFrame === null) {
+      run.timeToFirstFrame = end - run.origin;
+    }
+  }
+
+  function onAllLODsLoaded() {
+    if (run.timeToAllLODs === null) {
+      run.timeToAllLODs = performance.now() - run.origin;
+    }
+  }
+
+  // Turns the Resource Timing entries of the tracked URLs into fetch spans
+  function collectFetchSpans() {
+    const fetched = new Set(run.spans.filter((span) => span.stage === 'fetch').map((span) => span.url));
+    run.urls.forEach(({ asset, requestedAt }, url) => {
+      if (fetched.has(url)) return;
+      // Skip entries from before the request, e.g. the manifest's HEAD checks, until the real one is in
+      const entry = getResourceEntry(url);
+      if (!entry || entry.startTime < requestedAt - 1) return;
+      addSpan(asset, 'fetch', fileName(url), entry.startTime, entry.responseEnd, {
+        url,
+        transferBytes: entry.transferSize,
+        encodedBytes: entry.encodedBodySize
+      });
+    });
+  }
+
+  function getProfile() {
+    collectFetchSpans();
+    const spans = [...run.spans].sort((a, b) => a.start - b.start);
+    return {
+      assetId: run.assetId,
+      strategy: run.strategy,
+      timeToFirstFrame: round(run.timeToFirstFrame),
+      timeToAllLODs: round(run.timeToAllLODs),
+      spans: spans.map((span) => ({
+        ...span,
+        start: round(span.start - run.origin),
+        end: round(span.end - run.origin),
+        duration: round(span.end - span.start)
+      }))
+    };
+  }
+
+  return {
+    startRun,
+    // LOD streaming strategy of the run, so profiles of both strategies can be told apart
+    setStrategy: (strategy) => {
+      run.strategy = strategy;
+    },
+    trackURL,
+    wrapLoader,
+    instrumentGLTFLoader,
+    measure,
+    expectFirstRender,
+    onFrameRendered,
+    onAllLODsLoaded,
+    getTransferredBytes,
+    getProfile,
+    getHeadline: () => ({
+      strategy: run.strategy,
+      timeToFirstFrame: round(run.timeToFirstFrame),
+      timeToAllLODs: round(run.timeToAllLODs)
+    }),
+    download: () => downloadJSON(`load-profile-${fileTimestamp()}.json`, {
+      userAgent: navigator.userAgent,
+      device: getDeviceSummary(),
+      measuredAt: new Date().toISOString(),
+      ...getProfile()
+    })
+  };
+}
+
+export function describeLoadHeadline({ strategy, timeToFirstFrame, timeToAllLODs }) {
+  const format = (ms) => (ms === null ? '…' : `${Math.round(ms)} ms`);
+  const suffix = strategy ? ` (${strategy})` : '';
+  return `Time to first frame: ${format(timeToFirstFrame)}, to all LODs: ${format(timeToAllLODs)}${suffix}`;
+}
+
+/**
+ * Draws the profile as a waterfall: one row per asset and stage, one bar per span,
+ * on a shared time axis starting at the run origin.
+ */
+export function renderWaterfall(container, profile) {
+  const rows = new Map();
+  profile.spans.forEach((span) => {
+    const key = `${span.asset} · ${LOAD_STAGES[span.stage]?.label || span.stage}`;
+    if (!rows.has(key)) rows.set(key, []);
+    rows.get(key).push(span);
+  });
+
+  const total = Math.max(1, ...profile.spans.map((span) => span.end));
+  const percent = (ms) => `${(ms / total) * 100}%`;
+
+  container.replaceChildren();
+  const header = document.createElement('div');
+  header.textContent = `${describeLoadHeadline(profile)} (axis 0 – ${Math.round(total)} ms)`;
+  container.appendChild(header);
+
+  rows.forEach((spans, key) => {
+    const row = document.createElement('div');
+    row.style.cssText = 'display: flex; align-items: center; height: 14px; margin-top: 2px;';
+
+    const label = document.createElement('div');
+    label.textContent = key;
+    label.style.cssText = 'width: 190px; flex: none; overflow: hidden; white-space: nowrap; text-overflow: ellipsis;';
+
+    const track = document.createElement('div');
+    track.style.cssText = 'position: relative; flex: 1; height: 10px; background: rgba(255, 255, 255, 0.08);';
+    spans.forEach((span) => {
+      const bar = document.createElement('div');
+      bar.title = `${span.label}: ${span.start} → ${span.end} ms (${span.duration} ms)`;
+      bar.style.cssText = `position: absolute; top: 0; bottom: 0; min-width: 1px; left: ${percent(span.start)}; `
+        + `width: ${percent(span.duration)}; background: ${LOAD_STAGES[span.stage]?.color || '#ccc'};`;
+      track.appendChild(bar);
+    });
+
+    row.append(label, track);
+    container.appendChild(row);
+  });
+}
+
+export function setupLoadProfilerGUI(gui, profilerCtrl, onToggle) {
+  const profilerFolder = gui.addFolder('Load Profiler');
+  profilerFolder.add(profilerCtrl, 'showWaterfall').name('Show Waterfall').onChange(onToggle);
+  profilerFolder.add(profilerCtrl, 'downloadJSON').name('Download JSON');
+  return profilerFolder;
+}
@@ -0,0 +1,147 @@
+import { formatBytes } from './gpuMemory.js';
+
+export const LOD_STREAMING_STRATEGIES = ['progressive', 'heaviestFirst'];
+export const MAX_PARALLEL_LOADS = 4;
+
+const STATE_LABELS = {
+  queued: 'queued',
+  loading: 'loading',
+  loaded: '✓',
+  failed: 'failed',
+  cancelled: 'cancelled'
+};
+
+/**
+ * Order in which a strategy loads an asset's LODs; lodKeys run from heaviest to lightest,
+ * as in the manifest. heaviestFirst keeps the manifest order. progressive starts with the
+ * lightest LOD and works upward to the requested one, then loads the ones heavier than it.
+ */
+export function getLoadOrder(lodKeys, requestedLOD, strategy) {
+  if (strategy === 'heaviestFirst') return [...lodKeys];
+  const requested = Math.max(0, lodKeys.indexOf(requestedLOD));
+  return [...lodKeys.slice(requested).reverse(), ...lodKeys.slice(0, requested).reverse()];
+}
+
+/**
+ * Loads the LODs of one asset in priority order, up to `parallel` at a time (always one
+ * at a time heaviest-first, as before). A LOD that fails is marked failed and the others
+ * keep loading. prioritize() moves a queued LOD to the front of the queue.
+ *
+ * cancel() drops the queue. three.js loaders can't abort a request once it has started,
+ * so loads in flight run to the end, but report nothing; load() is expected to discard
+ * their result.
+ *
+ * load(lodKey, onProgress) resolves with the model, or null when the result was discarded.
+ * Progress events cover the glTF file; once a LOD is in, getBytes(lodKey) reports every
+ * byte it fetched, buffers and textures included.
+ */
+export function createLODStream({ lodKeys, strategy, requestedLOD, parallel, load, getBytes, onLoaded, onFailed }) {
+  const entries = new Map(lodKeys.map((lodKey) => [lodKey, {
+    lod: lodKey, state: 'queued', bytesLoaded: 0, bytesTotal: null, ms: null, error: null
+  }]));
+  const concurrency = strategy === 'heaviestFirst' ? 1 : Math.min(MAX_PARALLEL_LOADS, Math.max(1, parallel));
+  let queue = getLoadOrder(lodKeys, requestedLOD, strategy);
+  let active = 0;
+  let cancelled = false;
+  let finished = false;
+  let resolveDone;
+  const done = new Promise((resolve) => {
+    resolveDone = resolve;
+  });
+
+  function settle() {
+    if (finished || active > 0 || queue.length > 0) return;
+    finished = true;
+    resolveDone(!cancelled);
+  }
+
+  async function loadEntry(entry) {
+    entry.state = 'loading';
+    const start = performance.now();
+    try {
+      const model = await load(entry.lod, (event) => {
+        entry.bytesLoaded = event.loaded;
+        entry.bytesTotal = event.lengthComputable ? event.total : null;
+      });
+      if (cancelled || !model) {
+        entry.state = 'cancelled';
+        return;
+      }
+      entry.state = 'loaded';
+      entry.ms = Math.round(performance.now() - start);
+      entry.bytesLoaded = getBytes(entry.lod) || entry.bytesLoaded;
+      onLoaded(entry.lod);
+    } catch (error) {
+      if (cancelled) {
+        entry.state = 'cancelled';
+        return;
+      }
+      entry.state = 'failed';
+      entry.error = error.message;
+      onFailed(entry.lod, error);
+    }
+  }
+
+  function startNext() {
+    while (!cancelled && active < concurrency && queue.length > 0) {
+      active++;
+      loadEntry(entries.get(queue.shift())).finally(() => {
+        active--;
+        startNext();
+        settle();
+      });
+    }
+  }
+
+  // Resolves once every LOD has loaded or failed with true, or with false when cancelled
+  function run() {
+    startNext();
+    settle();
+    return done;
+  }
+
+  function prioritize(lodKey) {
+    if (!queue.includes(lodKey)) return;
+    queue = [lodKey, ...queue.filter((key) => key !== lodKey)];
+  }
+
+  function cancel() {
+    cancelled = true;
+    queue.forEach((lodKey) => {
+      entries.get(lodKey).state = 'cancelled';
+    });
+    queue = [];
+    settle();
+  }
+
+  return {
+    run,
+    prioritize,
+    cancel,
+    isPending: (lodKey) => ['queued', 'loading'].includes(entries.get(lodKey)?.state),
+    getStatus: () => ({ strategy, parallel: concurrency, finished, entries: [...entries.values()].map((entry) => ({ ...entry })) })
+  };
+}
+
+function describeEntry(entry) {
+  const label = `${entry.lod} ${STATE_LABELS[entry.state]}`;
+  if (entry.state === 'loaded') return `${label} ${formatBytes(entry.bytesLoaded)} in ${entry.ms} ms`;
+  if (entry.state === 'failed') return `${label} (${entry.error})`;
+  if (entry.state !== 'loading' || entry.bytesLoaded === 0) return label;
+  return entry.bytesTotal
+    ? `${label} ${Math.round((entry.bytesLoaded / entry.bytesTotal) * 100)}% of ${formatBytes(entry.bytesTotal)}`
+    : `${label} ${formatBytes(entry.bytesLoaded)}`;
+}
+
+export function describeLODStream(status) {
+  const bytes = status.entries.reduce((sum, entry) => sum + entry.bytesLoaded, 0);
+  return `Streaming (${status.strategy}, ${status.parallel} parallel, ${formatBytes(bytes)}): ${status.entries.map(describeEntry).join(' · ')}`;
+}
+
+export function setupLODStreamingGUI(gui, lodCtrl) {
+  const streamingFolder = gui.addFolder('LOD Streaming');
+  streamingFolder.add(lodCtrl, 'streaming', LOD_STREAMING_STRATEGIES).name('Strategy');
+  streamingFolder.add(lodCtrl, 'parallelLoads', 1, MAX_PARALLEL_LOADS, 1).name('Parallel Loads');
+  streamingFolder.add(lodCtrl, 'reloadAsset').name('Reload Asset');
+  return streamingFolder;
+}
@@ -3,42 +3,177 @@ import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import { GUI } from 'dat.gui';
 import Stats from 'three/examples/jsm/libs/stats.module.js';
-import { RGBELoader } from 'three/examples/jsm/loaders/RGBELoader.js';
 import { MeshoptDecoder } from 'three/examples/jsm/libs/meshopt_decoder.module.js';
 import { KTX2Loader } from 'three/examples/jsm/loaders/KTX2Loader.js';
-
-const LOD_PATHS = {
-  lod1: '/lod1/Untitled.gltf',
-  lod2: '/lod2/Untitled.gltf',
-  lod3: '/lod3/Untitled.gltf',
-  lod4: '/lod4/Untitled.gltf',
-};
-
-const NORMAL_MAP_PATHS = {
-  lod1: '/lod1/lambert1_normal_1001.webp',
-  lod2: '/lod2/lambert1_normal_1001.webp',
-  lod3: '/lod3/lambert1_normal_1001.webp',
-  lod4: '/lod4/lambert1_normal_1001.webp',
-};
+import { evaluateAutoLOD, setupAutoLODGUI } from './autoLod.js';
+import { createQualityGovernor, createQualityKnobs, setupQualityGovernorGUI } from './qualityGovernor.js';
+import {
+  applyControlValues, collectConstraints, decodeStateHash, deletePreset, diffControls, encodeStateHash, exportPreset,
+  flattenControls, loadPresetStore, pickJSONFile, readPresetDocument, savePreset, setupPresetsGUI, validateControls
+} from './presets.js';
+import { BENCHMARK_TRAITS, createBenchmarkRunner, downloadBenchmarkResults, getBenchmarkConfig, setupBenchmarkGUI } from './benchmark.js';
+import {
+  DEFAULT_MANIFEST_URL, getAllLODKeys, getAsset, getAssetLabel, getEnvironmentMaps, getTextureFallbacks, loadManifest,
+  resolveEnvironmentMapURL
+} from './assetManifest.js';
+import { replaceControllerOptions } from './guiUtils.js';
+import { createTextureVariantStore, setupTextureVariantsGUI, TEXTURE_SLOT_LABELS } from './textureVariants.js';
+import { collectGPUMemory, describeGPUMemory, downloadGPUMemoryReport, formatBytes, GPU_MEMORY_CATEGORIES, setupGPUMemoryGUI } from './gpuMemory.js';
+import { createLoadProfiler, describeLoadHeadline, renderWaterfall, setupLoadProfilerGUI } from './loadProfiler.js';
+import { createSplitView, setupSplitViewGUI } from './splitView.js';
+import {
+  createImageQualityTool, describeQualitySummary, downloadQualityResults, getQualityConfig, setupImageQualityGUI
+} from './imageQuality.js';
+import {
+  createMaterialDocument, downloadMaterialDocument, exportModel, getExportBaseName, setupMaterialExportGUI
+} from './materialExport.js';
+import { getAuthoredTraitMapSources, readAuthoredMaterial, setupAuthoredMaterialGUI, updateAuthoredIndicators } from './authoredMaterial.js';
+import {
+  collectMeshTriangles, countModelTriangles, describeLODChainRow, extractImportedModel, generateLODChain, loadModelFiles, pickModelFiles, setupDropTarget,
+  setupImportGUI
+} from './modelImport.js';
+import { createAutomationAPI, createEventBus, readQueryConfig, runQueryAutoRun } from './automation.js';
+import {
+  createCrowd, describeCrowdStats, downloadCrowdResults, getCrowdSweepConfig, setupCrowdGUI
+} from './crowd.js';
+import {
+  ALL_MATERIALS, collectSourceMaterials, createMaterialTargets, getMaterialName, getMaterialTargetOptions, setupMaterialTargetGUI
+} from './materialTargets.js';
+import {
+  BUILT_IN_RIGS, createLightRig, createLightSpec, deleteRig, describeLightRig, getRig, getRigNames, saveRig, setupLightRigGUI
+} from './lightRig.js';
+import {
+  applyShadowMapType, createShadowSweep, describeShadowSweepRow, downloadShadowSweepResults, getShadowSweepConfig, SHADOW_MAP_TYPES,
+  setupShadowSweepGUI
+} from './shadows.js';
+import {
+  applyToneMapping, createPostProcessing, describePassCost, getPassCostConfig, setupPostProcessingGUI
+} from './postProcessing.js';
+import { createGPUTimer, describeGPUTimes } from './gpuTimer.js';
+import {
+  createEnvironmentManager, describeEnvironmentStats, downloadEnvironmentStats, isEnvironmentFile, pickEnvironmentFiles,
+  setupEnvironmentGUI
+} from './environmentMaps.js';
+import {
+  createLeakCheck, createResourceRegistry, describeLeakCheck, describeResources, downloadLeakCheckResults, getLeakCheckConfig,
+  setupResourcesGUI
+} from './resources.js';
+import { createLODStream, describeLODStream, setupLODStreamingGUI } from './lodStreaming.js';
+import {
+  describeTextureChoice, detectCapabilities, downloadCapabilityReport, getCapabilities, rankTextureCandidates,
+  renderCapabilityReport, setupCapabilitiesGUI
+} from './capabilities.js';
 
 // Global scene variables
-let scene, camera, renderer, model, controls, stats, particleLight, directionalLight;
-let appControls;
+let scene, camera, renderer, model, controls, stats, lightRig;
+let appControls, gui;
+let benchmarkRunner, qualityGovernor, textureVariants, loadProfiler, splitView, imageQuality, materialTargets;
+let crowd, shadowSweep, postProcessing, gpuTimer, environmentMaps, leakCheck;
+let defaultControls, presetsGUI;
+
+// window.perfTest and the events it exposes
+let perfTest;
+const automationEvents = createEventBus();
+const compiledPrograms = new Set();
+
+// Asset manifest and the entry currently shown
+let manifest, currentAsset;
+let assetLoadId = 0;
+let runtimeAssetCount = 0;
+let animationStarted = false;
+// LOD loads of the current asset (see src/lodStreaming.js) and the LOD the shown model was cloned from
+let lodStream = null;
+let shownLOD = null;
+let textureLoaders;
+
+// Bounds of the model that directional shadow frustums are fitted to, recomputed every frame
+const shadowBounds = new THREE.Box3();
+
+// Name of the light rig the current lights were loaded from, and the GUI's per-light folders
+let activeLightRig = null;
+let rebuildLightFolders = () => {};
+// Clamps the heatmap viewpoint slider to the image quality viewpoint count
+let syncHeatmapViewpoint = () => {};
+
+// LOD whose authored material was last copied into the material controls (Authored baseline)
+let authoredLOD = null;
+
+// Dropdowns whose options depend on the current asset
+const assetControllers = {};
+
+// Trait texture slots and where each can take its texture from. Reusing one of the
+// loaded maps lets a trait's texture sampling cost be measured on assets without one.
+const TRAIT_MAPS = {
+  clearcoatMap: 'Clearcoat',
+  clearcoatRoughnessMap: 'Clearcoat Roughness',
+  clearcoatNormalMap: 'Clearcoat Normal',
+  sheenColorMap: 'Sheen Color',
+  sheenRoughnessMap: 'Sheen Roughness',
+  iridescenceMap: 'Iridescence',
+  iridescenceThicknessMap: 'Iridescence Thickness',
+  specularIntensityMap: 'Specular Intensity',
+  specularColorMap: 'Specular Color'
+};
+const TRAIT_MAP_SOURCES = ['none', 'glTF', 'baseColor', 'aorm', 'normal'];
 
-// Asset caches
+// Asset caches. Each LOD is the glTF scene with its whole hierarchy; normal maps are keyed by material name
 const lods = {};
 const normalMaps = {};
+const textureOverrides = {};
+// Per LOD and slot, the file picked from the manifest's texture fallback list and why
+const textureChoices = {};
+
+// GPU resources by owner (see src/resources.js), LOD loads in flight, and LODs unloaded to free memory
+const resources = createResourceRegistry();
+const loadingLODs = new Map();
+const unloadedLODs = new Set();
+
+// glTF material each runtime MeshPhysicalMaterial was created for, for its maps and name
+const sourceMaterials = new WeakMap();
 
 // Performance monitoring variables
 let lastFrameTime = 0;
+let lastFramePerfTime = 0;
+
+// Resolvers waiting for the next rendered frame (see waitForFrame)
+let frameWaiters = [];
+
+// Meshes listed in the per-mesh triangle stats, largest first
+const MAX_MESH_STATS = 20;
 
 let performanceMonitor = {
   triangles: 0,
   drawCalls: 0,
-  lastUpdateTime: 0
+  lastUpdateTime: 0,
+  frameTime: 0,
+  autoLODReason: '',
+  presetMessage: '',
+  importMessage: '',
+  // Per-LOD summary of the last generated LOD chain, see generateLODChain
+  lodChainReport: null,
+  exportMessage: '',
+  lightRigMessage: '',
+  resourcesMessage: '',
+  assetMessage: '',
+  gpuMemory: null
 };
 
 async function init() {
+  const manifestURL = new URLSearchParams(window.location.search).get('manifest') || DEFAULT_MANIFEST_URL;
+  try {
+    manifest = await loadManifest(manifestURL);
+  } catch (error) {
+    console.error(error);
+    showFatalError(error.errors || [error.message]);
+    return;
+  }
+  currentAsset = manifest.assets[0];
+
+  // The first run is measured from navigation start, so it includes boot and the manifest
+  loadProfiler = createLoadProfiler();
+  loadProfiler.startRun(currentAsset.id, 0);
+  loadProfiler.trackURL('manifest', manifestURL, 0);
+
   scene = new THREE.Scene();
   scene.background = new THREE.Color(0x111111);
 
@@ -50,10 +185,17 @@ async function init() {
   renderer.shadowMap.type = THREE.PCFSoftShadowMap;
   renderer.setSize(window.innerWidth, window.innerHeight);
   document.body.appendChild(renderer.domElement);
+  gpuTimer = createGPUTimer(renderer);
+  // Texture fallback lists are resolved against these, so they are detected before any LOD loads
+  await detectCapabilities(renderer);
+  environmentMaps = createEnvironmentManager({ renderer, scene, loadProfiler, resources });
 
   initializeAppControls();
+  defaultControls = flattenControls(appControls);
+  materialTargets = createMaterialTargets(appControls.material, appControls.materialTarget);
 
   renderer.setPixelRatio(appControls.general.dpr);
+  applyToneMapping(renderer, appControls.post);
 
   controls = new OrbitControls(camera, renderer.domElement);
   controls.enableDamping = true;
@@ -63,126 +205,967 @@ async function init() {
   setupLights();
   stats = new Stats();
   document.body.appendChild(stats.dom);
+  benchmarkRunner = createBenchmarkRunner({
+    camera,
+    controls,
+    appControls,
+    changeLOD,
+    updateModelMaterials,
+    isLODLoaded,
+    waitForFrame
+  });
+  textureVariants = createTextureVariantStore({
+    getLoaders: () => ({ ...getTextureLoaders(), renderer }),
+    resources,
+    onVariantsChanged: updateModelMaterials
+  });
+  qualityGovernor = createQualityGovernor({
+    governorCtrl: appControls.governor,
+    knobs: createQualityKnobs({
+      renderer,
+      appControls,
+      updateShadowResolution,
+      applyShadowCasters,
+      changeLOD,
+      updateModelMaterials,
+      getLODKeys
+    }),
+    onChange: refreshGUI
+  });
+  splitView = createSplitView({
+    scene,
+    camera,
+    renderer,
+    splitCtrl: appControls.split,
+    getLiveMaterial: () => appControls.material,
+    // Asking for an unloaded LOD loads it again; ensureLOD invalidates the split view once it is in
+    createModel: (lodKey, materialCtrl) => (isLODLoaded(lodKey) ? createLODModel(lodKey, materialCtrl) : null)
+  });
+  imageQuality = createImageQualityTool({
+    renderer,
+    scene,
+    camera,
+    controls,
+    getModel: () => model,
+    createModel: createLODModel,
+    isLODLoaded,
+    waitForFrame,
+    freezeScene
+  });
+  crowd = createCrowd({
+    scene,
+    camera,
+    crowdCtrl: appControls.crowd,
+    lodCtrl: appControls.lod,
+    getLODKeys,
+    createModel: createLODModel,
+    updateMaterial: reapplyMaterial,
+    isLODLoaded,
+    waitForFrame
+  });
+  shadowSweep = createShadowSweep({
+    appControls,
+    applyShadowSettings: () => {
+      applyShadowMapType(renderer, scene, appControls.shadow.shadowType);
+      updateShadowResolution(appControls.shadow.shadowResolution);
+    },
+    changeLOD,
+    isLODLoaded,
+    waitForFrame,
+    freezeScene,
+    captureThumbnail,
+    getShadowMapBytes: () => getGPUMemoryReport().totals.shadowMaps || 0
+  });
+  leakCheck = createLeakCheck({
+    renderer,
+    resources,
+    appControls,
+    getLODKeys,
+    getEnvironmentMaps: getEnvironmentMapURLs,
+    showLOD: async (lodKey) => {
+      appControls.lod.currentLOD = lodKey;
+      await ensureLOD(lodKey);
+      changeLOD(lodKey);
+    },
+    showEnvironmentMap: (url) => {
+      appControls.environment.envMap = url;
+      return updateEnvironmentMap();
+    },
+    releaseUnused,
+    waitForFrame
+  });
+  postProcessing = createPostProcessing({
+    renderer,
+    scene,
+    camera,
+    postCtrl: appControls.post,
+    resources,
+    waitForFrame
+  });
   setupGUI();
-  
-  // First load the environment map
-  await updateEnvironmentMap();
-  
-  // Then load LODs with priority on lod1
-  await loadLODs();
-  
+  setupAutomationAPI();
+
+  // Apply a shared configuration before anything is loaded so the right env map and LOD come in
+  loadStateFromHash();
+  window.addEventListener('hashchange', loadStateFromHash);
+  setupDropTarget(handleDroppedFiles);
+
+  // Settings in the query string win over the hash; they may also ask for an auto-run
+  const queryConfig = readQueryConfig(window.location.search, defaultControls);
+  const querySettled = Object.keys(queryConfig.values).length
+    ? applyControlsState(queryConfig.values, 'Query string').settled
+    : null;
+  let resolveReady, rejectReady;
+  perfTest.ready = new Promise((resolve, reject) => {
+    resolveReady = resolve;
+    rejectReady = reject;
+  });
+  // Clients awaiting ready get the rejection; without one it is reported below, not as unhandled
+  perfTest.ready.catch(() => {});
+  perfTest.autoRun = queryConfig.run ? runQueryAutoRun(perfTest, queryConfig.run) : null;
   window.addEventListener('resize', onWindowResize, false);
+
+  try {
+    // First load the environment map
+    await updateEnvironmentMap();
+
+    // Then load LODs with priority on the first one in the manifest
+    await loadLODs(currentAsset);
+    await querySettled;
+    await waitForFrame();
+    resolveReady();
+  } catch (error) {
+    console.error('Startup failed:', error);
+    performanceMonitor.presetMessage = `Startup failed: ${error.message}`;
+    // Without a rendered frame the overlay isn't updated, so the error goes in directly
+    if (!animationStarted) showFatalError([`Startup failed: ${error.message}`]);
+    rejectReady(error);
+  }
+}
+
+/**
+ * Exposes window.perfTest for browser automation; see createAutomationAPI. Settings go
+ * through the same validation as presets and share URLs.
+ */
+function setupAutomationAPI() {
+  perfTest = createAutomationAPI({
+    appControls,
+    getControls: () => withUserControls(() => flattenControls(appControls)),
+    applyControls: applyControlsState,
+    selectLOD: (lodKey) => {
+      appControls.lod.autoLOD = false;
+      appControls.lod.currentLOD = lodKey;
+      changeLOD(lodKey);
+      refreshGUI();
+    },
+    getLODKeys,
+    getEnvironmentMaps: getEnvironmentMapURLs,
+    isLODLoaded,
+    waitForFrame,
+    getStats: getCurrentStats,
+    getCapabilities,
+    renderForCapture: () => {
+      renderScene();
+      return renderer.domElement;
+    },
+    events: automationEvents,
+    runners: {
+      benchmark: (config) => benchmarkRunner.run({ ...getBenchmarkConfig(appControls.benchmark, getLODKeys()), ...config }),
+      crowdSweep: (config) => crowd.runSweep({ ...getCrowdSweepConfig(appControls.crowd), ...config }),
+      postProcessing: (config) => postProcessing.measurePassCosts({ ...getPassCostConfig(appControls.post), ...config }),
+      shadowSweep: (config) => shadowSweep.run({
+        ...getShadowSweepConfig(appControls.shadow, appControls.lod.currentLOD, getLODKeys()),
+        ...config
+      }),
+      imageQuality: (config) => imageQuality.run({
+        ...getQualityConfig(appControls.quality, appControls.lod.currentLOD, getLODKeys()),
+        ...config
+      }),
+      leakCheck: (config) => leakCheck.run({ ...getLeakCheckConfig(appControls.resources), ...config })
+    }
+  });
+  window.perfTest = perfTest;
+  // Older scripts call window.changeLOD; it now waits for the LOD like perfTest.setLOD
+  window.changeLOD = perfTest.setLOD;
+}
+
+function getCurrentStats() {
+  const { render, memory, programs } = renderer.info;
+  return {
+    asset: currentAsset.id,
+    lod: appControls.lod.currentLOD,
+    autoLOD: appControls.lod.autoLOD,
+    frameTimeMs: performanceMonitor.frameTime,
+    timing: gpuTimer.mode,
+    gpu: gpuTimer.getAverage(),
+    triangles: render.triangles,
+    lines: render.lines,
+    drawCalls: render.calls,
+    geometries: memory.geometries,
+    textures: memory.textures,
+    programs: programs?.length ?? 0,
+    gpuMemoryBytes: getGPUMemoryReport().total,
+    load: loadProfiler.getHeadline(),
+    crowd: crowd.isActive() ? crowd.getStats() : null
+  };
+}
+
+function showFatalError(messages) {
+  const statsOverlay = document.getElementById('stats-overlay');
+  if (!statsOverlay) return;
+  statsOverlay.innerHTML = messages.map((message) => message.replace(/</g, '&lt;')).join('<br>');
+}
+
+// LOD keys of the current asset, in manifest order
+function getLODKeys() {
+  return currentAsset ? Object.keys(currentAsset.lods) : [];
+}
+
+// Shared so the Basis transcoder workers are only spun up once
+function getTextureLoaders() {
+  if (!textureLoaders) {
+    const textureLoader = new THREE.TextureLoader();
+    const ktx2Loader = new KTX2Loader()
+    .setTranscoderPath( 'libs/basis/' )
+    .detectSupport( renderer );
+    textureLoaders = { textureLoader, ktx2Loader };
+  }
+  return textureLoaders;
 }
 
-// Async LOD loading
-async function loadLODs() {
-  const loader = new GLTFLoader();
-  const textureLoader = new THREE.TextureLoader();
-  const ktx2Loader = new KTX2Loader()
-  .setTranscoderPath( 'libs/basis/' )
-  .detectSupport( renderer );
+// Loads an external texture for a material slot, configured the way GLTFLoader configures its own
+async function loadTextureOverride(url, slot, { textureLoader, ktx2Loader }) {
+  const texture = url.toLowerCase().endsWith('.ktx2')
+    ? await ktx2Loader.loadAsync(url)
+    : await textureLoader.loadAsync(url);
+  texture.flipY = false;
+  texture.colorSpace = slot === 'baseColor' ? THREE.SRGBColorSpace : THREE.NoColorSpace;
+  texture.wrapS = THREE.RepeatWrapping;
+  texture.wrapT = THREE.RepeatWrapping;
+  texture.needsUpdate = true;
+  return texture;
+}
+
+/**
+ * Keeps the glTF scene with its whole node hierarchy. Only a single mesh used to be shown,
+ * placed by its own node transform, so the scene is re-based on the first mesh's parent:
+ * single-mesh assets keep their framing and every other mesh keeps its placement relative to it.
+ */
+function extractLODModel(gltf, url) {
+  const root = gltf.scene;
+  let firstMesh;
+  root.traverse((child) => {
+    if (child.isMesh && !firstMesh) firstMesh = child;
+  });
+  if (!firstMesh) {
+    throw new Error(`${url} contains no mesh`);
+  }
+
+  root.updateMatrixWorld(true);
+  const rebase = firstMesh.parent.matrixWorld.clone().invert().multiply(root.matrix);
+  rebase.decompose(root.position, root.quaternion, root.scale);
+  root.updateMatrixWorld(true);
+  return root;
+}
+
+// Normal map per material name; an external normal texture from the manifest replaces all of them
+function collectNormalMaps(root, normalOverride) {
+  return Object.fromEntries([...collectSourceMaterials(root)]
+    .map(([name, material]) => [name, normalOverride || material.normalMap || null]));
+}
+
+// Where each texture slot lives in a glTF material, and the three.js map GLTFLoader assigns it to
+const GLTF_TEXTURE_SLOTS = {
+  baseColor: { getTextureInfo: (material) => material.pbrMetallicRoughness?.baseColorTexture, map: 'map' },
+  occlusionRoughnessMetallic: { getTextureInfo: (material) => material.pbrMetallicRoughness?.metallicRoughnessTexture, map: 'roughnessMap' },
+  normal: { getTextureInfo: (material) => material.normalTexture, map: 'normalMap' }
+};
+
+/**
+ * URL of the image a texture slot uses in the loaded glTF, if every material uses the
+ * same one and GLTFLoader managed to load it; a fallback list that picks this file needs
+ * no override.
+ */
+function getLoadedGLTFTextureURL(gltf, lodModel, gltfURL, slot) {
+  const { materials = [], textures = [], images = [] } = gltf.parser.json;
+  const { getTextureInfo, map } = GLTF_TEXTURE_SLOTS[slot];
+  const baseURL = new URL(gltfURL, document.baseURI);
+  const urls = new Set(materials.map((material) => {
+    const texture = textures[getTextureInfo(material)?.index];
+    // KHR_texture_basisu and EXT_texture_webp name their own source
+    const source = Object.values(texture?.extensions || {}).find((extension) => extension.source !== undefined)?.source ?? texture?.source;
+    const uri = images[source]?.uri;
+    return uri ? new URL(uri, baseURL).href : null;
+  }));
+  const loaded = [...collectSourceMaterials(lodModel).values()].every((material) => material[map]);
+  return urls.size === 1 && loaded ? [...urls][0] : null;
+}
+
+/**
+ * Loads a slot's texture from its fallback list: the formats this device supports first,
+ * in manifest order, moving on to the next file when one fails to load. Resolves with the
+ * texture, or with null when the picked file is the glTF's own, and the choice: the picked
+ * format, why, and why the files listed before it were passed over.
+ */
+async function loadTextureFallback(urls, slot, gltfTextureURL, loaders) {
+  const candidates = rankTextureCandidates(urls);
+  const failures = new Map();
+  for (const candidate of candidates) {
+    const choice = {
+      slot,
+      url: candidate.url,
+      format: candidate.format,
+      reason: candidate.supported ? candidate.reason : `no supported file left, ${candidate.reason}`,
+      skipped: candidates
+        .filter((other) => other.index < candidate.index)
+        .sort((a, b) => a.index - b.index)
+        .map((other) => ({ url: other.url, format: other.format, reason: failures.get(other) || other.reason }))
+    };
+    if (new URL(candidate.url, document.baseURI).href === gltfTextureURL) {
+      choice.reason += ', already loaded by the glTF';
+      return { texture: null, choice };
+    }
+    try {
+      return { texture: await loadTextureOverride(candidate.url, slot, loaders), choice };
+    } catch (error) {
+      console.warn(`${candidate.url} failed to load, trying the next ${slot} texture:`, error);
+      failures.set(candidate, `failed to load (${error.message || error})`);
+    }
+  }
+  throw new Error(`None of the ${slot} textures could be loaded (${urls.join(', ')})`);
+}
+
+async function loadLOD(loader, { textureLoader, ktx2Loader }, lodEntry, lodKey, onProgress) {
+  const gltf = await loader.loadAsync(lodEntry.url, onProgress);
+  const lodModel = extractLODModel(gltf, lodEntry.url);
 
+  const profiledLoaders = {
+    textureLoader: loadProfiler.wrapLoader(textureLoader, lodKey, 'imageDecode'),
+    ktx2Loader: loadProfiler.wrapLoader(ktx2Loader, lodKey, 'ktx2Transcode')
+  };
+  const textures = {};
+  const choices = {};
+  for (const slot of Object.keys(lodEntry.textures || {})) {
+    const gltfTextureURL = getLoadedGLTFTextureURL(gltf, lodModel, lodEntry.url, slot);
+    const { texture, choice } = await loadTextureFallback(getTextureFallbacks(lodEntry, slot), slot, gltfTextureURL, profiledLoaders);
+    if (texture) textures[slot] = texture;
+    choices[slot] = choice;
+  }
+  return { lodModel, textures, choices };
+}
 
+function createGLTFLoader(loaders, manager) {
+  const loader = new GLTFLoader(manager);
   loader.setMeshoptDecoder( MeshoptDecoder );
-  loader.setKTX2Loader( ktx2Loader );
+  loader.setKTX2Loader( loaders.ktx2Loader );
+  return loader;
+}
+
+/**
+ * Loads one LOD of the current asset into the caches and tracks its resources as
+ * 'lod:<asset>/<lod>'. Requests for a LOD that is already loading share its promise;
+ * onProgress gets the glTF file's progress events of the request that started the load.
+ * Resolves with the model, or with null if another asset was picked in the meantime.
+ */
+function ensureLOD(lodKey, onProgress) {
+  if (lods[lodKey] || currentAsset.runtimeLODs) return Promise.resolve(lods[lodKey] || null);
+  if (!loadingLODs.has(lodKey)) {
+    const asset = currentAsset;
+    const loadId = assetLoadId;
+    const owner = `lod:${asset.id}/${lodKey}`;
+    const loaders = getTextureLoaders();
+    // One loader per LOD so the profiler can attribute every request and decode to it
+    const loader = loadProfiler.instrumentGLTFLoader(createGLTFLoader(loaders), lodKey);
+    const loading = loadLOD(loader, loaders, asset.lods[lodKey], lodKey, onProgress).then(({ lodModel, textures, choices }) => {
+      resources.trackObject(owner, lodModel);
+      Object.values(textures).forEach((texture) => resources.track(owner, texture));
+      // Another asset was picked while this one was loading
+      if (loadId !== assetLoadId) {
+        resources.release(owner);
+        return null;
+      }
+
+      lods[lodKey] = lodModel;
+      normalMaps[lodKey] = collectNormalMaps(lodModel, textures.normal);
+      textureOverrides[lodKey] = textures;
+      textureChoices[lodKey] = choices;
+      updateMaterialTargetOptions();
+      // Distance-based crowds and split view sides waiting for it pick up the new LOD
+      crowd.invalidate();
+      splitView.invalidate();
+      automationEvents.emit('lodLoaded', { asset: asset.id, lod: lodKey });
+      return lodModel;
+    }).finally(() => {
+      unloadedLODs.delete(lodKey);
+      if (loadingLODs.get(lodKey) === loading) loadingLODs.delete(lodKey);
+    });
+    loadingLODs.set(lodKey, loading);
+  }
+  return loadingLODs.get(lodKey);
+}
 
-  // First load lod1 with its normal map
+// Whether a LOD can be shown; asking for one that was unloaded starts loading it again
+function isLODLoaded(lodKey) {
+  if (!lods[lodKey] && unloadedLODs.has(lodKey) && !loadingLODs.has(lodKey)) {
+    ensureLOD(lodKey).catch((error) => console.error(`Error reloading ${lodKey}:`, error));
+  }
+  return Boolean(lods[lodKey]);
+}
+
+/**
+ * Loads the LODs of an asset with the streaming strategy picked in the GUI. Progressive
+ * shows the lightest LOD as soon as it is in and refines towards the selected one, loading
+ * several LODs at a time; heaviest-first loads them one by one in manifest order, as the
+ * viewer used to. A LOD that fails to load is reported and skipped.
+ */
+async function loadLODs(asset) {
+  const loadId = assetLoadId;
+  const lodKeys = Object.keys(asset.lods);
+
+  // Imported and generated assets already have their models in memory
+  if (asset.runtimeLODs) {
+    lodKeys.forEach((lodKey) => {
+      lods[lodKey] = asset.runtimeLODs[lodKey];
+      normalMaps[lodKey] = collectNormalMaps(asset.runtimeLODs[lodKey]);
+      textureOverrides[lodKey] = {};
+    });
+    updateMaterialTargetOptions();
+    splitView.invalidate();
+    changeLOD(appControls.lod.currentLOD);
+    startAnimation();
+    lodKeys.forEach((lodKey) => automationEvents.emit('lodLoaded', { asset: asset.id, lod: lodKey }));
+    loadProfiler.onAllLODsLoaded();
+    return;
+  }
+
+  const { streaming, parallelLoads } = appControls.lod;
+  loadProfiler.setStrategy(streaming);
+  lodStream = createLODStream({
+    lodKeys,
+    strategy: streaming,
+    requestedLOD: appControls.lod.currentLOD,
+    parallel: parallelLoads,
+    load: ensureLOD,
+    getBytes: (lodKey) => loadProfiler.getTransferredBytes(lodKey),
+    onLoaded: refineLOD,
+    onFailed: (lodKey, error) => console.error(`Error loading ${lodKey}:`, error)
+  });
+  const completed = await lodStream.run();
+
+  // Another asset was picked while this one was loading
+  if (!completed || loadId !== assetLoadId) return;
+  loadProfiler.onAllLODsLoaded();
+  if (!model) {
+    console.error(`No LOD of ${asset.id} could be loaded.`);
+  }
+}
+
+// Shows a LOD that just came in if it is closer to the selected LOD than the one shown
+function refineLOD(lodKey) {
+  const lodKeys = getLODKeys();
+  const target = lodKeys.indexOf(appControls.lod.currentLOD);
+  const distance = (key) => Math.abs(lodKeys.indexOf(key) - target);
+  // On a tie the lighter LOD, which comes later in the manifest, stays or wins
+  const closer = !model || !lods[shownLOD] || distance(lodKey) < distance(shownLOD)
+    || (distance(lodKey) === distance(shownLOD) && lodKeys.indexOf(lodKey) > lodKeys.indexOf(shownLOD));
+  if (closer) {
+    changeLOD(lodKey);
+    startAnimation();
+  }
+}
+
+function startAnimation() {
+  if (!animationStarted) {
+    animationStarted = true;
+    animate();
+  }
+}
+
+/**
+ * Adds an in-memory asset (imported or generated) to the manifest and shows it.
+ * Its LOD entries carry no URLs; loadLODs picks the models up from runtimeLODs.
+ */
+function addRuntimeAsset(id, name, models, extra = {}) {
+  const existing = manifest.assets.findIndex((asset) => asset.id === id);
+  // Runtime models can't be reloaded, so their asset holds their resources until it is replaced
+  const resourceOwner = `runtime:${id}#${++runtimeAssetCount}`;
+  Object.values(models).forEach((lodModel) => resources.trackObject(resourceOwner, lodModel));
+  if (existing !== -1) {
+    resources.release(manifest.assets[existing].resourceOwner);
+  }
+  const asset = {
+    id,
+    name,
+    lods: Object.fromEntries(Object.keys(models).map((lodKey) => [lodKey, {}])),
+    environmentMaps: getEnvironmentMaps(manifest, currentAsset),
+    runtimeLODs: models,
+    resourceOwner,
+    ...extra
+  };
+  if (existing === -1) {
+    manifest.assets.push(asset);
+  } else {
+    manifest.assets[existing] = asset;
+  }
+
+  const assetOptions = Object.fromEntries(manifest.assets.map((entry) => [getAssetLabel(entry), entry.id]));
+  assetControllers.asset = replaceControllerOptions(assetControllers.asset, assetOptions);
+  return switchAsset(id);
+}
+
+function getLODRatios() {
+  const { lod2Ratio, lod3Ratio, lod4Ratio } = appControls.import;
+  return [lod2Ratio, lod3Ratio, lod4Ratio];
+}
+
+async function importModelFiles(files) {
+  performanceMonitor.importMessage = 'Importing…';
+  performanceMonitor.lodChainReport = null;
   try {
-    await new Promise((resolve, reject) => {
-      loader.load(LOD_PATHS.lod1, (gltf) => {
-        gltf.scene.traverse((child) => {
-          if (child.isMesh) {
-            lods.lod1 = child;
-          }
-        });
+    const { gltf, name } = await loadModelFiles(files, (manager) => createGLTFLoader(getTextureLoaders(), manager));
+    const importedModel = extractImportedModel(gltf);
+
+    let models = { lod1: importedModel };
+    if (appControls.import.generateLODs) {
+      const chain = await generateLODChain(importedModel, getLODRatios(), appControls.import.targetError);
+      models = chain.models;
+      console.table(chain.report);
+      performanceMonitor.lodChainReport = chain.report;
+    }
 
-        textureLoader.load(NORMAL_MAP_PATHS.lod1, (normalMap) => {
-          normalMap.encoding = THREE.LinearEncoding;
-          normalMaps.lod1 = normalMap;
-          resolve();
-        }, undefined, reject);
-      }, undefined, reject);
+    await addRuntimeAsset(`import:${name}`, `${name} (imported)`, models);
+    performanceMonitor.importMessage = `Imported ${name}`;
+  } catch (error) {
+    console.error('Model import failed:', error);
+    performanceMonitor.importMessage = `Import failed: ${error.message}`;
+  }
+}
+
+// Simplifies the first LOD of the current asset into a generated chain to compare against the authored one
+async function generateLODsFromCurrentAsset() {
+  const sourceModel = lods[getLODKeys()[0]];
+  if (!sourceModel) {
+    console.warn('The current asset has not finished loading.');
+    return;
+  }
+
+  const sourceId = currentAsset.sourceId || currentAsset.id;
+  const source = getAsset(manifest, sourceId);
+  performanceMonitor.importMessage = 'Generating LODs…';
+  performanceMonitor.lodChainReport = null;
+  try {
+    const { models, report } = await generateLODChain(sourceModel, getLODRatios(), appControls.import.targetError);
+
+    // Put the authored triangle counts next to the generated ones
+    report.forEach((row) => {
+      row.authoredTriangles = lods[row.lod] ? countModelTriangles(lods[row.lod]) : null;
     });
+    console.table(report);
+    performanceMonitor.lodChainReport = report;
 
-    // Now we can show the model while loading the rest
-    onAllLODsLoaded();
-
-    // Sequentially load remaining LODs
-    for (const lodKey of ['lod2', 'lod3', 'lod4']) {
-      await new Promise((resolve, reject) => {
-        loader.load(LOD_PATHS[lodKey], (gltf) => {
-          gltf.scene.traverse((child) => {
-            if (child.isMesh) {
-              lods[lodKey] = child;
-            }
-          });
+    await addRuntimeAsset(`${sourceId}:generated`, `${getAssetLabel(source)} (generated)`, models, { sourceId });
+    performanceMonitor.importMessage = `Generated LODs from ${getAssetLabel(source)}`;
+  } catch (error) {
+    console.error('LOD generation failed:', error);
+    performanceMonitor.importMessage = `LOD generation failed: ${error.message}`;
+  }
+}
 
-          textureLoader.load(NORMAL_MAP_PATHS[lodKey], (normalMap) => {
-            normalMap.encoding = THREE.LinearEncoding;
-            normalMaps[lodKey] = normalMap;
-            resolve();
-          }, undefined, reject);
-        }, undefined, reject);
-      });
+// Writes the active LOD with its tuned materials to glTF/GLB
+async function exportActiveLOD(format) {
+  if (!model) return;
+  const lodKey = getShownLOD();
+  performanceMonitor.exportMessage = `Exporting ${lodKey}…`;
+  try {
+    await exportModel(model, { binary: format === 'glb', baseName: getExportBaseName(currentAsset.id, lodKey) });
+    performanceMonitor.exportMessage = `Exported ${lodKey} as ${format.toUpperCase()}`;
+  } catch (error) {
+    console.error('Export failed:', error);
+    performanceMonitor.exportMessage = `Export failed: ${error.message}`;
+  }
+}
+
+function exportActiveMaterial() {
+  if (!model) return;
+  const materials = new Map();
+  model.traverse((child) => {
+    if (!child.isMesh) return;
+    const name = getMaterialName(sourceMaterials.get(child.material));
+    if (!materials.has(name)) materials.set(name, child.material);
+  });
+
+  materialTargets.sync();
+  const entries = [...materials].map(([name, material]) => ({ material, controls: materialTargets.getControls(name) }));
+  const lodKey = getShownLOD();
+  const materialDocument = createMaterialDocument(entries, { assetId: currentAsset.id, lodKey });
+  downloadMaterialDocument(materialDocument, getExportBaseName(currentAsset.id, lodKey));
+
+  const extensionsUsed = new Set(materialDocument.materials.flatMap((entry) => entry.gltf.extensionsUsed));
+  performanceMonitor.exportMessage = `Exported ${entries.length} material(s) (${[...extensionsUsed].join(', ') || 'no extensions'})`;
+}
+
+// Replaces the loaded LOD chain with the one of another manifest entry
+async function switchAsset(assetId) {
+  performanceMonitor.assetMessage = '';
+  currentAsset = getAsset(manifest, assetId);
+  appControls.asset.current = currentAsset.id;
+  loadProfiler.startRun(currentAsset.id);
+
+  if (model) {
+    scene.remove(model);
+    model = null;
+  }
+  resources.release('model');
+  textureVariants.clear();
+  // Material names differ between assets, so their overrides don't carry over
+  materialTargets.reset();
+  crowd.invalidate();
+  authoredLOD = null;
+  // Queued loads of the previous asset are dropped; those in flight discard their result
+  lodStream?.cancel();
+  assetLoadId++;
+  shownLOD = null;
+  loadingLODs.clear();
+  unloadedLODs.clear();
+  [lods, normalMaps, textureOverrides, textureChoices].forEach((cache) => {
+    Object.keys(cache).forEach((key) => delete cache[key]);
+  });
+  // Imported and generated models stay, held by their runtime asset
+  resources.releaseMatching('lod:');
+
+  const lodKeys = getLODKeys();
+  if (!lodKeys.includes(appControls.lod.currentLOD)) {
+    appControls.lod.currentLOD = lodKeys[0];
+  }
+  if (!lodKeys.includes(appControls.normalMap.selectedNormalMap)) {
+    appControls.normalMap.selectedNormalMap = lodKeys[0];
+  }
+  ['leftLOD', 'rightLOD'].forEach((key) => {
+    if (!lodKeys.includes(appControls.split[key])) {
+      appControls.split[key] = lodKeys[0];
     }
+  });
+  if (!lodKeys.includes(appControls.quality.referenceLOD)) {
+    appControls.quality.referenceLOD = lodKeys[0];
+  }
+
+  const environmentMapURLs = getEnvironmentMapURLs();
+  const environmentChanged = !environmentMapURLs.includes(appControls.environment.envMap);
+  if (environmentChanged) {
+    appControls.environment.envMap = environmentMapURLs[0];
+  }
+
+  updateAssetGUIOptions();
+  if (environmentChanged) {
+    await updateEnvironmentMap();
+  }
+  await loadLODs(currentAsset);
+}
+
+/**
+ * Validates flattened appControls values (from a preset or the URL), applies the valid
+ * ones and re-applies the scene. Rejected values are reported instead of applied.
+ */
+function applyControlsState(flatValues, source) {
+  if ('environment.envMap' in flatValues) {
+    flatValues = { ...flatValues, 'environment.envMap': resolveEnvironmentMapURL(getEnvironmentMapURLs(), flatValues['environment.envMap']) };
+  }
+  const { values, issues } = validateControls(flatValues, appControls, collectConstraints(gui, appControls));
+
+  if (issues.length) {
+    console.warn(`${source}: ${issues.length} setting(s) were not applied:\n${issues.join('\n')}`);
+    performanceMonitor.presetMessage = `${source}: ${issues.length} setting(s) rejected (see console)`;
+  } else {
+    performanceMonitor.presetMessage = `${source}: applied`;
+  }
+
+  // Start from the unadjusted settings so the governor doesn't undo the preset later
+  qualityGovernor.restoreAll();
+  // The material in the preset applies to all materials
+  materialTargets.reset();
+  applyControlValues(appControls, values);
+  // The material in the preset wins over the authored one of its LOD
+  authoredLOD = appControls.lod.currentLOD;
+  const settled = applyControlsToScene();
+  return { issues, settled };
+}
+
+/**
+ * Pushes the whole appControls tree back into the renderer, lights, environment and model.
+ * Resolves once a switched asset and the environment map have finished loading.
+ */
+function applyControlsToScene() {
+  const pending = [];
+  renderer.setPixelRatio(appControls.general.dpr);
+  renderer.setSize(window.innerWidth, window.innerHeight);
+
+  renderer.shadowMap.enabled = appControls.shadow.useShadows;
+  applyShadowMapType(renderer, scene, appControls.shadow.shadowType);
+  if (appControls.lights.rig !== activeLightRig) {
+    selectLightRig(appControls.lights.rig);
+  }
+  applyShadowCasters();
+  updateShadowResolution(appControls.shadow.shadowResolution);
+  lightRig.setHelpersVisible(appControls.shadow.showFrustumHelpers);
+  applyToneMapping(renderer, appControls.post);
+  postProcessing.update();
+
+  if (appControls.asset.current !== currentAsset.id) {
+    pending.push(switchAsset(appControls.asset.current));
+  } else if (lods[appControls.lod.currentLOD] || unloadedLODs.has(appControls.lod.currentLOD) || lodStream?.isPending(appControls.lod.currentLOD)) {
+    changeLOD(appControls.lod.currentLOD);
+  }
+
+  if (appControls.governor.enabled) {
+    qualityGovernor.enable();
+  }
+  splitView.setEnabled(appControls.split.enabled);
+  crowd.setEnabled(appControls.crowd.enabled);
+  syncHeatmapViewpoint();
+
+  // Skip until init has loaded the first env map, which will then use the new settings
+  if (scene.environment) {
+    pending.push(updateEnvironmentMap());
+  }
+
+  refreshGUI();
+  return Promise.all(pending);
+}
+
+function loadStateFromHash() {
+  let flatValues;
+  try {
+    flatValues = decodeStateHash(window.location.hash);
   } catch (error) {
-    console.error('Error loading LODs:', error);
+    console.warn('URL state could not be decoded:', error);
+    performanceMonitor.presetMessage = 'URL state could not be decoded';
+    return;
   }
+  if (flatValues) {
+    reportSettleFailure(applyControlsState(flatValues, 'URL state'), 'URL state');
+  }
+}
+
+// Shows an asset switch or environment map load that failed after settings were applied
+function reportSettleFailure({ settled }, source) {
+  settled.catch((error) => {
+    console.error(`${source}: loading failed:`, error);
+    performanceMonitor.presetMessage = `${source}: loading failed: ${error.message}`;
+  });
 }
 
-function onAllLODsLoaded() {
-  // Initially add the highest LOD to the scene
-  changeLOD('lod1');
-  animate();
+// Runs fn with the settings the user configured: All Materials values, nothing the governor degraded
+function withUserControls(fn) {
+  return qualityGovernor.withUserSettings(() => materialTargets.withAllMaterials(fn));
+}
+
+function getShareURL() {
+  const flatControls = withUserControls(() => flattenControls(appControls));
+  const hash = encodeStateHash(diffControls(flatControls, defaultControls));
+  return `${window.location.origin}${window.location.pathname}${window.location.search}${hash}`;
 }
 
 // Changing of LODs
 function changeLOD(lodKey) {
-  if (model) {
-    scene.remove(model);
+  // An unloaded LOD is loaded again first, and shown unless another LOD was picked meanwhile
+  if (!lods[lodKey] && unloadedLODs.has(lodKey)) {
+    ensureLOD(lodKey).then((lodModel) => {
+      if (lodModel && appControls.lod.currentLOD === lodKey) changeLOD(lodKey);
+    }).catch((error) => console.error(`Error reloading ${lodKey}:`, error));
+    return;
+  }
+  // A LOD that is still streaming in moves to the front of the queue and is shown once loaded
+  if (!lods[lodKey] && lodStream?.isPending(lodKey)) {
+    lodStream.prioritize(lodKey);
+    return;
   }
   // Check if the LOD is actually loaded before trying to clone
   if (!lods[lodKey]) {
     console.error(`LOD for key ${lodKey} is not loaded yet.`);
     return; // Exit if LOD is not ready
   }
+  if (model) {
+    scene.remove(model);
+  }
+  // The shown clone's materials are its own; geometry and textures belong to the LOD
+  resources.release('model');
 
-  model = lods[lodKey].clone();
-  model.position.set(0, 0, 0); // Set model position to 0,0,0
+  if (appControls.materialBaseline.mode === 'authored' && authoredLOD !== lodKey) {
+    applyAuthoredMaterial(lodKey);
+  }
 
-  // Ensure all meshes within the model have the correct material and settings
+  model = createLODModel(lodKey);
+  shownLOD = lodKey;
   model.traverse((child) => {
+    if (child.isMesh) resources.track('model', child.material);
+  });
+  scene.add(model);
+  loadProfiler.expectFirstRender(lodKey);
+  console.log(`Changed LOD to: ${lodKey}`);
+  updateModelMaterials(); // Ensure materials are updated after LOD change
+  updateTextureVariants();
+  if (appControls.resources.autoRelease) {
+    releaseUnused();
+  }
+}
+
+// LODs something needs right now; auto LOD, the crowd and measurement runs may need any of them
+function getLODsInUse() {
+  const lodKeys = getLODKeys();
+  const measuring = benchmarkRunner.isRunning() || crowd.isSweeping() || shadowSweep.isRunning() || imageQuality.isRunning();
+  if (currentAsset.runtimeLODs || appControls.lod.autoLOD || crowd.isActive() || measuring) {
+    return new Set(lodKeys);
+  }
+  const inUse = new Set([appControls.lod.currentLOD, shownLOD, appControls.normalMap.selectedNormalMap]);
+  if (appControls.split.enabled) {
+    inUse.add(appControls.split.leftLOD);
+    inUse.add(appControls.split.rightLOD);
+  }
+  return inUse;
+}
+
+// Disposes a loaded LOD; it is loaded again the next time it is asked for
+function unloadLOD(lodKey) {
+  resources.release(`lod:${currentAsset.id}/${lodKey}`);
+  [lods, normalMaps, textureOverrides, textureChoices].forEach((cache) => {
+    delete cache[lodKey];
+  });
+  unloadedLODs.add(lodKey);
+}
+
+// Unloads the LODs and environment maps that aren't in use
+function releaseUnused() {
+  const inUse = getLODsInUse();
+  const unloaded = Object.keys(lods).filter((lodKey) => !inUse.has(lodKey));
+  unloaded.forEach(unloadLOD);
+  const environmentMapCount = environmentMaps.releaseUnused();
+  performanceMonitor.resourcesMessage = `Unloaded ${unloaded.join(', ') || 'no LODs'} and ${environmentMapCount} environment map(s)`;
+  return { lods: unloaded, environmentMaps: environmentMapCount };
+}
+
+/**
+ * Material controls matching the glTF material the sliders edit in a loaded LOD. With All
+ * Materials selected there is only one to compare against on single-material LODs.
+ */
+function getAuthoredMaterial(lodKey) {
+  if (!lods[lodKey]) return null;
+  const materials = collectSourceMaterials(lods[lodKey]);
+  const selected = materialTargets.getSelected();
+  const material = selected === ALL_MATERIALS
+    ? (materials.size === 1 ? [...materials.values()][0] : null)
+    : materials.get(selected);
+  return material ? readAuthoredMaterial(material) : null;
+}
+
+// Copies a LOD's authored materials into the material controls, each material into its own override
+function applyAuthoredMaterial(lodKey) {
+  if (!lods[lodKey]) return;
+  const traitMapSources = getAuthoredTraitMapSources(appControls.material);
+  const authored = Object.fromEntries([...collectSourceMaterials(lods[lodKey])]
+    .map(([name, material]) => [name, { ...readAuthoredMaterial(material), ...traitMapSources }]));
+  const names = Object.keys(authored);
+  // All Materials starts from the first material
+  materialTargets.setAll(authored[names[0]], names.length > 1 ? authored : {});
+  authoredLOD = lodKey;
+  refreshGUI();
+}
+
+// LOD of the shown model; while LODs stream in, it may still be a lighter one than the selected LOD
+function getShownLOD() {
+  return shownLOD ?? appControls.lod.currentLOD;
+}
+
+function resetMaterialToAuthored() {
+  applyAuthoredMaterial(getShownLOD());
+  updateModelMaterials();
+}
+
+// Marks the material controllers that differ from the current LOD's authored material
+function updateMaterialIndicators() {
+  const materialFolder = gui?.__folders['Material Properties'];
+  if (materialFolder) {
+    updateAuthoredIndicators(materialFolder, appControls.material, getAuthoredMaterial(getShownLOD()));
+  }
+}
+
+/**
+ * Clones a loaded LOD with its whole hierarchy and its own materials. With the GUI's
+ * material controls, each material gets its own (override) values; any other controls,
+ * e.g. a split view snapshot, apply to every material.
+ */
+function createLODModel(lodKey, materialCtrl = appControls.material) {
+  if (!lods[lodKey]) return null;
+
+  const followsGUI = materialCtrl === appControls.material;
+  if (followsGUI) materialTargets.sync();
+  const lodModel = lods[lodKey].clone();
+
+  // Ensure all meshes within the model have the correct material and settings
+  lodModel.traverse((child) => {
     if (child.isMesh) {
-      const currentMaterial = child.material; // Keep reference to original material for maps if needed
+      const sourceMaterial = child.material; // Keep reference to original material for maps if needed
       child.castShadow = appControls.shadow.useShadows;
       child.receiveShadow = appControls.shadow.useShadows;
       
       child.material = new THREE.MeshPhysicalMaterial(); // Create a new material to avoid shared state issues
-      applyMaterialProperties(child.material, currentMaterial, lodKey); // Apply properties using a helper
+      child.material.name = sourceMaterial.name;
+      sourceMaterials.set(child.material, sourceMaterial);
+      const controls = followsGUI ? materialTargets.getControls(getMaterialName(sourceMaterial)) : materialCtrl;
+      applyMaterialProperties(child.material, sourceMaterial, lodKey, controls); // Apply properties using a helper
 
       child.material.needsUpdate = true;
     }
   });
-  
-  scene.add(model);
-  console.log(`Changed LOD to: ${lodKey}`);
-  updateModelMaterials(); // Ensure materials are updated after LOD change
+  return lodModel;
+}
+
+// Loads the texture formats picked in the GUI for the current LOD (and the normal map source)
+function updateTextureVariants() {
+  const lodForSlot = (slot) => (slot === 'normal' ? appControls.normalMap.selectedNormalMap : getShownLOD());
+  const requests = Object.keys(TEXTURE_SLOT_LABELS).map((slot) => ({
+    slot,
+    format: appControls.textures[slot],
+    lodKey: lodForSlot(slot),
+    lodEntry: currentAsset.lods[lodForSlot(slot)]
+  }));
+  return textureVariants.update(requests);
+}
+
+// Re-applies the material controls to a material created by createLODModel()
+function reapplyMaterial(material, lodKey) {
+  // The glTF material of the mesh might be needed for texture references
+  const sourceMaterial = sourceMaterials.get(material);
+  const controls = materialTargets.getControls(getMaterialName(sourceMaterial));
+  applyMaterialProperties(material, sourceMaterial, lodKey, controls);
+  material.needsUpdate = true;
 }
 
 function updateModelMaterials() {
+  // Side models of the split view are rebuilt from the new values on their next frame
+  splitView.invalidate();
+  materialTargets.sync();
+  // The crowd keeps its instances and updates its shared materials in place
+  crowd.updateMaterials();
+  updateMaterialIndicators();
   if (!model) return;
 
   model.traverse((child) => {
     if (child.isMesh && child.material instanceof THREE.MeshPhysicalMaterial) {
-      // The original material of the loaded LOD model might be needed for texture references
-      const originalLodMaterial = lods[appControls.lod.currentLOD]?.material;
-      applyMaterialProperties(child.material, originalLodMaterial, appControls.lod.currentLOD);
-      child.material.needsUpdate = true;
+      reapplyMaterial(child.material, getShownLOD());
     }
   });
 }
 
-function applyMaterialProperties(targetMaterial, originalMaterial, lodKey) {
+// Points the material target dropdown at the materials of the loaded LODs
+function updateMaterialTargetOptions() {
+  const names = new Set();
+  Object.values(lods).forEach((lodModel) => {
+    collectSourceMaterials(lodModel).forEach((material, name) => names.add(name));
+  });
+  assetControllers.materialTarget = replaceControllerOptions(assetControllers.materialTarget, getMaterialTargetOptions([...names]));
+}
+
+function applyMaterialProperties(targetMaterial, originalMaterial, lodKey, materialCtrl = appControls.material) {
   if (!appControls) return; // Guard clause
 
   if (!targetMaterial || !(targetMaterial instanceof THREE.MeshPhysicalMaterial)) {
@@ -190,33 +1173,62 @@ function applyMaterialProperties(targetMaterial, originalMaterial, lodKey) {
     return;
   }
 
-  const { material: materialCtrl, normalMap: normalMapCtrl, wireframe: wireframeCtrl, general: generalCtrl } = appControls;
+  const { normalMap: normalMapCtrl, wireframe: wireframeCtrl, general: generalCtrl } = appControls;
 
   // Base maps: Use from originalMaterial if available and enabled, otherwise null.
-  // Fallback to default LOD textures if originalMaterial is undefined but maps are desired (though this case might need specific handling).
-  const defaultLodSource = lods[lodKey]; // The originally loaded GLTF scene for this LOD
+  // Formats picked in the GUI win over external textures from the asset manifest, which win over the glTF's own
+  const overrides = {
+    ...textureOverrides[lodKey],
+    ...Object.fromEntries(['baseColor', 'occlusionRoughnessMetallic']
+      .map((slot) => [slot, textureVariants.getVariant(lodKey, slot)])
+      .filter(([, texture]) => texture))
+  };
+  const aormOverride = overrides.occlusionRoughnessMetallic;
+  const aormMap = aormOverride || originalMaterial?.roughnessMap || null;
 
   targetMaterial.map = materialCtrl.useBaseColorMap 
-    ? (originalMaterial?.map || defaultLodSource?.material?.map || null) 
-    : null;
-  targetMaterial.roughnessMap = materialCtrl.useAORMMaps 
-    ? (originalMaterial?.roughnessMap || defaultLodSource?.material?.roughnessMap || null) 
+    ? (overrides.baseColor || originalMaterial?.map || null) 
     : null;
+  targetMaterial.roughnessMap = materialCtrl.useAORMMaps ? aormMap : null;
   targetMaterial.metalnessMap = materialCtrl.useAORMMaps 
-    ? (originalMaterial?.metalnessMap || defaultLodSource?.material?.metalnessMap || null) 
+    ? (aormOverride || originalMaterial?.metalnessMap || null) 
     : null;
   targetMaterial.aoMap = materialCtrl.useAORMMaps 
-    ? (originalMaterial?.aoMap || defaultLodSource?.material?.aoMap || null) 
+    ? (aormOverride || originalMaterial?.aoMap || null) 
     : null;
 
-  // Normal Map
-  targetMaterial.normalMap = normalMapCtrl.normalMapEnabled ? normalMaps[normalMapCtrl.selectedNormalMap] : null;
+  targetMaterial.aoMapIntensity = materialCtrl.aoMapIntensity;
+
+  // Normal Map, from the same-named material of the source LOD (or this LOD's, if it has none)
+  const normalSource = normalMapCtrl.selectedNormalMap;
+  const sourceNormalMaps = normalMaps[normalSource] || {};
+  const materialName = getMaterialName(originalMaterial);
+  const normalMap = textureVariants.getVariant(normalSource, 'normal')
+    || (materialName in sourceNormalMaps ? sourceNormalMaps[materialName] : normalMaps[lodKey]?.[materialName])
+    || null;
+  targetMaterial.normalMap = normalMapCtrl.normalMapEnabled ? normalMap : null;
+  // Keep the flipped y that GLTFLoader uses for meshes without tangents
+  const normalYSign = originalMaterial?.normalScale?.y < 0 ? -1 : 1;
+  targetMaterial.normalScale.set(materialCtrl.normalScale, materialCtrl.normalScale * normalYSign);
+
+  // Trait maps
+  const traitMapSources = {
+    baseColor: overrides.baseColor || originalMaterial?.map || null,
+    aorm: aormMap,
+    normal: normalMap
+  };
+  Object.keys(TRAIT_MAPS).forEach((property) => {
+    const source = materialCtrl[`${property}Source`];
+    targetMaterial[property] = source === 'glTF'
+      ? (originalMaterial?.[property] || null)
+      : (traitMapSources[source] || null);
+  });
   
   // Wireframe
   targetMaterial.wireframe = wireframeCtrl.wireframeEnabled;
 
-  // Color
-  targetMaterial.color.set(materialCtrl.useBaseColorMap ? 0xffffff : materialCtrl.color);
+  // Color, multiplied with the base color map like glTF's baseColorFactor
+  targetMaterial.color.set(materialCtrl.color);
 
   // Physical Properties
   targetMaterial.roughness = materialCtrl.roughness;
@@ -235,6 +1247,16 @@ function applyMaterialProperties(targetMaterial, originalMaterial, lodKey) {
   targetMaterial.iridescence = materialCtrl.iridescence;
   targetMaterial.iridescenceIOR = materialCtrl.iridescenceIOR;
   targetMaterial.iridescenceThicknessRange = [materialCtrl.iridescenceThicknessMin, materialCtrl.iridescenceThicknessMax];
+  targetMaterial.attenuationColor.set(materialCtrl.attenuationColor);
+  targetMaterial.attenuationDistance = materialCtrl.attenuationDistance > 0 ? materialCtrl.attenuationDistance : Infinity;
+  targetMaterial.dispersion = materialCtrl.dispersion;
+  targetMaterial.anisotropy = materialCtrl.anisotropy;
+  targetMaterial.anisotropyRotation = materialCtrl.anisotropyRotation;
+
+  // Emissive
+  targetMaterial.emissive.set(materialCtrl.emissive);
+  targetMaterial.emissiveIntensity = materialCtrl.emissiveIntensity;
+  targetMaterial.emissiveMap = originalMaterial?.emissiveMap || null;
   
   // Double-sided mesh
   targetMaterial.side = generalCtrl.doubleSided ? THREE.DoubleSide : THREE.FrontSide;
@@ -254,37 +1276,143 @@ function animate() {
   const currentTime = Date.now();
   const deltaTime = currentTime - (lastFrameTime || currentTime);
   lastFrameTime = currentTime;
+
+  // High resolution frame interval for the benchmark runner
+  const perfTime = performance.now();
+  const frameTime = perfTime - (lastFramePerfTime || perfTime);
+  lastFramePerfTime = perfTime;
+  performanceMonitor.frameTime = frameTime;
   
-  // Animate the particle light
-  const timer = currentTime * 0.00025;
-  particleLight.position.x = Math.sin(timer * 7) * 3;
-  particleLight.position.y = Math.cos(timer * 5) * 4;
-  particleLight.position.z = Math.cos(timer * 3) * 3;
+  lightRig.update(currentTime, appControls.lights.animate);
+  const fitShadows = appControls.shadow.autoFitFrustum && model;
+  lightRig.fitShadows(fitShadows ? shadowBounds.setFromObject(model) : null, appControls.shadow.fitMargin);
   
   // Update rotation
   controls.update();
+  updateAutoLOD();
   if (appControls.general.rotatePlane) {
     if (model) {
       model.rotation.y += 0.005 * (deltaTime / 16.67); // Normalize rotation speed to 60fps
     }
   }
   
-  renderer.render(scene, camera);
+  const workStart = performance.now();
+  const gpuFrame = renderScene();
+  // What the frame cost, unlike frameTime which is paced by the display; the GPU's share arrives a few frames late
+  const workTime = Math.max(performance.now() - workStart, gpuTimer.getLatest()?.total ?? 0);
+  loadProfiler.onFrameRendered();
+  detectCompiledPrograms();
   stats.update();
 
   // Update custom stats
   updateStatsOverlay();
+
+  // Benchmarks and sweeps need fixed settings, so the governor sits them out
+  if (!benchmarkRunner.isRunning() && !crowd.isSweeping() && !shadowSweep.isRunning() && !postProcessing.isMeasuring() && !leakCheck.isRunning()) {
+    qualityGovernor.sample(frameTime, workTime, perfTime);
+  }
+
+  notifyFrameWaiters({
+    frameTime,
+    triangles: renderer.info.render.triangles,
+    drawCalls: renderer.info.render.calls,
+    // Resolves with this frame's GPU times once its timer queries are in, null without them
+    gpu: gpuTimer.getFrameTimes(gpuFrame)
+  });
+}
+
+// Returns the GPU timer's number for the frame (null without timer queries)
+function renderScene() {
+  // The crowd replaces the single model while it is shown
+  crowd.update();
+  if (model) {
+    model.visible = !crowd.isActive();
+  }
+
+  gpuTimer.beginFrame();
+
+  // Split view draws its two halves straight to screen, without the effect chain
+  if (splitView.isActive()) {
+    splitView.render(model);
+  } else if (postProcessing.isActive()) {
+    postProcessing.render();
+  } else {
+    renderer.render(scene, camera);
+  }
+  return gpuTimer.endFrame();
+}
+
+// Reports shader programs compiled by the last frame, e.g. after a material trait was switched on
+function detectCompiledPrograms() {
+  const programs = renderer.info.programs || [];
+  const compiled = programs.filter((program) => !compiledPrograms.has(program.id));
+  if (compiled.length === 0) return;
+  compiled.forEach((program) => compiledPrograms.add(program.id));
+  automationEvents.emit('materialRecompiled', {
+    programs: compiled.map((program) => program.name),
+    totalPrograms: programs.length
+  });
+}
+
+// Switches LOD from camera distance or projected size when auto mode is enabled
+function updateAutoLOD() {
+  if (!appControls.lod.autoLOD || !model) {
+    performanceMonitor.autoLODReason = '';
+    return;
+  }
+
+  const decision = evaluateAutoLOD(model, camera, appControls.lod, getLODKeys(), isLODLoaded);
+  performanceMonitor.autoLODReason = decision.reason;
+
+  if (decision.lodKey !== appControls.lod.currentLOD) {
+    appControls.lod.currentLOD = decision.lodKey;
+    changeLOD(decision.lodKey);
+  }
+}
+
+// Resolves after the next frame has been rendered, with its timing and render info
+function waitForFrame() {
+  return new Promise((resolve) => frameWaiters.push(resolve));
+}
+
+function notifyFrameWaiters(frameInfo) {
+  if (frameWaiters.length === 0) return;
+  const waiters = frameWaiters;
+  frameWaiters = [];
+  waiters.forEach((resolve) => resolve(frameInfo));
 }
 
 function initializeAppControls() {
+  const lodKeys = getLODKeys();
+
   appControls = {
+    // Asset selection from the manifest
+    asset: {
+      current: currentAsset.id
+    },
     // LOD (Level of Detail) settings
     lod: {
-      currentLOD: 'lod1'
+      currentLOD: lodKeys[0],
+      autoLOD: false,
+      autoMetric: 'screenSize',
+      hysteresis: 0.1,
+      // Switch to the keyed LOD once the camera is further away than this
+      distanceThresholds: { lod2: 3, lod3: 5, lod4: 8 },
+      // Switch to the keyed LOD once the model's projected height drops below this fraction of the viewport
+      screenSizeThresholds: { lod2: 0.6, lod3: 0.35, lod4: 0.18 },
+      // How the LODs of an asset are loaded; applies from the next asset load
+      streaming: 'progressive',
+      parallelLoads: 2,
+      reloadAsset: function() {
+        switchAsset(currentAsset.id).catch((error) => {
+          console.error('Reloading the asset failed:', error);
+          performanceMonitor.assetMessage = `Reloading ${getAssetLabel(currentAsset)} failed: ${error.message}`;
+        });
+      }
     },
     // Normal map settings
     normalMap: {
-      selectedNormalMap: 'lod1',
+      selectedNormalMap: lodKeys[0],
       normalMapEnabled: true,
       toggle: function() {
         this.normalMapEnabled = !this.normalMapEnabled;
@@ -322,66 +1450,401 @@ function initializeAppControls() {
       iridescenceThicknessMin: 100,
       iridescenceThicknessMax: 400,
       emissive: 0x000000,     // Emissive color (black = no emission)
-      emissiveIntensity: 0.0  // Emissive intensity
+      emissiveIntensity: 0.0, // Emissive intensity
+      attenuationColor: 0xffffff,
+      attenuationDistance: 0, // 0 = no attenuation (Infinity)
+      dispersion: 0.0,
+      anisotropy: 0.0,
+      anisotropyRotation: 0.0,
+      aoMapIntensity: 1.0,
+      normalScale: 1.0,
+      // Where each trait texture comes from, see TRAIT_MAPS
+      ...Object.fromEntries(Object.keys(TRAIT_MAPS).map((property) => [`${property}Source`, 'glTF']))
+    },
+    // Which material the material controls edit, see createMaterialTargets
+    materialTarget: {
+      target: ALL_MATERIALS,
+      clearOverride: function() {
+        materialTargets.clearOverride();
+        refreshGUI();
+        updateModelMaterials();
+      }
+    },
+    // Where the material controls start from
+    materialBaseline: {
+      mode: 'defaults',
+      resetToAuthored: function() {
+        resetMaterialToAuthored();
+      }
     },
     // Shadow settings
     shadow: {
       useShadows: true,
       useDirectionalLightShadow: true,
       useParticleLightShadow: true,
+      shadowType: 'PCFSoft',
       shadowResolutions: [512, 1024, 2048, 4096],
       shadowResolution: 1024, // Default resolution
+      autoFitFrustum: true,
+      fitMargin: 0.05,
+      showFrustumHelpers: false,
+      // Frame time of every shadow type × resolution, with a thumbnail of each for artifacts
+      sweep: {
+        lodMode: 'current',
+        warmupFrames: 30,
+        framesPerStep: 120,
+        run: function() {
+          shadowSweep.run(getShadowSweepConfig(appControls.shadow, appControls.lod.currentLOD, getLODKeys()));
+        },
+        cancel: function() {
+          shadowSweep.cancel();
+        },
+        downloadJSON: function() {
+          downloadShadowSweepResults(shadowSweep.getResults(), 'json');
+        },
+        downloadCSV: function() {
+          downloadShadowSweepResults(shadowSweep.getResults(), 'csv');
+        },
+        downloadContactSheet: function() {
+          downloadShadowSweepResults(shadowSweep.getResults(), 'png', shadowSweep.getThumbnails());
+        }
+      }
+    },
+    // Light rig: named rigs plus the editor's add and save actions
+    lights: {
+      rig: 'Default',
+      animate: true,
+      newLightType: 'point',
+      addLight: function() {
+        const count = lightRig.getSpecs().filter((spec) => spec.type === this.newLightType).length;
+        lightRig.addLight(createLightSpec(this.newLightType, { name: `${this.newLightType} ${count + 1}` }));
+        rebuildLightFolders();
+      },
+      saveName: 'My Rig',
+      saveRig: function() {
+        try {
+          saveRig(this.saveName, lightRig.getSpecs());
+        } catch (error) {
+          performanceMonitor.lightRigMessage = error.message;
+          return;
+        }
+        this.rig = this.saveName;
+        activeLightRig = this.saveName;
+        updateLightRigOptions();
+        performanceMonitor.lightRigMessage = `Light rig "${this.saveName}" saved`;
+      },
+      deleteRig: function() {
+        if (this.rig in BUILT_IN_RIGS) {
+          performanceMonitor.lightRigMessage = `"${this.rig}" is a built-in rig and cannot be deleted`;
+          return;
+        }
+        deleteRig(this.rig);
+        performanceMonitor.lightRigMessage = `Light rig "${this.rig}" deleted`;
+        this.rig = 'Default';
+        selectLightRig(this.rig);
+        updateLightRigOptions();
+      }
+    },
+    // Tone mapping and output apply always; the effect chain only when enabled
+    post: {
+      toneMapping: 'None',
+      exposure: 1,
+      outputColorSpace: 'sRGB',
+      enabled: false,
+      antialias: 'MSAA',
+      ssao: true,
+      ssaoKernelRadius: 8,
+      ssaoMinDistance: 0.005,
+      ssaoMaxDistance: 0.1,
+      bloom: false,
+      bloomStrength: 0.5,
+      bloomRadius: 0.4,
+      bloomThreshold: 0.85,
+      outputPass: true,
+      warmupFrames: 30,
+      framesPerStep: 120,
+      measurePasses: function() {
+        postProcessing.measurePassCosts(getPassCostConfig(this));
+      }
     },
     // Environment map settings
     environment: {
-      envMap: 'studio_small_01_1k.hdr',
+      envMap: getEnvironmentMaps(manifest, currentAsset)[0],
       envMapIntensity: 0.15,
-      useBackgroundAsEnv: true
+      rotation: 0,
+      useBackgroundAsEnv: true,
+      backgroundIntensity: 1,
+      backgroundBlurriness: 0,
+      pickFiles: function() {
+        pickEnvironmentFiles().then(addEnvironmentFiles);
+      },
+      downloadStatsJSON: function() {
+        downloadEnvironmentStats(environmentMaps.getAllStats(), 'json');
+      },
+      downloadStatsCSV: function() {
+        downloadEnvironmentStats(environmentMaps.getAllStats(), 'csv');
+      }
     },
     // General scene settings
     general: {
         rotatePlane: false,
         doubleSided: true,
-        dpr: 1.5
+        dpr: 1.5,
+        showMeshStats: false
+    },
+    // Split view comparison, each side with its own LOD and material snapshot
+    split: {
+      enabled: false,
+      layout: 'wipe',
+      wipePosition: 0.5,
+      leftLOD: lodKeys[0],
+      leftFollowsGUI: false,
+      rightLOD: lodKeys[Math.min(2, lodKeys.length - 1)],
+      rightFollowsGUI: true,
+      snapshotLeft: function() {
+        splitView.snapshot('left');
+      },
+      snapshotRight: function() {
+        splitView.snapshot('right');
+      }
+    },
+    // glTF/GLB and material JSON export of the active LOD
+    export: {
+      format: 'glb',
+      exportModel: function() {
+        exportActiveLOD(this.format);
+      },
+      exportMaterial: function() {
+        exportActiveMaterial();
+      }
+    },
+    // Image quality comparison against a reference LOD
+    quality: {
+      referenceLOD: lodKeys[0],
+      compare: 'current',
+      viewpoints: 8,
+      orbitRadius: 2,
+      orbitHeight: 0.5,
+      captureSize: 512,
+      psnrThreshold: 30,
+      ssimThreshold: 0.95,
+      heatmapGain: 8,
+      showHeatmap: true,
+      heatmapViewpoint: 0,
+      run: async function() {
+        await imageQuality.run(getQualityConfig(this, appControls.lod.currentLOD, getLODKeys()));
+        drawQualityHeatmap();
+      },
+      downloadJSON: function() {
+        downloadQualityResults(imageQuality.getResults(), 'json');
+      },
+      downloadCSV: function() {
+        downloadQualityResults(imageQuality.getResults(), 'csv');
+      }
+    },
+    // Load-time waterfall
+    profiler: {
+      showWaterfall: false,
+      downloadJSON: function() {
+        loadProfiler.download();
+      }
+    },
+    // Device capability panel, with the texture picked from each fallback list
+    capabilities: {
+      showReport: false,
+      downloadJSON: function() {
+        downloadCapabilityReport(getCapabilities(), { textureChoices: getTextureChoiceList(), stats: getCurrentStats() });
+      }
+    },
+    // Estimated GPU memory panel
+    memory: {
+      showBreakdown: false,
+      downloadReport: function() {
+        downloadGPUMemoryReport(getGPUMemoryReport(), renderer.info);
+      }
+    },
+    // Unloading of unused LODs and environment maps, and the leak check
+    resources: {
+      autoRelease: false,
+      cycles: 3,
+      framesPerStep: 5,
+      releaseUnused: function() {
+        releaseUnused();
+      },
+      runLeakCheck: function() {
+        leakCheck.run(getLeakCheckConfig(this));
+      },
+      cancelLeakCheck: function() {
+        leakCheck.cancel();
+      },
+      downloadJSON: function() {
+        downloadLeakCheckResults(leakCheck.getResults());
+      }
+    },
+    // Benchmark matrix settings
+    benchmark: {
+      lods: Object.fromEntries(getAllLODKeys(manifest).map((lodKey) => [lodKey, true])),
+      traits: Object.fromEntries(Object.keys(BENCHMARK_TRAITS).map((trait) => [trait, true])),
+      mode: 'isolated',
+      warmupFrames: 30,
+      framesPerCell: 240,
+      orbitRadius: 2,
+      orbitHeight: 0.5,
+      orbitRevolutions: 1,
+      run: function() {
+        benchmarkRunner.run(getBenchmarkConfig(this, getLODKeys()));
+      },
+      cancel: function() {
+        benchmarkRunner.cancel();
+      },
+      downloadJSON: function() {
+        downloadBenchmarkResults(benchmarkRunner.getResults(), 'json');
+      },
+      downloadCSV: function() {
+        downloadBenchmarkResults(benchmarkRunner.getResults(), 'csv');
+      }
+    },
+    // Instanced crowd stress test and its instance count sweep
+    crowd: {
+      enabled: false,
+      count: 100,
+      spacing: 2,
+      lodMode: 'distance',
+      warmupFrames: 30,
+      framesPerStep: 120,
+      frameCrowd: function() {
+        crowd.frame(controls);
+      },
+      runSweep: function() {
+        crowd.runSweep(getCrowdSweepConfig(this));
+      },
+      cancelSweep: function() {
+        crowd.cancelSweep();
+      },
+      downloadJSON: function() {
+        downloadCrowdResults(crowd.getResults(), 'json');
+      },
+      downloadCSV: function() {
+        downloadCrowdResults(crowd.getResults(), 'csv');
+      }
+    },
+    // Texture format per material slot
+    textures: {
+      baseColor: 'default',
+      occlusionRoughnessMetallic: 'default',
+      normal: 'default',
+      downloadReport: function() {
+        textureVariants.downloadReport();
+      }
+    },
+    // Model import and runtime LOD generation
+    import: {
+      generateLODs: true,
+      lod2Ratio: 0.5,
+      lod3Ratio: 0.25,
+      lod4Ratio: 0.1,
+      targetError: 0.05,
+      pickFiles: function() {
+        pickModelFiles().then(importModelFiles);
+      },
+      generateFromCurrent: function() {
+        generateLODsFromCurrentAsset();
+      }
+    },
+    // Named presets and share URLs
+    presets: {
+      name: 'my-preset',
+      selected: '',
+      save: function() {
+        if (!this.name) return;
+        withUserControls(() => savePreset(this.name, appControls));
+        this.selected = this.name;
+        presetsGUI.refreshPresetList();
+      },
+      load: function() {
+        const preset = loadPresetStore()[this.selected];
+        if (preset) {
+          const source = `Preset "${this.selected}"`;
+          reportSettleFailure(applyControlsState(readPresetDocument(preset), source), source);
+        }
+      },
+      remove: function() {
+        if (!this.selected) return;
+        deletePreset(this.selected);
+        presetsGUI.refreshPresetList();
+      },
+      exportJSON: function() {
+        withUserControls(() => exportPreset(this.name, appControls));
+      },
+      importJSON: function() {
+        pickJSONFile()
+          .then((data) => applyControlsState(readPresetDocument(data), `Imported preset${data.name ? ` "${data.name}"` : ''}`).settled)
+          .catch((error) => {
+            console.error('Preset import failed:', error);
+            performanceMonitor.presetMessage = `Preset import failed: ${error.message}`;
+          });
+      },
+      copyShareURL: function() {
+        const url = getShareURL();
+        // Update the address bar without re-applying the state we just encoded
+        history.replaceState(null, '', url);
+        const copied = navigator.clipboard ? navigator.clipboard.writeText(url) : Promise.reject(new Error('no clipboard access'));
+        copied.then(() => {
+          performanceMonitor.presetMessage = 'Share URL copied';
+        }).catch((error) => {
+          performanceMonitor.presetMessage = `Share URL is in the address bar (copying failed: ${error.message})`;
+        });
+      }
+    },
+    // Adaptive quality governor settings
+    governor: {
+      enabled: false,
+      targetFrameTime: 16.7,  // Frame-time budget in ms
+      windowFrames: 60,       // Frames per p90 evaluation
+      cooldownMs: 1000,       // Minimum time between adjustments
+      tolerance: 0.15,        // Step quality down once the p90 frame time misses the budget by more than this fraction
+      headroom: 0.7,          // Step quality back up when the p90 work time is below this fraction of the budget
+      order: 'dpr,shadowResolution,shadowCasters,lod,traits',
+      onToggle: function(enabled) {
+        if (enabled) {
+          qualityGovernor.enable();
+        } else {
+          qualityGovernor.restoreAll();
+        }
+      },
+      restore: function() {
+        qualityGovernor.restoreAll();
+      },
+      downloadLog: function() {
+        qualityGovernor.downloadLog();
+      },
+      clearLog: function() {
+        qualityGovernor.clearLog();
+      }
     }
   };
 }
 
 function setupLights() {
-  // Ambient Light
-  const ambientLight = new THREE.AmbientLight(0xffffff, 0.1);
-  scene.add(ambientLight);
-
-  // Directional Light
-  directionalLight = new THREE.DirectionalLight(0xffffff, 0.5);
-  directionalLight.position.set(0, 10, 10);
-  directionalLight.castShadow = appControls.shadow.useShadows && appControls.shadow.useDirectionalLightShadow;
-  directionalLight.shadow.mapSize.width = appControls.shadow.shadowResolution;
-  directionalLight.shadow.mapSize.height = appControls.shadow.shadowResolution;
-  directionalLight.shadow.camera.near = 0.5;
-  directionalLight.shadow.camera.far = 50;
-  scene.add(directionalLight);
-
-  // Particle Light (acting as a holder for PointLight)
-  particleLight = new THREE.Mesh(
-    new THREE.SphereGeometry(0.05, 8, 8),
-    new THREE.MeshBasicMaterial({ color: 0xffffff })
-  );
-  scene.add(particleLight);
-
-  // Create and configure the point light
-  const pointLight = new THREE.PointLight(0xffffff, 12);
-  pointLight.castShadow = appControls.shadow.useShadows && appControls.shadow.useParticleLightShadow;
-  pointLight.shadow.mapSize.width = appControls.shadow.shadowResolution;
-  pointLight.shadow.mapSize.height = appControls.shadow.shadowResolution;
-  pointLight.shadow.camera.near = 0.5;
-  pointLight.shadow.camera.far = 50;
-  
-  // Add the point light to the particle light mesh
-  particleLight.add(pointLight);
-  
-  // Store a reference to the point light for easier access
-  particleLight.userData.pointLight = pointLight;
+  lightRig = createLightRig({ scene, shadowCtrl: appControls.shadow });
+  selectLightRig(appControls.lights.rig);
+}
+
+// Replaces the lights with a copy of a built-in or saved rig; edits are kept until another rig is picked
+function selectLightRig(name) {
+  const specs = getRig(name);
+  if (!specs) {
+    performanceMonitor.lightRigMessage = `Light rig "${name}" not found`;
+    return;
+  }
+  lightRig.setLights(specs);
+  activeLightRig = name;
+  rebuildLightFolders();
+}
+
+function updateLightRigOptions() {
+  assetControllers.lightRig = replaceControllerOptions(assetControllers.lightRig, getRigNames());
+  assetControllers.lightRig.updateDisplay();
 }
 
 function updateStatsOverlay() {
@@ -412,86 +1875,275 @@ function updateStatsOverlay() {
     }
     
     // Add more performance metrics
-    statsHtml += `Draw Calls: ${performanceMonitor.drawCalls}`;
+    statsHtml += `Draw Calls: ${performanceMonitor.drawCalls}<br>`;
+    statsHtml += `${describeGPUTimes(gpuTimer)}<br>`;
+    if (model) {
+      statsHtml += describeMeshStats(collectMeshTriangles(model));
+    }
+    statsHtml += `${describeLightRig(lightRig.getSummary())}<br>`;
+    statsHtml += `${describeEnvironmentStats(environmentMaps.getStats(appControls.environment.envMap))}<br>`;
+    statsHtml += `${describeLoadHeadline(loadProfiler.getHeadline())}<br>`;
+    const lodShown = shownLOD && shownLOD !== appControls.lod.currentLOD ? `${shownLOD} → ` : '';
+    statsHtml += `LOD: ${lodShown}${appControls.lod.currentLOD} (${appControls.lod.autoLOD ? 'auto' : 'manual'})`;
+    const streamStatus = lodStream?.getStatus();
+    if (streamStatus && (!streamStatus.finished || streamStatus.entries.some((entry) => entry.state === 'failed'))) {
+      statsHtml += `<br>${describeLODStream(streamStatus)}`;
+    }
+    if (performanceMonitor.autoLODReason) {
+      statsHtml += `<br>Auto LOD: ${performanceMonitor.autoLODReason}`;
+    }
+
+    // Recomputed on every refresh so LOD, texture, environment and shadow changes show up right away
+    performanceMonitor.gpuMemory = getGPUMemoryReport();
+    statsHtml += `<br>${describeGPUMemory(performanceMonitor.gpuMemory)}`;
+    statsHtml += `<br>renderer.info: ${renderer.info.memory.geometries} geometries, ${renderer.info.memory.textures} textures`;
+    statsHtml += `<br>${describeResources(resources.getSummary())}`;
+    if (appControls.memory.showBreakdown) {
+      performanceMonitor.gpuMemory.items.forEach((item) => {
+        statsHtml += `<br>&nbsp;&nbsp;${GPU_MEMORY_CATEGORIES[item.category]}: ${item.name} ${formatBytes(item.bytes)}${item.detail ? ` (${item.detail})` : ''}`;
+      });
+    }
+
+    const governorEntry = qualityGovernor.getLastEntry();
+    if (appControls.governor.enabled && governorEntry) {
+      statsHtml += `<br>Governor (${qualityGovernor.getLog().length} adjustments): ${governorEntry.direction} ${governorEntry.knob} `
+        + `${governorEntry.change} @ ${governorEntry.frameTimeMs} ms frame, ${governorEntry.workTimeMs} ms work`;
+    }
+
+    textureVariants.getMessages().forEach(([slot, message]) => {
+      statsHtml += `<br>${TEXTURE_SLOT_LABELS[slot] || slot}: ${message}`;
+    });
+    // Slots of the shown LOD whose preferred texture couldn't be used on this device
+    Object.values(textureChoices[getShownLOD()] || {}).filter((choice) => choice.skipped.length).forEach((choice) => {
+      statsHtml += `<br>${TEXTURE_SLOT_LABELS[choice.slot] || choice.slot} fallback: ${describeTextureChoice(choice)}`;
+    });
+
+    if (performanceMonitor.importMessage) {
+      statsHtml += `<br>${performanceMonitor.importMessage}`;
+    }
+    performanceMonitor.lodChainReport?.forEach((row) => {
+      statsHtml += `<br>&nbsp;&nbsp;${describeLODChainRow(row)}`;
+    });
+
+    if (performanceMonitor.exportMessage) {
+      statsHtml += `<br>${performanceMonitor.exportMessage}`;
+    }
+
+    if (performanceMonitor.presetMessage) {
+      statsHtml += `<br>${performanceMonitor.presetMessage}`;
+    }
+
+    if (performanceMonitor.lightRigMessage) {
+      statsHtml += `<br>${performanceMonitor.lightRigMessage}`;
+    }
+
+    if (performanceMonitor.resourcesMessage) {
+      statsHtml += `<br>${performanceMonitor.resourcesMessage}`;
+    }
+
+    if (performanceMonitor.assetMessage) {
+      statsHtml += `<br>${performanceMonitor.assetMessage}`;
+    }
+
+    const leakCheckResults = leakCheck.getResults();
+    if (leakCheck.isRunning()) {
+      statsHtml += `<br>Leak check: ${leakCheck.getStatus()}`;
+    } else if (leakCheckResults) {
+      statsHtml += `<br>${describeLeakCheck(leakCheckResults)}`;
+    }
+
+    const qualityResults = imageQuality.getResults();
+    if (imageQuality.isRunning()) {
+      statsHtml += `<br>Image quality: ${imageQuality.getStatus()}`;
+    } else if (qualityResults) {
+      if (qualityResults.error) {
+        statsHtml += `<br>Image quality: ${qualityResults.error}`;
+      }
+      qualityResults.summary.forEach((summary) => {
+        statsHtml += `<br>${describeQualitySummary(summary, qualityResults.config.referenceLOD)}`;
+      });
+    }
+
+    if (crowd.isActive()) {
+      statsHtml += `<br>${describeCrowdStats(crowd.getStats())}`;
+    }
+    const crowdResults = crowd.getResults();
+    if (crowd.isSweeping()) {
+      statsHtml += `<br>Crowd sweep: running ${crowd.getStatus()}`;
+    } else if (crowdResults) {
+      statsHtml += `<br>Crowd sweep: ${crowd.getStatus()}`;
+      crowdResults.rows.forEach((row) => {
+        statsHtml += `<br>&nbsp;&nbsp;${row.count}: ${row.p50Ms} ms p50, ${row.drawCalls} calls, ${row.triangles.toLocaleString('en-US')} triangles`;
+      });
+    }
+
+    statsHtml += `<br>Post-processing: ${postProcessing.describeChain()}`;
+    const passCosts = postProcessing.getCosts();
+    if (postProcessing.isMeasuring()) {
+      statsHtml += `<br>Pass costs: measuring ${postProcessing.getStatus()}`;
+    } else if (passCosts) {
+      passCosts.rows.forEach((row) => {
+        statsHtml += `<br>&nbsp;&nbsp;${describePassCost(row)}`;
+      });
+    }
+
+    const shadowResults = shadowSweep.getResults();
+    if (shadowSweep.isRunning()) {
+      statsHtml += `<br>Shadow sweep: running ${shadowSweep.getStatus()}`;
+    } else if (shadowResults) {
+      statsHtml += `<br>Shadow sweep: ${shadowSweep.getStatus()}`;
+      shadowResults.rows.forEach((row) => {
+        statsHtml += `<br>&nbsp;&nbsp;${describeShadowSweepRow(row)}`;
+      });
+    }
+
+    const benchmarkStatus = benchmarkRunner.getStatus();
+    if (benchmarkStatus) {
+      statsHtml += `<br>Benchmark: ${benchmarkRunner.isRunning() ? 'running ' : ''}${benchmarkStatus}`;
+    }
     
     // Update the overlay
     statsOverlay.innerHTML = statsHtml;
+    updateLoadWaterfall();
+    updateCapabilityPanel();
+    splitView.updateOverlay();
   }
 }
 
-function updateShadowResolution(resolution) {
-  // Update directional light shadow resolution
-  if (directionalLight) {
-    directionalLight.shadow.mapSize.width = resolution;
-    directionalLight.shadow.mapSize.height = resolution;
-    // Force shadow map update
-    if (directionalLight.shadow.map) {
-      directionalLight.shadow.map.dispose();
-      directionalLight.shadow.map = null;
-    }
-    directionalLight.shadow.needsUpdate = true;
-  }
-
-  // Update point light shadow resolution
-  if (particleLight && particleLight.children.length > 0) {
-    const pointLight = particleLight.children.find(child => child instanceof THREE.PointLight);
-    if (pointLight) {
-      pointLight.shadow.mapSize.width = resolution;
-      pointLight.shadow.mapSize.height = resolution;
-      // Force shadow map update
-      if (pointLight.shadow.map) {
-        pointLight.shadow.map.dispose();
-        pointLight.shadow.map = null;
-      }
-      pointLight.shadow.needsUpdate = true;
+// Mesh and material counts of the shown model, with the triangles of each mesh when enabled
+function describeMeshStats(meshes) {
+  const materialCount = new Set(meshes.map((mesh) => mesh.material)).size;
+  let html = `Meshes: ${meshes.length}, Materials: ${materialCount}<br>`;
+  if (appControls.general.showMeshStats) {
+    meshes.slice(0, MAX_MESH_STATS).forEach((mesh) => {
+      html += `&nbsp;&nbsp;${mesh.name} (${mesh.material}): ${mesh.triangles.toLocaleString('en-US')}<br>`;
+    });
+    if (meshes.length > MAX_MESH_STATS) {
+      html += `&nbsp;&nbsp;… ${meshes.length - MAX_MESH_STATS} more<br>`;
     }
   }
+  return html;
+}
+
+function updateLoadWaterfall() {
+  const waterfall = document.getElementById('load-waterfall');
+  if (!waterfall) return;
+  waterfall.style.display = appControls.profiler.showWaterfall ? 'block' : 'none';
+  if (appControls.profiler.showWaterfall) {
+    renderWaterfall(waterfall, loadProfiler.getProfile());
+  }
+}
+
+// Texture choices of every loaded LOD as a flat list, for the capability panel and its export
+function getTextureChoiceList() {
+  return Object.entries(textureChoices).flatMap(([lodKey, choices]) => Object.values(choices).map((choice) => ({ lod: lodKey, ...choice })));
+}
+
+function updateCapabilityPanel() {
+  const panel = document.getElementById('capability-report');
+  if (!panel) return;
+  panel.style.display = appControls.capabilities.showReport ? 'block' : 'none';
+  if (appControls.capabilities.showReport) {
+    renderCapabilityReport(panel, getCapabilities(), getTextureChoiceList());
+  }
+}
+
+// Holds the animated lights still so image comparisons are repeatable
+function freezeScene() {
+  return lightRig.freeze();
+}
+
+// Renders a frame and copies it to a new canvas while the drawing buffer is still intact
+function captureThumbnail(width) {
+  renderScene();
+  const source = renderer.domElement;
+  const thumbnail = document.createElement('canvas');
+  thumbnail.width = width;
+  thumbnail.height = Math.round(width * source.height / source.width);
+  thumbnail.getContext('2d').drawImage(source, 0, 0, thumbnail.width, thumbnail.height);
+  return thumbnail;
+}
+
+// Shows the difference heatmap of the current LOD (or the first compared one) for the picked viewpoint
+function drawQualityHeatmap() {
+  const canvas = document.getElementById('quality-heatmap');
+  const results = imageQuality.getResults();
+  if (!canvas) return;
+
+  const summary = results?.summary || [];
+  const lodKey = summary.some((entry) => entry.lod === appControls.lod.currentLOD)
+    ? appControls.lod.currentLOD
+    : summary[0]?.lod;
+  const heatmap = lodKey ? imageQuality.getHeatmap(lodKey, appControls.quality.heatmapViewpoint) : null;
+
+  canvas.style.display = appControls.quality.showHeatmap && heatmap ? 'block' : 'none';
+  if (!heatmap || !appControls.quality.showHeatmap) return;
+  canvas.width = heatmap.width;
+  canvas.height = heatmap.height;
+  canvas.getContext('2d').putImageData(heatmap, 0, 0);
+  canvas.title = `${lodKey} vs ${results.config.referenceLOD}, viewpoint ${appControls.quality.heatmapViewpoint}`;
+}
+
+function getGPUMemoryReport() {
+  return collectGPUMemory({ scene, renderer, pmremCache: environmentMaps.getCache() });
+}
+
+// Shadow map size follows appControls.shadow.shadowResolution, which callers set first
+function updateShadowResolution() {
+  lightRig.applyShadows();
 }
 
 init();
 
-function updateEnvironmentMap(forceUpdate = false) {
-  return new Promise((resolve, reject) => {
-    if (!appControls || !appControls.environment) {
-      resolve();
-      return;
-    }
-    
-    // Cache environment maps to avoid reloading the same textures
-    if (!window.environmentMapCache) {
-      window.environmentMapCache = {};
-    }
-    
-    const pmremGenerator = new THREE.PMREMGenerator(renderer);
-    pmremGenerator.compileEquirectangularShader();
+/**
+ * Loads the selected environment map (converted to PMREM once, then cached) and applies it
+ * with the rest of the environment settings. A map selected while another was still
+ * loading wins; the earlier one is cached but not applied.
+ */
+async function updateEnvironmentMap() {
+  if (!appControls || !appControls.environment) return;
+  const url = appControls.environment.envMap;
+  const { cached } = await environmentMaps.load(url);
+  if (url !== appControls.environment.envMap) return;
+  environmentMaps.setActive(url);
+  environmentMaps.apply(appControls.environment);
+  if (appControls.resources.autoRelease) {
+    environmentMaps.releaseUnused();
+  }
+  automationEvents.emit('envMapReady', { url, cached });
+}
 
-    const envMapPath = appControls.environment.envMap;
-    
-    // Check if this environment map is already cached
-    if (window.environmentMapCache[envMapPath] && !forceUpdate) {
-      scene.environment = window.environmentMapCache[envMapPath];
-      scene.environmentIntensity = appControls.environment.envMapIntensity;
-      scene.background = appControls.environment.useBackgroundAsEnv ? scene.environment : new THREE.Color(0x111111);
-      resolve();
-    } else {
-      // Load new environment map
-      new RGBELoader()
-        .setPath('/env/')
-        .load(envMapPath, function (texture) {
-          const envMap = pmremGenerator.fromEquirectangular(texture).texture;
-          
-          // Cache for future use
-          window.environmentMapCache[envMapPath] = envMap;
-          
-          scene.environment = envMap;
-          scene.environmentIntensity = appControls.environment.envMapIntensity;
-          scene.background = appControls.environment.useBackgroundAsEnv ? scene.environment : new THREE.Color(0x111111);
-          texture.dispose();
-          pmremGenerator.dispose();
-          resolve();
-        }, undefined, reject);
-    }
-  });
+// Environment maps of the current asset, followed by the ones dropped or picked this session
+function getEnvironmentMapURLs() {
+  return [...getEnvironmentMaps(manifest, currentAsset), ...environmentMaps.getDroppedURLs()];
+}
+
+function getEnvironmentMapOptions() {
+  return Object.fromEntries(getEnvironmentMapURLs().map((url) => [environmentMaps.getName(url), url]));
+}
+
+// Adds dropped or picked environment maps to the dropdown and switches to the last one
+async function addEnvironmentFiles(files) {
+  const urls = environmentMaps.addFiles(files);
+  if (urls.length === 0) return;
+  assetControllers.envMap = replaceControllerOptions(assetControllers.envMap, getEnvironmentMapOptions());
+  appControls.environment.envMap = urls[urls.length - 1];
+  assetControllers.envMap.updateDisplay();
+  try {
+    await updateEnvironmentMap();
+  } catch (error) {
+    console.error('Environment map failed to load:', error);
+  }
+}
+
+// Dropped environment maps are loaded as such, anything else goes to the model import
+function handleDroppedFiles(files) {
+  const fileList = [...files];
+  if (fileList.every((file) => isEnvironmentFile(file.name))) {
+    addEnvironmentFiles(fileList);
+  } else {
+    importModelFiles(fileList);
+  }
 }
 
 function setupGUI() {
@@ -499,28 +2151,106 @@ function setupGUI() {
     console.error("appControls not initialized before setupGUI");
     return;
   }
-  const gui = new GUI();
+  gui = new GUI();
 
+  setupAssetGUI(gui, appControls.asset);
   setupLODGUI(gui, appControls.lod);
   setupNormalMapGUI(gui, appControls.normalMap);
   setupWireframeGUI(gui, appControls.wireframe);
   setupGeneralSettingsGUI(gui, appControls.general);
-  setupEnvironmentGUI(gui, appControls.environment);
+  setupGPUMemoryGUI(gui, appControls.memory);
+  setupResourcesGUI(gui, appControls.resources);
+  setupLoadProfilerGUI(gui, appControls.profiler, updateLoadWaterfall);
+  setupCapabilitiesGUI(gui, appControls.capabilities, updateCapabilityPanel);
+  setupSplitViewGUIControllers(gui, appControls.split);
+  const qualityGUI = setupImageQualityGUI(gui, appControls.quality, getLODKeys(), drawQualityHeatmap);
+  assetControllers.qualityReferenceLOD = qualityGUI.referenceLOD;
+  syncHeatmapViewpoint = qualityGUI.syncHeatmapViewpoint;
+  assetControllers.envMap = setupEnvironmentGUI(gui, appControls.environment, getEnvironmentMapOptions(), {
+    onEnvMapChange: () => updateEnvironmentMap().catch((error) => console.error('Environment map failed to load:', error)),
+    onChange: () => environmentMaps.apply(appControls.environment)
+  }).envMapController;
   setupShadowGUI(gui, appControls.shadow);
+  setupPostProcessingGUI(gui, appControls.post, {
+    onToneMappingChange: () => applyToneMapping(renderer, appControls.post),
+    onChange: () => postProcessing.update()
+  });
+  const lightRigGUI = setupLightRigGUI(gui, appControls.lights, lightRig, (name) => selectLightRig(name));
+  assetControllers.lightRig = lightRigGUI.rigController;
+  rebuildLightFolders = lightRigGUI.rebuildLightFolders;
   setupMaterialPropertiesGUI(gui, appControls.material);
+  setupTextureVariantsGUI(gui, appControls.textures, updateTextureVariants);
+  setupImportGUI(gui, appControls.import);
+  setupMaterialExportGUI(gui, appControls.export);
+  setupBenchmarkGUI(gui, appControls.benchmark);
+  setupCrowdGUI(gui, appControls.crowd, {
+    onToggle: (enabled) => crowd.setEnabled(enabled),
+    onChange: () => crowd.invalidate()
+  });
+  setupQualityGovernorGUI(gui, appControls.governor);
+  presetsGUI = setupPresetsGUI(gui, appControls.presets);
 
   gui.open();
 }
 
+// Re-reads every controller's value after appControls was changed from code
+function refreshGUI(folder = gui) {
+  if (!folder) return;
+  folder.__controllers.forEach((controller) => controller.updateDisplay());
+  Object.values(folder.__folders).forEach((subFolder) => refreshGUI(subFolder));
+}
+
+function setupAssetGUI(gui, assetCtrl) {
+  const assetOptions = Object.fromEntries(manifest.assets.map((asset) => [getAssetLabel(asset), asset.id]));
+  assetControllers.asset = gui.add(assetCtrl, 'current', assetOptions).name('Asset').listen().onChange(function(value) {
+    switchAsset(value).catch((error) => {
+      console.error('Switching the asset failed:', error);
+      performanceMonitor.assetMessage = `Loading ${getAssetLabel(currentAsset)} failed: ${error.message}`;
+    });
+  });
+}
+
+// Points the asset dependent dropdowns at the LODs and env maps of the current asset
+function updateAssetGUIOptions() {
+  assetControllers.lod = replaceControllerOptions(assetControllers.lod, getLODKeys());
+  assetControllers.normalMap = replaceControllerOptions(assetControllers.normalMap, getLODKeys());
+  assetControllers.splitLeftLOD = replaceControllerOptions(assetControllers.splitLeftLOD, getLODKeys());
+  assetControllers.splitRightLOD = replaceControllerOptions(assetControllers.splitRightLOD, getLODKeys());
+  assetControllers.qualityReferenceLOD = replaceControllerOptions(assetControllers.qualityReferenceLOD, getLODKeys());
+  assetControllers.envMap = replaceControllerOptions(assetControllers.envMap, getEnvironmentMapOptions());
+}
+
 function setupLODGUI(gui, lodCtrl) {
-  gui.add(lodCtrl, 'currentLOD', Object.keys(LOD_PATHS)).name('Select LOD').onChange(function(value) {
+  assetControllers.lod = gui.add(lodCtrl, 'currentLOD', getLODKeys()).name('Select LOD').listen().onChange(function(value) {
+    // Picking a LOD by hand takes over from auto mode
+    lodCtrl.autoLOD = false;
     changeLOD(value);
   });
+  setupAutoLODGUI(gui, lodCtrl, getAllLODKeys(manifest));
+  setupLODStreamingGUI(gui, lodCtrl);
+}
+
+function setupSplitViewGUIControllers(gui, splitCtrl) {
+  const onChange = () => {
+    splitView.invalidate();
+    splitView.updateOverlay();
+  };
+  const controllers = setupSplitViewGUI(gui, splitCtrl, getLODKeys(), {
+    onToggle: (enabled) => splitView.setEnabled(enabled),
+    onChange
+  });
+  assetControllers.splitLeftLOD = controllers.leftLOD;
+  assetControllers.splitRightLOD = controllers.rightLOD;
 }
 
 function setupNormalMapGUI(gui, normalMapCtrl) {
-  gui.add(normalMapCtrl, 'selectedNormalMap', Object.keys(NORMAL_MAP_PATHS)).name('Normal Map Source').onChange(function() {
+  assetControllers.normalMap = gui.add(normalMapCtrl, 'selectedNormalMap', getLODKeys()).name('Normal Map Source').onChange(function(value) {
     updateModelMaterials();
+    updateTextureVariants();
+    // A source LOD that was unloaded is loaded again, then its normal maps are applied
+    if (unloadedLODs.has(value)) {
+      ensureLOD(value).then(updateModelMaterials).catch((error) => console.error(`Error reloading ${value}:`, error));
+    }
   });
   gui.add(normalMapCtrl, 'toggle').name('Toggle Normal Map');
   // normalMapFolder.open(); // Optional: open by default
@@ -542,54 +2272,32 @@ function setupGeneralSettingsGUI(gui, generalCtrl) {
                 }
             });
         }
+        splitView.invalidate();
+        crowd.invalidate();
     });
     generalFolder.add(generalCtrl, 'dpr', 1, 2, 0.5).name('Device Pixel Ratio').onChange((value) => {
         renderer.setPixelRatio(value);
         renderer.setSize(window.innerWidth, window.innerHeight);
     });
+    generalFolder.add(generalCtrl, 'showMeshStats').name('Per-Mesh Triangles');
     generalFolder.open();
 }
 
-function setupEnvironmentGUI(gui, environmentCtrl) {
-  const envFolder = gui.addFolder('Environment');
-  
-  // Environment map selection
-  envFolder.add(environmentCtrl, 'envMap', ['studio_small_01_1k.hdr', 'moonless_golf_1k.hdr', 'pond_bridge_night_1k.hdr']).name('Environment Map').onChange(updateEnvironmentMap);
-  envFolder.add(environmentCtrl, 'envMapIntensity', 0, 2).name('Intensity').onChange(function() {
-    scene.environmentIntensity = environmentCtrl.envMapIntensity;
-  });
-  envFolder.add(environmentCtrl, 'useBackgroundAsEnv').name('Use Background as Environment').onChange(function(value) {
-    updateEnvironmentMap(true); // Force update to apply background change
-  });
+/**
+ * Helper function to update shadow settings for all lights
+ */
+function applyShadowCasters() {
+  lightRig.applyShadows();
 }
 
 function setupShadowGUI(gui, shadowCtrl) {
   const shadowFolder = gui.addFolder('Shadows');
-  
-  /**
-   * Helper function to update shadow settings for all lights
-   */
-  function updateShadowSettings() {
-    const useShadows = shadowCtrl.useShadows;
-    const useDirectional = shadowCtrl.useDirectionalLightShadow;
-    const useParticle = shadowCtrl.useParticleLightShadow;
-    
-    // Update directional light
-    if (directionalLight) {
-      directionalLight.castShadow = useShadows && useDirectional;
-    }
-    
-    // Update particle light
-    const pointLight = particleLight.children.find(child => child instanceof THREE.PointLight);
-    if (pointLight) {
-      pointLight.castShadow = useShadows && useParticle;
-    }
-  }
+
   shadowFolder.add(shadowCtrl, 'useShadows').name('Enable Shadows').onChange((value) => {
     renderer.shadowMap.enabled = value;
     
     // Update shadow settings for all lights
-    updateShadowSettings();
+    applyShadowCasters();
     
     // Update model shadow properties
     if (model) {
@@ -600,49 +2308,43 @@ function setupShadowGUI(gui, shadowCtrl) {
         }
       });
     }
+    splitView.invalidate();
+    crowd.invalidate();
   });
 
-  shadowFolder.add(shadowCtrl, 'useDirectionalLightShadow').name('Directional Light Shadow').onChange((value) => {
-    // Update directional light shadow settings
-    directionalLight.castShadow = value && shadowCtrl.useShadows;
-    
-    // Force shadow map update if needed
-    if (value && shadowCtrl.useShadows) {
-      if (directionalLight.shadow.map) {
-        directionalLight.shadow.map.dispose();
-        directionalLight.shadow.map = null;
-      }
-      directionalLight.shadow.needsUpdate = true;
-    }
-  });
-
-  shadowFolder.add(shadowCtrl, 'useParticleLightShadow').name('Particle Light Shadow').onChange((value) => {
-    // Update particle light shadow settings
-    const pointLight = particleLight.children.find(child => child instanceof THREE.PointLight);
-    if (pointLight) {
-      pointLight.castShadow = value && shadowCtrl.useShadows;
-      
-      // Force shadow map update if needed
-      if (value && shadowCtrl.useShadows) {
-        if (pointLight.shadow.map) {
-          pointLight.shadow.map.dispose();
-          pointLight.shadow.map = null;
-        }
-        pointLight.shadow.needsUpdate = true;
-      }
-    }
-  });
+  // Per class of light, on top of each light's own Cast Shadow setting in the Light Rig folder
+  shadowFolder.add(shadowCtrl, 'useDirectionalLightShadow').name('Directional/Spot Shadows').onChange(applyShadowCasters);
+  shadowFolder.add(shadowCtrl, 'useParticleLightShadow').name('Point Light Shadows').onChange(applyShadowCasters);
 
-  shadowFolder.add(shadowCtrl, 'shadowResolution', shadowCtrl.shadowResolutions).name('Resolution').onChange((newResolution) => {
-    shadowCtrl.shadowResolution = newResolution; // Ensure the control object is updated
+  shadowFolder.add(shadowCtrl, 'shadowResolution', shadowCtrl.shadowResolutions).name('Resolution').listen().onChange((newResolution) => {
+    shadowCtrl.shadowResolution = Number(newResolution); // Ensure the control object is updated (dropdowns yield strings)
     
     // Update shadow resolution for all shadow-casting lights
     updateShadowResolution(newResolution);
   });
+
+  shadowFolder.add(shadowCtrl, 'shadowType', Object.keys(SHADOW_MAP_TYPES)).name('Technique').listen().onChange((type) => {
+    applyShadowMapType(renderer, scene, type);
+  });
+  // Fits directional light frustums to the model every frame; off restores the fixed ±5 box
+  shadowFolder.add(shadowCtrl, 'autoFitFrustum').name('Auto-Fit Frustum').onChange(applyShadowCasters);
+  shadowFolder.add(shadowCtrl, 'fitMargin', 0, 0.5, 0.01).name('Fit Margin');
+  shadowFolder.add(shadowCtrl, 'showFrustumHelpers').name('Show Frustums').onChange((visible) => {
+    lightRig.setHelpersVisible(visible);
+  });
+  setupShadowSweepGUI(shadowFolder, shadowCtrl.sweep);
 }
 
 function setupMaterialPropertiesGUI(gui, materialCtrl) {
   const materialFolder = gui.addFolder('Material Properties');
+  assetControllers.materialTarget = setupMaterialTargetGUI(materialFolder, appControls.materialTarget, [], (target) => {
+    materialTargets.select(target);
+    refreshGUI();
+    updateModelMaterials();
+  });
+  setupAuthoredMaterialGUI(materialFolder, appControls.materialBaseline, (mode) => {
+    if (mode === 'authored') resetMaterialToAuthored();
+  });
   materialFolder.add(materialCtrl, 'useBaseColorMap').name('Use BaseColor Map').onChange(updateModelMaterials);
   materialFolder.add(materialCtrl, 'useAORMMaps').name('Use AORM Maps').onChange(updateModelMaterials);
   materialFolder.addColor(materialCtrl, 'color').name('Color').onChange(updateModelMaterials);
@@ -654,6 +2356,17 @@ function setupMaterialPropertiesGUI(gui, materialCtrl) {
   materialFolder.add(materialCtrl, 'thickness', 0, 5).name('Thickness (for Trans.)').onChange(updateModelMaterials); // Adjusted range for thickness
   materialFolder.add(materialCtrl, 'ior', 1.0, 2.333).name('IOR').onChange(updateModelMaterials);
   materialFolder.add(materialCtrl, 'reflectivity', 0, 1).name('Reflectivity').onChange(updateModelMaterials);
+  materialFolder.add(materialCtrl, 'aoMapIntensity', 0, 1).name('AO Map Intensity').onChange(updateModelMaterials);
+  materialFolder.add(materialCtrl, 'normalScale', 0, 2).name('Normal Scale').onChange(updateModelMaterials);
+
+  const volumeFolder = materialFolder.addFolder('Volume');
+  volumeFolder.addColor(materialCtrl, 'attenuationColor').name('Attenuation Color').onChange(updateModelMaterials);
+  volumeFolder.add(materialCtrl, 'attenuationDistance', 0, 10).name('Attenuation Dist. (0 = ∞)').onChange(updateModelMaterials);
+  volumeFolder.add(materialCtrl, 'dispersion', 0, 10).name('Dispersion').onChange(updateModelMaterials);
+
+  const anisotropyFolder = materialFolder.addFolder('Anisotropy');
+  anisotropyFolder.add(materialCtrl, 'anisotropy', 0, 1).name('Anisotropy Strength').onChange(updateModelMaterials);
+  anisotropyFolder.add(materialCtrl, 'anisotropyRotation', 0, Math.PI * 2).name('Anisotropy Rotation').onChange(updateModelMaterials);
   
   // Add emissive controls
   const emissiveFolder = materialFolder.addFolder('Emissive');
@@ -674,6 +2387,9 @@ function setupMaterialPropertiesGUI(gui, materialCtrl) {
   iridescenceFolder.add(materialCtrl, 'iridescenceIOR', 1.0, 2.333).name('Iridescence IOR').onChange(updateModelMaterials);
   iridescenceFolder.add(materialCtrl, 'iridescenceThicknessMin', 0, 1000).name('Thickness Min').onChange(updateModelMaterials);
   iridescenceFolder.add(materialCtrl, 'iridescenceThicknessMax', 0, 1000).name('Thickness Max').onChange(updateModelMaterials);
+
+  const traitMapsFolder = materialFolder.addFolder('Trait Maps');
+  Object.entries(TRAIT_MAPS).forEach(([property, label]) => {
+    traitMapsFolder.add(materialCtrl, `${property}Source`, TRAIT_MAP_SOURCES).name(label).onChange(updateModelMaterials);
+  });
 }
-// Expose changeLOD to global scope for easy testing (e.g., via console)
-window.changeLOD = changeLOD;
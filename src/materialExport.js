@@ -0,0 +1,222 @@
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+import * as WebGLTextureUtils from 'three/examples/jsm/utils/WebGLTextureUtils.js';
+import { downloadFile, downloadJSON, fileTimestamp } from './fileExport.js';
+
+export const MODEL_EXPORT_FORMATS = ['glb', 'gltf'];
+
+export const MATERIAL_DOCUMENT_FORMAT = 'threejs-perftest-material';
+const MATERIAL_DOCUMENT_VERSION = 1;
+
+// glTF texture slots and the MeshPhysicalMaterial maps they are written from
+const TEXTURE_SLOTS = {
+  baseColorTexture: 'map',
+  metallicRoughnessTexture: 'roughnessMap',
+  normalTexture: 'normalMap',
+  occlusionTexture: 'aoMap',
+  emissiveTexture: 'emissiveMap',
+  clearcoatTexture: 'clearcoatMap',
+  clearcoatRoughnessTexture: 'clearcoatRoughnessMap',
+  clearcoatNormalTexture: 'clearcoatNormalMap',
+  sheenColorTexture: 'sheenColorMap',
+  sheenRoughnessTexture: 'sheenRoughnessMap',
+  iridescenceTexture: 'iridescenceMap',
+  iridescenceThicknessTexture: 'iridescenceThicknessMap',
+  specularTexture: 'specularIntensityMap',
+  specularColorTexture: 'specularColorMap',
+  transmissionTexture: 'transmissionMap',
+  thicknessTexture: 'thicknessMap',
+  anisotropyTexture: 'anisotropyMap'
+};
+
+function round(value) {
+  return Math.round(value * 1e5) / 1e5;
+}
+
+function colorFactor(color) {
+  return color.toArray().map(round);
+}
+
+/**
+ * three.js scales the sheen color by `sheen`, glTF has no separate intensity, so the
+ * scale is baked into the color. Everything else maps one to one.
+ */
+function bakeMaterialForExport(material) {
+  const baked = material.clone();
+  if (baked.sheen > 0) {
+    baked.sheenColor.multiplyScalar(baked.sheen);
+    baked.sheen = 1;
+  }
+  return baked;
+}
+
+// Clone of the model whose materials are safe to hand to GLTFExporter
+function prepareModelForExport(model) {
+  const exportModel = model.clone();
+  exportModel.traverse((child) => {
+    if (child.isMesh) {
+      child.material = bakeMaterialForExport(child.material);
+    }
+  });
+  return exportModel;
+}
+
+/**
+ * Writes the model with its current materials to glTF or GLB. GLTFExporter emits the
+ * KHR_materials_* extensions (clearcoat, sheen, iridescence, specular, transmission,
+ * volume, ior, dispersion, anisotropy, emissive_strength) for every trait in use.
+ * KTX2 textures are decompressed to PNG, since the exporter can't write Basis data.
+ */
+export async function exportModel(model, { binary, baseName }) {
+  const exporter = new GLTFExporter().setTextureUtils(WebGLTextureUtils);
+  const exportModel = prepareModelForExport(model);
+  try {
+    const result = await exporter.parseAsync(exportModel, { binary, onlyVisible: false });
+    if (binary) {
+      downloadFile(`${baseName}.glb`, result, 'model/gltf-binary');
+    } else {
+      downloadFile(`${baseName}.gltf`, JSON.stringify(result, null, 2), 'model/gltf+json');
+    }
+  } finally {
+    exportModel.traverse((child) => {
+      if (child.isMesh) child.material.dispose();
+    });
+  }
+}
+
+function describeTexture(texture) {
+  const image = texture.mipmaps?.[0] || texture.image;
+  return {
+    name: texture.name || null,
+    mimeType: texture.userData?.mimeType || null,
+    width: image?.width || null,
+    height: image?.height || null,
+    texCoord: texture.channel
+  };
+}
+
+/**
+ * Describes a MeshPhysicalMaterial as a glTF material definition with its KHR_materials_*
+ * extensions, using the same rules as GLTFExporter for when an extension is written.
+ * Textures are listed by slot rather than by index, since the document has no images.
+ */
+export function describeMaterialAsGLTF(material) {
+  const baked = bakeMaterialForExport(material);
+  const definition = {
+    name: material.name || undefined,
+    pbrMetallicRoughness: {
+      baseColorFactor: [...colorFactor(baked.color), round(baked.opacity)],
+      metallicFactor: round(baked.metalness),
+      roughnessFactor: round(baked.roughness)
+    },
+    doubleSided: baked.side === THREE.DoubleSide,
+    extensions: {}
+  };
+
+  const emissiveFactor = colorFactor(baked.emissive);
+  if (emissiveFactor.some((value) => value > 0)) {
+    definition.emissiveFactor = emissiveFactor;
+  }
+  if (baked.normalMap) {
+    definition.normalTexture = { scale: round(baked.normalScale.x) };
+  }
+  if (baked.aoMap) {
+    definition.occlusionTexture = { strength: round(baked.aoMapIntensity) };
+  }
+
+  const extensions = definition.extensions;
+  if (baked.emissiveIntensity !== 1) {
+    extensions.KHR_materials_emissive_strength = { emissiveStrength: round(baked.emissiveIntensity) };
+  }
+  if (baked.clearcoat > 0) {
+    extensions.KHR_materials_clearcoat = {
+      clearcoatFactor: round(baked.clearcoat),
+      clearcoatRoughnessFactor: round(baked.clearcoatRoughness)
+    };
+  }
+  if (baked.sheen > 0) {
+    extensions.KHR_materials_sheen = {
+      sheenColorFactor: colorFactor(baked.sheenColor),
+      sheenRoughnessFactor: round(baked.sheenRoughness)
+    };
+  }
+  if (baked.iridescence > 0) {
+    extensions.KHR_materials_iridescence = {
+      iridescenceFactor: round(baked.iridescence),
+      iridescenceIor: round(baked.iridescenceIOR),
+      iridescenceThicknessMinimum: baked.iridescenceThicknessRange[0],
+      iridescenceThicknessMaximum: baked.iridescenceThicknessRange[1]
+    };
+  }
+  if (baked.specularIntensity !== 1 || !baked.specularColor.equals(new THREE.Color(1, 1, 1))) {
+    extensions.KHR_materials_specular = {
+      specularFactor: round(baked.specularIntensity),
+      specularColorFactor: colorFactor(baked.specularColor)
+    };
+  }
+  if (baked.transmission > 0) {
+    extensions.KHR_materials_transmission = { transmissionFactor: round(baked.transmission) };
+  }
+  if (baked.transmission > 0 && baked.thickness > 0) {
+    extensions.KHR_materials_volume = {
+      thicknessFactor: round(baked.thickness),
+      attenuationColor: colorFactor(baked.attenuationColor),
+      ...(Number.isFinite(baked.attenuationDistance) && { attenuationDistance: round(baked.attenuationDistance) })
+    };
+  }
+  if (baked.ior !== 1.5) {
+    extensions.KHR_materials_ior = { ior: round(baked.ior) };
+  }
+  if (baked.dispersion > 0) {
+    extensions.KHR_materials_dispersion = { dispersion: round(baked.dispersion) };
+  }
+  if (baked.anisotropy > 0) {
+    extensions.KHR_materials_anisotropy = {
+      anisotropyStrength: round(baked.anisotropy),
+      anisotropyRotation: round(baked.anisotropyRotation)
+    };
+  }
+
+  const textures = Object.fromEntries(Object.entries(TEXTURE_SLOTS)
+    .filter(([, property]) => baked[property])
+    .map(([slot, property]) => [slot, describeTexture(baked[property])]));
+
+  baked.dispose();
+  return { definition, extensionsUsed: Object.keys(extensions), textures };
+}
+
+/**
+ * Standalone material description: per material of the model, the glTF material definition
+ * for the pipeline, plus the raw material controls so the same look can be dialed in again
+ * in the app. entries is a list of { material, controls }.
+ */
+export function createMaterialDocument(entries, { assetId, lodKey }) {
+  return {
+    format: MATERIAL_DOCUMENT_FORMAT,
+    version: MATERIAL_DOCUMENT_VERSION,
+    exportedAt: new Date().toISOString(),
+    asset: assetId,
+    lod: lodKey,
+    materials: entries.map(({ material, controls }) => ({
+      name: material.name || null,
+      gltf: describeMaterialAsGLTF(material),
+      controls: { ...controls }
+    }))
+  };
+}
+
+export function downloadMaterialDocument(materialDocument, baseName) {
+  downloadJSON(`${baseName}.material.json`, materialDocument);
+}
+
+export function getExportBaseName(assetId, lodKey) {
+  return `${assetId}-${lodKey}-${fileTimestamp()}`;
+}
+
+export function setupMaterialExportGUI(gui, exportCtrl) {
+  const exportFolder = gui.addFolder('Export');
+  exportFolder.add(exportCtrl, 'format', MODEL_EXPORT_FORMATS).name('Model Format');
+  exportFolder.add(exportCtrl, 'exportModel').name('Export Active LOD');
+  exportFolder.add(exportCtrl, 'exportMaterial').name('Export Material JSON');
+  return exportFolder;
+}
@@ -0,0 +1,151 @@
+export const ALL_MATERIALS = 'all';
+
+// Names collectSourceMaterials() listed each material under; material.name stays as loaded
+const displayNames = new WeakMap();
+
+/**
+ * Lists the distinct materials of a loaded model by name, in traversal order. Materials are
+ * matched across LODs by name, so unnamed ones are named "Material N" and duplicate names
+ * get a suffix; LODs built from the same hierarchy end up with the same names. The names
+ * are kept aside, see getMaterialName(), so exports keep the glTF's own names.
+ */
+export function collectSourceMaterials(root) {
+  const materials = new Map();
+  root.traverse((child) => {
+    if (!child.isMesh) return;
+    const childMaterials = Array.isArray(child.material) ? child.material : [child.material];
+    childMaterials.forEach((material) => {
+      if (!material || [...materials.values()].includes(material)) return;
+      const baseName = material.name || `Material ${materials.size + 1}`;
+      let name = baseName;
+      for (let suffix = 2; materials.has(name); suffix++) {
+        name = `${baseName} (${suffix})`;
+      }
+      displayNames.set(material, name);
+      materials.set(name, material);
+    });
+  });
+  return materials;
+}
+
+// Name a source material is listed and overridden under; its own name if it hasn't been collected
+export function getMaterialName(material) {
+  if (!material) return undefined;
+  return displayNames.get(material) ?? material.name;
+}
+
+/**
+ * Keeps one set of material controls per source material, so the material sliders can
+ * edit a single material or all of them.
+ *
+ * materialCtrl is what the GUI is bound to and always shows the selected target. With
+ * "All Materials" selected, every change is copied into each per-material override, so
+ * it applies everywhere while the other values of an override are kept. Call sync()
+ * before reading controls, so the latest slider values have been folded in.
+ */
+export function createMaterialTargets(materialCtrl, targetCtrl) {
+  const overrides = new Map();
+  let allValues = { ...materialCtrl };
+  let selected = targetCtrl.target;
+
+  function differsFrom(values) {
+    return Object.keys(materialCtrl).filter((key) => materialCtrl[key] !== values[key]);
+  }
+
+  function sync() {
+    if (selected !== ALL_MATERIALS) {
+      // Only a material that was actually changed gets an override
+      if (overrides.has(selected) || differsFrom(allValues).length) {
+        overrides.set(selected, { ...materialCtrl });
+      }
+      return;
+    }
+    const changed = differsFrom(allValues);
+    overrides.forEach((values) => changed.forEach((key) => {
+      values[key] = materialCtrl[key];
+    }));
+    allValues = { ...materialCtrl };
+  }
+
+  // Switches the sliders to another target, after targetCtrl.target was set by the GUI
+  function select(target = targetCtrl.target) {
+    sync();
+    selected = target;
+    targetCtrl.target = target;
+    Object.assign(materialCtrl, overrides.get(target) || allValues);
+  }
+
+  // Controls that apply to a source material: its override, otherwise the All Materials values
+  function getControls(materialName) {
+    if (materialName === selected) return materialCtrl;
+    return overrides.get(materialName) || (selected === ALL_MATERIALS ? materialCtrl : allValues);
+  }
+
+  // Drops the override of the selected material, or all of them with All Materials selected
+  function clearOverride() {
+    if (selected === ALL_MATERIALS) {
+      overrides.clear();
+      return;
+    }
+    overrides.delete(selected);
+    Object.assign(materialCtrl, allValues);
+  }
+
+  // Replaces every value, e.g. with the authored ones: shared values plus per-material ones
+  function setAll(values, perMaterial = {}) {
+    allValues = { ...allValues, ...values };
+    overrides.clear();
+    Object.entries(perMaterial).forEach(([name, materialValues]) => {
+      overrides.set(name, { ...allValues, ...materialValues });
+    });
+    Object.assign(materialCtrl, overrides.get(selected) || allValues);
+  }
+
+  // Back to All Materials without overrides, e.g. before a preset is applied
+  function reset() {
+    if (selected !== ALL_MATERIALS) {
+      Object.assign(materialCtrl, allValues);
+    }
+    overrides.clear();
+    selected = ALL_MATERIALS;
+    targetCtrl.target = ALL_MATERIALS;
+    allValues = { ...materialCtrl };
+  }
+
+  // Runs fn with the All Materials values in materialCtrl, e.g. to save them to a preset
+  function withAllMaterials(fn) {
+    if (selected === ALL_MATERIALS) return fn();
+    sync();
+    const edited = { ...materialCtrl };
+    Object.assign(materialCtrl, allValues);
+    try {
+      return fn();
+    } finally {
+      Object.assign(materialCtrl, edited);
+    }
+  }
+
+  return {
+    sync,
+    select,
+    getControls,
+    clearOverride,
+    setAll,
+    reset,
+    withAllMaterials,
+    getSelected: () => selected,
+    getOverriddenNames: () => [...overrides.keys()]
+  };
+}
+
+export function getMaterialTargetOptions(materialNames) {
+  return { 'All Materials': ALL_MATERIALS, ...Object.fromEntries(materialNames.map((name) => [name, name])) };
+}
+
+export function setupMaterialTargetGUI(materialFolder, targetCtrl, materialNames, onSelect) {
+  const targetController = materialFolder.add(targetCtrl, 'target', getMaterialTargetOptions(materialNames))
+    .name('Edit Material')
+    .onChange(onSelect);
+  materialFolder.add(targetCtrl, 'clearOverride').name('Clear Override');
+  return targetController;
+}
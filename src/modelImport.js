@@ -0,0 +1,235 @@
+import * as THREE from 'three';
+import { mergeVertices } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+import { MeshoptSimplifier } from 'meshoptimizer';
+
+const MODEL_EXTENSIONS = ['.gltf', '.glb'];
+
+// Imported models are scaled so their bounding sphere has this radius, matching the bundled asset
+const IMPORT_RADIUS = 1;
+
+function getExtension(name) {
+  const dot = name.lastIndexOf('.');
+  return dot === -1 ? '' : name.slice(dot).toLowerCase();
+}
+
+/**
+ * Loads a dropped or picked glTF/GLB. A .gltf can be dropped together with its .bin and
+ * textures; references to them are resolved to blob URLs by file name.
+ */
+export async function loadModelFiles(files, createLoader) {
+  const fileList = Array.from(files);
+  const mainFile = fileList.find((file) => MODEL_EXTENSIONS.includes(getExtension(file.name)));
+  if (!mainFile) {
+    throw new Error('No .gltf or .glb file found in the dropped files.');
+  }
+
+  const blobURLs = new Map(fileList.map((file) => [file.name, URL.createObjectURL(file)]));
+  const manager = new THREE.LoadingManager();
+  manager.setURLModifier((url) => {
+    if (url.startsWith('blob:') || url.startsWith('data:')) return url;
+    const fileName = decodeURIComponent(url.split(/[?#]/)[0].split('/').pop());
+    if (!blobURLs.has(fileName)) {
+      console.warn(`Imported model references "${fileName}", which was not among the dropped files.`);
+    }
+    return blobURLs.get(fileName) || url;
+  });
+
+  try {
+    const loader = createLoader(manager);
+    const gltf = await loader.loadAsync(blobURLs.get(mainFile.name));
+    return { gltf, name: mainFile.name.replace(/\.(gltf|glb)$/i, '') };
+  } finally {
+    blobURLs.forEach((url) => URL.revokeObjectURL(url));
+  }
+}
+
+/**
+ * Prepares an imported scene for display with its node hierarchy intact: the whole scene
+ * is centered and scaled to a common size.
+ */
+export function extractImportedModel(gltf) {
+  const root = gltf.scene;
+  let hasMesh = false;
+  root.traverse((child) => {
+    if (child.isMesh) hasMesh = true;
+  });
+  if (!hasMesh) {
+    throw new Error('The imported model contains no mesh.');
+  }
+
+  root.updateMatrixWorld(true);
+  const sphere = new THREE.Box3().setFromObject(root).getBoundingSphere(new THREE.Sphere());
+  const fit = sphere.radius > 0 ? IMPORT_RADIUS / sphere.radius : 1;
+  root.scale.multiplyScalar(fit);
+  root.position.sub(sphere.center).multiplyScalar(fit);
+  root.updateMatrixWorld(true);
+
+  return root;
+}
+
+export function countTriangles(geometry) {
+  const count = geometry.index ? geometry.index.count : geometry.attributes.position.count;
+  return Math.floor(count / 3);
+}
+
+// Triangles of every mesh in a model, largest first
+export function collectMeshTriangles(root) {
+  const meshes = [];
+  root.traverse((child) => {
+    if (!child.isMesh) return;
+    const materials = Array.isArray(child.material) ? child.material : [child.material];
+    meshes.push({
+      name: child.name || `mesh ${meshes.length + 1}`,
+      material: materials.map((material) => material?.name).filter(Boolean).join(', '),
+      triangles: countTriangles(child.geometry) * (child.isInstancedMesh ? child.count : 1)
+    });
+  });
+  return meshes.sort((a, b) => b.triangles - a.triangles);
+}
+
+export function countModelTriangles(root) {
+  return collectMeshTriangles(root).reduce((sum, mesh) => sum + mesh.triangles, 0);
+}
+
+// Copies the vertices kept by a remap table into new, non-interleaved attributes
+function compactAttribute(attribute, remap, vertexCount) {
+  const array = new attribute.array.constructor(vertexCount * attribute.itemSize);
+  const compacted = new THREE.BufferAttribute(array, attribute.itemSize, attribute.normalized);
+  for (let i = 0; i < remap.length; i++) {
+    if (remap[i] === 0xffffffff) continue;
+    for (let c = 0; c < attribute.itemSize; c++) {
+      compacted.setComponent(remap[i], c, attribute.getComponent(i, c));
+    }
+  }
+  return compacted;
+}
+
+/**
+ * Simplifies a geometry to roughly ratio × its triangle count with meshoptimizer.
+ * Borders are locked so UV seams and open edges don't tear. Unused vertices are
+ * dropped afterwards so the generated LOD is cheaper in memory as well.
+ */
+export async function simplifyGeometry(geometry, ratio, targetError) {
+  await MeshoptSimplifier.ready;
+
+  const source = geometry.index ? geometry : mergeVertices(geometry);
+  const position = source.attributes.position;
+  const positions = new Float32Array(position.count * 3);
+  for (let i = 0; i < position.count; i++) {
+    positions[i * 3] = position.getX(i);
+    positions[i * 3 + 1] = position.getY(i);
+    positions[i * 3 + 2] = position.getZ(i);
+  }
+
+  const indices = new Uint32Array(source.index.array);
+  const targetIndexCount = Math.max(3, Math.floor((indices.length * ratio) / 3) * 3);
+  const [simplified, error] = MeshoptSimplifier.simplify(indices, positions, 3, targetIndexCount, targetError, ['LockBorder']);
+
+  const [remap, vertexCount] = MeshoptSimplifier.compactMesh(simplified);
+
+  const result = new THREE.BufferGeometry();
+  Object.entries(source.attributes).forEach(([name, attribute]) => {
+    result.setAttribute(name, compactAttribute(attribute, remap, vertexCount));
+  });
+  result.setIndex(new THREE.BufferAttribute(vertexCount > 65535 ? simplified : new Uint16Array(simplified), 1));
+  result.computeBoundingBox();
+  result.computeBoundingSphere();
+
+  // meshoptimizer reports the error relative to the mesh extents
+  return { geometry: result, error };
+}
+
+/**
+ * Builds lod1 (the source model) plus one simplified copy of its hierarchy per ratio, keyed
+ * lod2, lod3, ... Every mesh is simplified on its own, geometries shared between meshes once.
+ * Returns the models and a per-LOD summary of triangle counts and the largest simplification error.
+ */
+export async function generateLODChain(sourceModel, ratios, targetError) {
+  const models = { lod1: sourceModel };
+  const report = [{ lod: 'lod1', ratio: 1, triangles: countModelTriangles(sourceModel), error: 0 }];
+
+  for (let i = 0; i < ratios.length; i++) {
+    const lodKey = `lod${i + 2}`;
+    const model = sourceModel.clone();
+    const meshes = [];
+    model.traverse((child) => {
+      if (child.isMesh) meshes.push(child);
+    });
+
+    // Clones share the source geometries, so they double as cache keys
+    const simplified = new Map();
+    let maxError = 0;
+    for (const mesh of meshes) {
+      if (!simplified.has(mesh.geometry)) {
+        simplified.set(mesh.geometry, await simplifyGeometry(mesh.geometry, ratios[i], targetError));
+      }
+      const { geometry, error } = simplified.get(mesh.geometry);
+      mesh.geometry = geometry;
+      maxError = Math.max(maxError, error);
+    }
+
+    model.name = `${sourceModel.name || 'model'}_${lodKey}`;
+    models[lodKey] = model;
+    report.push({ lod: lodKey, ratio: ratios[i], triangles: countModelTriangles(model), error: Math.round(maxError * 1e5) / 1e5 });
+  }
+
+  return { models, report };
+}
+
+// One overlay line per report row, e.g. "lod3 (25%): 12,480 triangles, authored 9,960, error 0.00213"
+export function describeLODChainRow(row) {
+  const authored = row.authoredTriangles === undefined ? ''
+    : `, authored ${row.authoredTriangles === null ? 'not loaded' : row.authoredTriangles.toLocaleString('en-US')}`;
+  return `${row.lod} (${Math.round(row.ratio * 100)}%): ${row.triangles.toLocaleString('en-US')} triangles${authored}, error ${row.error}`;
+}
+
+// Opens a file picker for a model and its side files
+export function pickModelFiles() {
+  return new Promise((resolve) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.multiple = true;
+    input.accept = '.gltf,.glb,.bin,.png,.jpg,.jpeg,.webp,.ktx2';
+    input.addEventListener('change', () => {
+      if (input.files.length) resolve(input.files);
+    });
+    input.click();
+  });
+}
+
+// Accepts files dropped anywhere on the page and shows a hint while dragging
+export function setupDropTarget(onFiles) {
+  const hint = document.getElementById('drop-hint');
+  let dragDepth = 0;
+
+  window.addEventListener('dragenter', (event) => {
+    event.preventDefault();
+    dragDepth++;
+    if (hint) hint.style.display = 'flex';
+  });
+  window.addEventListener('dragleave', () => {
+    dragDepth = Math.max(0, dragDepth - 1);
+    if (hint && dragDepth === 0) hint.style.display = 'none';
+  });
+  window.addEventListener('dragover', (event) => event.preventDefault());
+  window.addEventListener('drop', (event) => {
+    event.preventDefault();
+    dragDepth = 0;
+    if (hint) hint.style.display = 'none';
+    if (event.dataTransfer.files.length) {
+      onFiles(event.dataTransfer.files);
+    }
+  });
+}
+
+export function setupImportGUI(gui, importCtrl) {
+  const importFolder = gui.addFolder('Import');
+  importFolder.add(importCtrl, 'pickFiles').name('Open glTF/GLB…');
+  importFolder.add(importCtrl, 'generateLODs').name('Generate LODs on Import');
+  importFolder.add(importCtrl, 'lod2Ratio', 0.01, 1, 0.01).name('lod2 Triangle Ratio');
+  importFolder.add(importCtrl, 'lod3Ratio', 0.01, 1, 0.01).name('lod3 Triangle Ratio');
+  importFolder.add(importCtrl, 'lod4Ratio', 0.01, 1, 0.01).name('lod4 Triangle Ratio');
+  importFolder.add(importCtrl, 'targetError', 0.001, 1, 0.001).name('Max Error');
+  importFolder.add(importCtrl, 'generateFromCurrent').name('Generate LODs from Current');
+  return importFolder;
+}
@@ -0,0 +1,287 @@
+import * as THREE from 'three';
+import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
+import { SSAOPass } from 'three/examples/jsm/postprocessing/SSAOPass.js';
+import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
+import { OutputPass } from 'three/examples/jsm/postprocessing/OutputPass.js';
+import { SMAAPass } from 'three/examples/jsm/postprocessing/SMAAPass.js';
+import { FXAAPass } from 'three/examples/jsm/postprocessing/FXAAPass.js';
+import { summarizeFrameTimes, summarizeGPUTimes } from './benchmark.js';
+
+export const TONE_MAPPINGS = {
+  None: THREE.NoToneMapping,
+  Linear: THREE.LinearToneMapping,
+  Reinhard: THREE.ReinhardToneMapping,
+  Cineon: THREE.CineonToneMapping,
+  ACESFilmic: THREE.ACESFilmicToneMapping,
+  AgX: THREE.AgXToneMapping,
+  Neutral: THREE.NeutralToneMapping
+};
+export const OUTPUT_COLOR_SPACES = {
+  sRGB: THREE.SRGBColorSpace,
+  'Linear sRGB': THREE.LinearSRGBColorSpace
+};
+export const ANTIALIAS_MODES = ['MSAA', 'SMAA', 'FXAA', 'none'];
+
+// Samples of the composer's render targets with MSAA selected
+const MSAA_SAMPLES = 4;
+
+// Passes whose cost measurePassCosts() isolates, with the setting that switches each off
+const MEASURED_PASSES = {
+  ssao: { label: 'SSAO', isOn: (ctrl) => ctrl.ssao, off: { ssao: false } },
+  bloom: { label: 'Bloom', isOn: (ctrl) => ctrl.bloom, off: { bloom: false } },
+  antialias: { label: 'Antialiasing', isOn: (ctrl) => ctrl.antialias !== 'none', off: { antialias: 'none' } },
+  output: { label: 'Output', isOn: (ctrl) => ctrl.outputPass, off: { outputPass: false } }
+};
+
+/**
+ * Tone mapping, exposure and output color space live on the renderer, so they apply with
+ * and without the effect chain: drawn straight to screen the renderer applies them itself,
+ * in the chain the output pass does.
+ */
+export function applyToneMapping(renderer, postCtrl) {
+  renderer.toneMapping = TONE_MAPPINGS[postCtrl.toneMapping];
+  renderer.toneMappingExposure = postCtrl.exposure;
+  renderer.outputColorSpace = OUTPUT_COLOR_SPACES[postCtrl.outputColorSpace];
+}
+
+/**
+ * An optional effect chain: scene → SSAO → bloom → output (tone mapping and color space)
+ * → SMAA or FXAA. MSAA multisamples the chain's render targets instead. The composer is
+ * created on first use and follows the renderer's size and pixel ratio. Its render targets
+ * are tracked in the resource registry: the passes' own as 'post:passes', the composer's
+ * read and write buffers, which MSAA replaces, as 'post:composer'.
+ *
+ * measurePassCosts() measures the frame with every enabled pass, then with each one
+ * switched off in turn, so the difference is that pass's cost. The cost is taken from the
+ * GPU timer where it is available; otherwise it comes from rAF intervals, which can't drop
+ * below the refresh interval, so a pass that fits in the frame's slack shows up as free.
+ */
+export function createPostProcessing({ renderer, scene, camera, postCtrl, resources, waitForFrame }) {
+  let composer = null;
+  let passes = null;
+  let samples = null;
+  const size = new THREE.Vector2();
+  const lastSize = new THREE.Vector2();
+  let lastPixelRatio = null;
+
+  let measuring = false;
+  let status = '';
+  let lastCosts = null;
+
+  function createComposer() {
+    composer = new EffectComposer(renderer);
+    renderer.getSize(size);
+    passes = {
+      render: new RenderPass(scene, camera),
+      ssao: new SSAOPass(scene, camera, size.x, size.y),
+      bloom: new UnrealBloomPass(size.clone(), postCtrl.bloomStrength, postCtrl.bloomRadius, postCtrl.bloomThreshold),
+      output: new OutputPass(),
+      smaa: new SMAAPass(),
+      fxaa: new FXAAPass()
+    };
+    Object.values(passes).forEach((pass) => {
+      composer.addPass(pass);
+      // Bloom keeps its mip chain in arrays of render targets
+      Object.values(pass).flat().forEach((value) => {
+        if (value?.isRenderTarget) resources.track('post:passes', value);
+      });
+    });
+  }
+
+  // Pushes the GUI settings into the passes
+  function update() {
+    if (!composer) return;
+    passes.ssao.enabled = postCtrl.ssao;
+    passes.ssao.kernelRadius = postCtrl.ssaoKernelRadius;
+    passes.ssao.minDistance = postCtrl.ssaoMinDistance;
+    passes.ssao.maxDistance = postCtrl.ssaoMaxDistance;
+    passes.bloom.enabled = postCtrl.bloom;
+    passes.bloom.strength = postCtrl.bloomStrength;
+    passes.bloom.radius = postCtrl.bloomRadius;
+    passes.bloom.threshold = postCtrl.bloomThreshold;
+    passes.output.enabled = postCtrl.outputPass;
+    passes.smaa.enabled = postCtrl.antialias === 'SMAA';
+    passes.fxaa.enabled = postCtrl.antialias === 'FXAA';
+
+    // Multisampling is fixed when a render target is allocated, so the targets are replaced
+    const nextSamples = postCtrl.antialias === 'MSAA' ? MSAA_SAMPLES : 0;
+    if (nextSamples !== samples) {
+      const target = composer.renderTarget1.clone();
+      target.samples = nextSamples;
+      // reset() disposes the previous buffers, so releasing them only drops them from the registry
+      composer.reset(target);
+      resources.release('post:composer');
+      resources.track('post:composer', composer.renderTarget1);
+      resources.track('post:composer', composer.renderTarget2);
+      samples = nextSamples;
+    }
+  }
+
+  function render() {
+    if (!composer) {
+      createComposer();
+      update();
+    }
+    renderer.getSize(size);
+    const pixelRatio = renderer.getPixelRatio();
+    if (!size.equals(lastSize) || pixelRatio !== lastPixelRatio) {
+      composer.setPixelRatio(pixelRatio);
+      composer.setSize(size.x, size.y);
+      lastSize.copy(size);
+      lastPixelRatio = pixelRatio;
+    }
+
+    // renderer.info is reset once for the whole chain, so it counts every pass of the frame
+    renderer.info.autoReset = false;
+    renderer.info.reset();
+    try {
+      composer.render();
+    } finally {
+      renderer.info.autoReset = true;
+    }
+  }
+
+  // Names of the passes that run, in order
+  function describeChain() {
+    if (!postCtrl.enabled) return 'off';
+    const chain = ['Render'];
+    if (postCtrl.ssao) chain.push('SSAO');
+    if (postCtrl.bloom) chain.push('Bloom');
+    if (postCtrl.outputPass) chain.push('Output');
+    if (postCtrl.antialias !== 'none') chain.push(postCtrl.antialias);
+    return chain.join(' → ');
+  }
+
+  async function measureFrames(config) {
+    update();
+    for (let i = 0; i < config.warmupFrames; i++) {
+      await waitForFrame();
+    }
+    const frames = [];
+    for (let i = 0; i < config.framesPerStep; i++) {
+      frames.push(await waitForFrame());
+    }
+    return { ...summarizeFrameTimes(frames.map((frame) => frame.frameTime)), ...(await summarizeGPUTimes(frames)) };
+  }
+
+  async function measurePassCosts(config) {
+    if (measuring) {
+      console.warn('Post-processing costs are already being measured.');
+      return lastCosts;
+    }
+    measuring = true;
+    const initial = { ...postCtrl };
+    const costs = {
+      startedAt: new Date().toISOString(),
+      chain: describeChain(),
+      config: { ...config },
+      rows: []
+    };
+
+    try {
+      status = 'without post-processing';
+      postCtrl.enabled = false;
+      const direct = await measureFrames(config);
+      costs.rows.push({ pass: 'No post-processing', ...direct });
+
+      status = 'full chain';
+      postCtrl.enabled = true;
+      const full = await measureFrames(config);
+      costs.rows.push({ pass: 'Full chain', ...full, ...getContribution(full, direct) });
+
+      const measured = Object.entries(MEASURED_PASSES).filter(([, pass]) => pass.isOn(initial));
+      for (const [key, pass] of measured) {
+        status = `without ${pass.label}`;
+        Object.assign(postCtrl, initial, { enabled: true }, pass.off);
+        const without = await measureFrames(config);
+        costs.rows.push({ pass: pass.label, key, ...without, ...getContribution(full, without) });
+      }
+      status = 'done';
+    } catch (error) {
+      console.error('Post-processing measurement failed:', error);
+      costs.error = error.message;
+      status = `failed: ${error.message}`;
+    } finally {
+      Object.assign(postCtrl, initial);
+      update();
+      measuring = false;
+    }
+
+    lastCosts = costs;
+    console.table(costs.rows);
+    return costs;
+  }
+
+  return {
+    isActive: () => postCtrl.enabled,
+    render,
+    update,
+    describeChain,
+    measurePassCosts,
+    isMeasuring: () => measuring,
+    getStatus: () => status,
+    getCosts: () => lastCosts
+  };
+}
+
+/**
+ * How much slower a measurement got than the reference one, by frame interval and, with
+ * timer queries, GPU time. costMs is the GPU difference when there is one, since frame
+ * intervals are capped by the refresh rate; costBasis says which one it is.
+ */
+function getContribution(measured, reference) {
+  const contributionMs = round(measured.p50Ms - reference.p50Ms);
+  const gpuContributionMs = measured.gpuMs === null || reference.gpuMs === null ? null : round(measured.gpuMs - reference.gpuMs);
+  return {
+    costMs: gpuContributionMs ?? contributionMs,
+    costBasis: gpuContributionMs === null ? 'frame-interval' : 'gpu',
+    contributionMs,
+    gpuContributionMs
+  };
+}
+
+function round(value, digits = 3) {
+  if (!Number.isFinite(value)) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function formatDelta(value) {
+  return `${value >= 0 ? '+' : ''}${value} ms`;
+}
+
+export function describePassCost(row) {
+  const gpu = row.gpuMs === null ? 'CPU only' : `GPU ${row.gpuMs} ms`;
+  if (row.costMs === undefined) return `${row.pass}: ${row.p50Ms} ms p50, ${gpu}`;
+  const basis = row.costBasis === 'gpu'
+    ? `GPU; frame interval ${formatDelta(row.contributionMs)}`
+    : 'frame interval, capped by the refresh rate';
+  return `${row.pass}: ${formatDelta(row.costMs)} (${basis}; ${row.p50Ms} ms p50 ${row.key ? 'without it' : 'in total'})`;
+}
+
+export function getPassCostConfig(postCtrl) {
+  return { warmupFrames: postCtrl.warmupFrames, framesPerStep: postCtrl.framesPerStep };
+}
+
+export function setupPostProcessingGUI(gui, postCtrl, { onToneMappingChange, onChange }) {
+  const postFolder = gui.addFolder('Post-Processing');
+  postFolder.add(postCtrl, 'toneMapping', Object.keys(TONE_MAPPINGS)).name('Tone Mapping').onChange(onToneMappingChange);
+  postFolder.add(postCtrl, 'exposure', 0, 4, 0.01).name('Exposure').onChange(onToneMappingChange);
+  postFolder.add(postCtrl, 'outputColorSpace', Object.keys(OUTPUT_COLOR_SPACES)).name('Output Color Space').onChange(onToneMappingChange);
+  postFolder.add(postCtrl, 'enabled').name('Enable Effect Chain').listen().onChange(onChange);
+  postFolder.add(postCtrl, 'antialias', ANTIALIAS_MODES).name('Antialiasing').listen().onChange(onChange);
+  postFolder.add(postCtrl, 'ssao').name('SSAO').listen().onChange(onChange);
+  postFolder.add(postCtrl, 'ssaoKernelRadius', 0, 32, 0.1).name('SSAO Kernel Radius').onChange(onChange);
+  postFolder.add(postCtrl, 'ssaoMinDistance', 0.001, 0.02, 0.0001).name('SSAO Min Distance').onChange(onChange);
+  postFolder.add(postCtrl, 'ssaoMaxDistance', 0.01, 0.3, 0.001).name('SSAO Max Distance').onChange(onChange);
+  postFolder.add(postCtrl, 'bloom').name('Bloom').listen().onChange(onChange);
+  postFolder.add(postCtrl, 'bloomStrength', 0, 3, 0.01).name('Bloom Strength').onChange(onChange);
+  postFolder.add(postCtrl, 'bloomRadius', 0, 1, 0.01).name('Bloom Radius').onChange(onChange);
+  postFolder.add(postCtrl, 'bloomThreshold', 0, 1, 0.01).name('Bloom Threshold').onChange(onChange);
+  postFolder.add(postCtrl, 'outputPass').name('Output Pass').listen().onChange(onChange);
+  postFolder.add(postCtrl, 'warmupFrames', 0, 300, 1).name('Warmup Frames');
+  postFolder.add(postCtrl, 'framesPerStep', 30, 2000, 10).name('Frames per Step');
+  postFolder.add(postCtrl, 'measurePasses').name('Measure Pass Costs');
+  return postFolder;
+}
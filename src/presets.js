@@ -0,0 +1,261 @@
+import { downloadJSON, fileTimestamp } from './fileExport.js';
+
+const STORAGE_KEY = 'threejs-perftest.presets';
+const PRESET_FORMAT = 'threejs-perftest-preset';
+const PRESET_VERSION = 1;
+const HASH_PREFIX = '#state=';
+
+// appControls branches that drive the GUI itself and are neither saved nor restored. The
+// material target only picks what the sliders edit, and switching it has to go through
+// the material targets' select(); per-material overrides last for the session.
+const NON_STATE_KEYS = ['presets', 'materialTarget'];
+
+/**
+ * Flattens the data part of appControls into dotted paths, e.g. { 'material.clearcoat': 1 }.
+ * Functions are GUI actions and arrays are option lists for the GUI, neither is state.
+ */
+export function flattenControls(controls, prefix = '', result = {}) {
+  Object.entries(controls).forEach(([key, value]) => {
+    if (typeof value === 'function' || Array.isArray(value)) return;
+    if (!prefix && NON_STATE_KEYS.includes(key)) return;
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object') {
+      flattenControls(value, path, result);
+    } else {
+      result[path] = value;
+    }
+  });
+  return result;
+}
+
+export function unflattenControls(flat) {
+  const result = {};
+  Object.entries(flat).forEach(([path, value]) => {
+    const keys = path.split('.');
+    let node = result;
+    keys.slice(0, -1).forEach((key) => {
+      node[key] = node[key] || {};
+      node = node[key];
+    });
+    node[keys[keys.length - 1]] = value;
+  });
+  return result;
+}
+
+function getParent(controls, path) {
+  const keys = path.split('.');
+  let node = controls;
+  for (const key of keys.slice(0, -1)) {
+    node = node?.[key];
+  }
+  return { parent: node, key: keys[keys.length - 1] };
+}
+
+/**
+ * Reads the range and option constraints for each appControls path from the dat.gui
+ * controllers bound to it, so validation always matches what the GUI allows.
+ */
+export function collectConstraints(gui, appControls) {
+  const objectPaths = new Map();
+  (function walk(node, prefix) {
+    objectPaths.set(node, prefix);
+    Object.entries(node).forEach(([key, value]) => {
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        walk(value, prefix ? `${prefix}.${key}` : key);
+      }
+    });
+  })(appControls, '');
+
+  const constraints = {};
+  (function walkFolder(folder) {
+    folder.__controllers.forEach((controller) => {
+      const prefix = objectPaths.get(controller.object);
+      if (prefix === undefined) return;
+      const path = prefix ? `${prefix}.${controller.property}` : controller.property;
+      const constraint = {};
+      if (controller.__select) {
+        constraint.options = Array.from(controller.__select.options).map((option) => option.value);
+      }
+      if (typeof controller.__min === 'number') constraint.min = controller.__min;
+      if (typeof controller.__max === 'number') constraint.max = controller.__max;
+      constraints[path] = constraint;
+    });
+    Object.values(folder.__folders).forEach(walkFolder);
+  })(gui);
+
+  return constraints;
+}
+
+/**
+ * Checks flattened values against the current appControls shape and GUI constraints.
+ * Returns the values that are safe to apply and a list of human readable issues for the rest.
+ */
+export function validateControls(flatValues, appControls, constraints) {
+  const known = flattenControls(appControls);
+  const values = {};
+  const issues = [];
+
+  Object.entries(flatValues).forEach(([path, value]) => {
+    if (NON_STATE_KEYS.includes(path.split('.')[0])) {
+      issues.push(`${path}: not restorable, pick it in the GUI`);
+      return;
+    }
+    if (!(path in known)) {
+      issues.push(`${path}: unknown setting`);
+      return;
+    }
+    if (typeof value !== typeof known[path]) {
+      issues.push(`${path}: expected ${typeof known[path]}, got ${JSON.stringify(value)}`);
+      return;
+    }
+    if (typeof value === 'number' && !Number.isFinite(value)) {
+      issues.push(`${path}: ${value} is not a finite number`);
+      return;
+    }
+
+    const constraint = constraints[path] || {};
+    if (constraint.options && !constraint.options.includes(String(value))) {
+      issues.push(`${path}: ${JSON.stringify(value)} is not one of ${constraint.options.join(', ')}`);
+      return;
+    }
+    if (constraint.min !== undefined && value < constraint.min) {
+      issues.push(`${path}: ${value} is below the minimum ${constraint.min}`);
+      return;
+    }
+    if (constraint.max !== undefined && value > constraint.max) {
+      issues.push(`${path}: ${value} is above the maximum ${constraint.max}`);
+      return;
+    }
+
+    values[path] = value;
+  });
+
+  return { values, issues };
+}
+
+export function applyControlValues(appControls, flatValues) {
+  Object.entries(flatValues).forEach(([path, value]) => {
+    const { parent, key } = getParent(appControls, path);
+    if (parent) parent[key] = value;
+  });
+}
+
+// Only the paths that differ from the defaults, which keeps share URLs short
+export function diffControls(flatValues, flatDefaults) {
+  return Object.fromEntries(Object.entries(flatValues).filter(([path, value]) => flatDefaults[path] !== value));
+}
+
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach((byte) => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(encoded) {
+  const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+}
+
+export function encodeStateHash(flatValues) {
+  return `${HASH_PREFIX}${toBase64Url(JSON.stringify(flatValues))}`;
+}
+
+// Returns null when the hash does not carry app state
+export function decodeStateHash(hash) {
+  if (!hash.startsWith(HASH_PREFIX)) return null;
+  return JSON.parse(fromBase64Url(hash.slice(HASH_PREFIX.length)));
+}
+
+export function createPresetDocument(name, appControls) {
+  return {
+    format: PRESET_FORMAT,
+    version: PRESET_VERSION,
+    name,
+    savedAt: new Date().toISOString(),
+    controls: unflattenControls(flattenControls(appControls))
+  };
+}
+
+// Accepts a preset document or a bare controls tree and returns flattened values
+export function readPresetDocument(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Preset must be a JSON object.');
+  }
+  if (data.format === PRESET_FORMAT) {
+    if (data.version > PRESET_VERSION) {
+      throw new Error(`Preset version ${data.version} is newer than supported version ${PRESET_VERSION}.`);
+    }
+    return flattenControls(data.controls || {});
+  }
+  return flattenControls(data);
+}
+
+export function loadPresetStore() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    console.warn('Stored presets could not be read:', error);
+    return {};
+  }
+}
+
+function savePresetStore(store) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+}
+
+export function savePreset(name, appControls) {
+  const store = loadPresetStore();
+  store[name] = createPresetDocument(name, appControls);
+  savePresetStore(store);
+}
+
+export function deletePreset(name) {
+  const store = loadPresetStore();
+  delete store[name];
+  savePresetStore(store);
+}
+
+export function exportPreset(name, appControls) {
+  downloadJSON(`preset-${name || 'untitled'}-${fileTimestamp()}.json`, createPresetDocument(name, appControls));
+}
+
+// Opens a file picker and resolves with the parsed JSON of the chosen file
+export function pickJSONFile() {
+  return new Promise((resolve, reject) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'application/json,.json';
+    input.addEventListener('change', () => {
+      const file = input.files[0];
+      if (!file) return;
+      file.text().then((text) => resolve(JSON.parse(text))).catch(reject);
+    });
+    input.click();
+  });
+}
+
+export function setupPresetsGUI(gui, presetsCtrl) {
+  const presetsFolder = gui.addFolder('Presets');
+  presetsFolder.add(presetsCtrl, 'name').name('Preset Name');
+
+  let selectController = null;
+  // dat.gui can't change the options of a dropdown, so it is rebuilt when presets change
+  function refreshPresetList() {
+    if (selectController) presetsFolder.remove(selectController);
+    const names = Object.keys(loadPresetStore());
+    if (!names.includes(presetsCtrl.selected)) presetsCtrl.selected = names[0] || '';
+    selectController = presetsFolder.add(presetsCtrl, 'selected', names).name('Saved Presets');
+  }
+
+  presetsFolder.add(presetsCtrl, 'save').name('Save Preset');
+  presetsFolder.add(presetsCtrl, 'load').name('Load Preset');
+  presetsFolder.add(presetsCtrl, 'remove').name('Delete Preset');
+  presetsFolder.add(presetsCtrl, 'exportJSON').name('Export JSON');
+  presetsFolder.add(presetsCtrl, 'importJSON').name('Import JSON');
+  presetsFolder.add(presetsCtrl, 'copyShareURL').name('Copy Share URL');
+  refreshPresetList();
+
+  return { folder: presetsFolder, refreshPresetList };
+}
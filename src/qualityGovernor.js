@@ -0,0 +1,324 @@
+import { percentile } from './benchmark.js';
+import { downloadJSON, fileTimestamp } from './fileExport.js';
+import { getDeviceSummary } from './capabilities.js';
+
+export const GOVERNOR_KNOBS = ['dpr', 'shadowResolution', 'shadowCasters', 'lod', 'traits'];
+
+const DPR_LEVELS = [2, 1.5, 1.25, 1, 0.75, 0.5];
+
+// Traits are switched off in this order, most expensive first
+const EXPENSIVE_TRAITS = ['dispersion', 'transmission', 'clearcoat', 'iridescence', 'sheen', 'anisotropy'];
+
+/**
+ * A knob walks down a list of cheaper values and remembers what it replaced,
+ * so stepping back up never goes above what the user had configured.
+ * write() only stores a value in appControls; apply() also pushes it into the scene.
+ */
+function createKnob(name, { read, write, update, nextDown, describe = (value) => String(value) }) {
+  const history = [];
+  const apply = (value) => {
+    write(value);
+    update(value);
+  };
+  return {
+    name,
+    read,
+    write,
+    // The value the user had configured before the first step down
+    getUserValue: () => (history.length ? history[0] : read()),
+    stepDown() {
+      const current = read();
+      const next = nextDown(current);
+      if (next === undefined) return null;
+      history.push(current);
+      apply(next);
+      return `${describe(current)} → ${describe(next)}`;
+    },
+    stepUp() {
+      if (history.length === 0) return null;
+      const current = read();
+      const previous = history.pop();
+      apply(previous);
+      return `${describe(current)} → ${describe(previous)}`;
+    },
+    isDegraded: () => history.length > 0
+  };
+}
+
+export function createQualityKnobs({ renderer, appControls, updateShadowResolution, applyShadowCasters, changeLOD, updateModelMaterials, getLODKeys }) {
+  const shadowCtrl = appControls.shadow;
+
+  return {
+    dpr: createKnob('dpr', {
+      read: () => appControls.general.dpr,
+      write: (value) => {
+        appControls.general.dpr = value;
+      },
+      update: (value) => {
+        renderer.setPixelRatio(value);
+        renderer.setSize(window.innerWidth, window.innerHeight);
+      },
+      nextDown: (value) => DPR_LEVELS.find((level) => level < value)
+    }),
+
+    shadowResolution: createKnob('shadowResolution', {
+      read: () => shadowCtrl.shadowResolution,
+      write: (value) => {
+        shadowCtrl.shadowResolution = value;
+      },
+      update: (value) => {
+        updateShadowResolution(value);
+      },
+      nextDown: (value) => [...shadowCtrl.shadowResolutions].reverse().find((level) => level < value)
+    }),
+
+    shadowCasters: createKnob('shadowCasters', {
+      read: () => ({
+        useDirectionalLightShadow: shadowCtrl.useDirectionalLightShadow,
+        useParticleLightShadow: shadowCtrl.useParticleLightShadow
+      }),
+      write: (value) => {
+        Object.assign(shadowCtrl, value);
+      },
+      update: () => {
+        applyShadowCasters();
+      },
+      // Drop the point light first: its cube shadow map renders the scene six times
+      nextDown: (value) => {
+        if (!shadowCtrl.useShadows) return undefined;
+        if (value.useParticleLightShadow) return { ...value, useParticleLightShadow: false };
+        if (value.useDirectionalLightShadow) return { ...value, useDirectionalLightShadow: false };
+        return undefined;
+      },
+      describe: (value) => {
+        const casters = [];
+        if (value.useDirectionalLightShadow) casters.push('directional');
+        if (value.useParticleLightShadow) casters.push('point');
+        return casters.length ? casters.join('+') : 'none';
+      }
+    }),
+
+    lod: createKnob('lod', {
+      read: () => appControls.lod.currentLOD,
+      write: (value) => {
+        appControls.lod.currentLOD = value;
+      },
+      update: (value) => {
+        changeLOD(value);
+      },
+      // Auto LOD owns the selection while it is enabled
+      nextDown: (value) => {
+        if (appControls.lod.autoLOD) return undefined;
+        const lodKeys = getLODKeys();
+        return lodKeys[lodKeys.indexOf(value) + 1];
+      }
+    }),
+
+    traits: createKnob('traits', {
+      read: () => Object.fromEntries(EXPENSIVE_TRAITS.map((trait) => [trait, appControls.material[trait]])),
+      write: (value) => {
+        Object.assign(appControls.material, value);
+      },
+      update: () => {
+        updateModelMaterials();
+      },
+      nextDown: (value) => {
+        const trait = EXPENSIVE_TRAITS.find((name) => value[name] > 0);
+        return trait ? { ...value, [trait]: 0 } : undefined;
+      },
+      describe: (value) => {
+        const enabled = EXPENSIVE_TRAITS.filter((trait) => value[trait] > 0);
+        return enabled.length ? enabled.join('+') : 'none';
+      }
+    })
+  };
+}
+
+// Warns about unknown knobs, so parse the order once per change of the setting
+export function parseKnobOrder(order) {
+  const names = order.split(',').map((name) => name.trim()).filter(Boolean);
+  const unknown = names.filter((name) => !GOVERNOR_KNOBS.includes(name));
+  if (unknown.length) {
+    console.warn(`Unknown quality governor knobs ignored: ${unknown.join(', ')}. Available: ${GOVERNOR_KNOBS.join(', ')}`);
+  }
+  return names.filter((name) => GOVERNOR_KNOBS.includes(name));
+}
+
+function roundMs(ms) {
+  return Math.round(ms * 100) / 100;
+}
+
+/**
+ * Watches frame times and steps quality knobs down when the recent p90 frame time
+ * exceeds the budget, and back up (last degraded first) when there is headroom.
+ *
+ * rAF intervals never drop below the display's refresh interval, so on a 60 Hz display a
+ * healthy frame reads 16.7 ms whatever it cost. The budget is therefore never tighter than
+ * the refresh interval (estimated from the fastest frames seen), a frame has to miss it by
+ * more than the tolerance to count as slow, and headroom is judged from the work time of a
+ * frame (CPU time of the render call, or the GPU time where timer queries exist) instead.
+ */
+export function createQualityGovernor({ governorCtrl, knobs, onChange }) {
+  let samples = [];
+  let workSamples = [];
+  let refreshInterval = Infinity;
+  let lastAdjustTime = 0;
+  let enabledAt = 0;
+  let pendingEntry = null;
+  const degradedStack = [];
+  const log = [];
+  let parsedOrder = null;
+
+  function getKnobOrder() {
+    if (parsedOrder?.text !== governorCtrl.order) {
+      parsedOrder = { text: governorCtrl.order, names: parseKnobOrder(governorCtrl.order) };
+    }
+    return parsedOrder.names;
+  }
+
+  function record(direction, knobName, change, frameTimeMs, workTimeMs = 0) {
+    const entry = {
+      time: new Date().toISOString(),
+      elapsedMs: Math.round(performance.now() - enabledAt),
+      direction,
+      knob: knobName,
+      change,
+      frameTimeMs: roundMs(frameTimeMs),
+      workTimeMs: roundMs(workTimeMs),
+      targetMs: governorCtrl.targetFrameTime,
+      afterFrameTimeMs: null,
+      afterWorkTimeMs: null,
+      gainMs: null
+    };
+    log.push(entry);
+    pendingEntry = entry;
+    onChange?.();
+  }
+
+  function stepDown(frameTimeMs, workTimeMs) {
+    for (const knobName of getKnobOrder()) {
+      const change = knobs[knobName].stepDown();
+      if (change) {
+        degradedStack.push(knobName);
+        record('down', knobName, change, frameTimeMs, workTimeMs);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  function stepUp(frameTimeMs, workTimeMs) {
+    const knobName = degradedStack.pop();
+    if (!knobName) return false;
+    const change = knobs[knobName].stepUp();
+    if (change) record('up', knobName, change, frameTimeMs, workTimeMs);
+    return Boolean(change);
+  }
+
+  // Feed one frame's rAF interval and work time; call once per rendered frame
+  function sample(frameTime, workTime, now = performance.now()) {
+    if (!governorCtrl.enabled || frameTime <= 0) return;
+
+    samples.push(frameTime);
+    workSamples.push(workTime);
+    if (samples.length < governorCtrl.windowFrames) return;
+
+    const sorted = samples.sort((a, b) => a - b);
+    const p90 = percentile(sorted, 90);
+    const workP90 = percentile(workSamples.sort((a, b) => a - b), 90);
+    refreshInterval = Math.min(refreshInterval, percentile(sorted, 10));
+    samples = [];
+    workSamples = [];
+
+    // The first full window after an adjustment shows what the adjustment bought
+    if (pendingEntry) {
+      pendingEntry.afterFrameTimeMs = roundMs(p90);
+      pendingEntry.afterWorkTimeMs = roundMs(workP90);
+      pendingEntry.gainMs = roundMs(pendingEntry.workTimeMs - workP90);
+      pendingEntry = null;
+    }
+
+    if (now - lastAdjustTime < governorCtrl.cooldownMs) return;
+
+    const budget = Math.max(governorCtrl.targetFrameTime, refreshInterval);
+    let adjusted = false;
+    if (p90 > budget * (1 + governorCtrl.tolerance)) {
+      adjusted = stepDown(p90, workP90);
+    } else if (workP90 < governorCtrl.targetFrameTime * governorCtrl.headroom) {
+      adjusted = stepUp(p90, workP90);
+    }
+    if (adjusted) lastAdjustTime = now;
+  }
+
+  function enable() {
+    samples = [];
+    workSamples = [];
+    refreshInterval = Infinity;
+    enabledAt = performance.now();
+    lastAdjustTime = enabledAt;
+  }
+
+  // Undo every adjustment the governor made, newest first
+  function restoreAll() {
+    while (degradedStack.length) {
+      const knobName = degradedStack.pop();
+      const change = knobs[knobName].stepUp();
+      if (change) record('restore', knobName, change, 0);
+    }
+    pendingEntry = null;
+    samples = [];
+    workSamples = [];
+  }
+
+  /**
+   * Runs fn with the user's settings in appControls instead of the degraded ones, without
+   * touching the scene, so presets and share URLs save what the user configured.
+   */
+  function withUserSettings(fn) {
+    const degraded = Object.values(knobs).filter((knob) => knob.isDegraded()).map((knob) => [knob, knob.read()]);
+    degraded.forEach(([knob]) => knob.write(knob.getUserValue()));
+    try {
+      return fn();
+    } finally {
+      degraded.forEach(([knob, value]) => knob.write(value));
+    }
+  }
+
+  return {
+    sample,
+    enable,
+    restoreAll,
+    withUserSettings,
+    getLog: () => log,
+    getLastEntry: () => log[log.length - 1],
+    clearLog: () => { log.length = 0; },
+    downloadLog: () => downloadJSON(`governor-log-${fileTimestamp()}.json`, {
+      userAgent: navigator.userAgent,
+      device: getDeviceSummary(),
+      settings: {
+        targetFrameTime: governorCtrl.targetFrameTime,
+        windowFrames: governorCtrl.windowFrames,
+        tolerance: governorCtrl.tolerance,
+        cooldownMs: governorCtrl.cooldownMs,
+        headroom: governorCtrl.headroom,
+        order: getKnobOrder()
+      },
+      log
+    })
+  };
+}
+
+export function setupQualityGovernorGUI(gui, governorCtrl) {
+  const governorFolder = gui.addFolder('Quality Governor');
+  governorFolder.add(governorCtrl, 'enabled').name('Enable Governor').onChange(governorCtrl.onToggle);
+  governorFolder.add(governorCtrl, 'targetFrameTime', 4, 100, 0.1).name('Target Budget (ms)');
+  governorFolder.add(governorCtrl, 'windowFrames', 10, 300, 1).name('Sample Window');
+  governorFolder.add(governorCtrl, 'cooldownMs', 0, 5000, 100).name('Cooldown (ms)');
+  governorFolder.add(governorCtrl, 'tolerance', 0, 0.5, 0.05).name('Tolerance');
+  governorFolder.add(governorCtrl, 'headroom', 0.3, 0.95, 0.05).name('Step Up Below');
+  governorFolder.add(governorCtrl, 'order').name('Knob Order');
+  governorFolder.add(governorCtrl, 'restore').name('Restore Quality');
+  governorFolder.add(governorCtrl, 'downloadLog').name('Download Log');
+  governorFolder.add(governorCtrl, 'clearLog').name('Clear Log');
+  return governorFolder;
+}
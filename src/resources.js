@@ -0,0 +1,249 @@
+import { downloadJSON, fileTimestamp } from './fileExport.js';
+
+export const RESOURCE_KINDS = ['geometries', 'materials', 'textures', 'renderTargets'];
+
+// renderer.info.memory counters a leak check compares against its baseline
+const MEMORY_COUNTERS = ['geometries', 'textures'];
+
+function getKind(resource) {
+  if (resource.isBufferGeometry) return 'geometries';
+  if (resource.isMaterial) return 'materials';
+  if (resource.isTexture) return 'textures';
+  if (resource.isRenderTarget) return 'renderTargets';
+  return null;
+}
+
+// Geometries, materials and every texture slot of the materials under root
+export function collectObjectResources(root) {
+  const resources = new Set();
+  root.traverse((child) => {
+    if (child.geometry) resources.add(child.geometry);
+    const materials = Array.isArray(child.material) ? child.material : [child.material];
+    materials.forEach((material) => {
+      if (!material) return;
+      resources.add(material);
+      Object.values(material).forEach((value) => {
+        if (value?.isTexture) resources.add(value);
+      });
+    });
+  });
+  return resources;
+}
+
+/**
+ * Tracks the GPU resources the app creates, each under one or more owners such as
+ * 'lod:<asset>/<lod>', 'env:<url>' or 'model'. release(owner) disposes whatever no other
+ * owner still holds, so a texture shared between a loaded LOD and a generated one stays
+ * until both are released.
+ */
+export function createResourceRegistry() {
+  const owned = new Map();
+  const holders = new Map();
+
+  function track(owner, resource) {
+    if (!resource || !getKind(resource)) return resource;
+    if (!owned.has(owner)) owned.set(owner, new Set());
+    owned.get(owner).add(resource);
+    if (!holders.has(resource)) holders.set(resource, new Set());
+    holders.get(resource).add(owner);
+    return resource;
+  }
+
+  function trackObject(owner, root) {
+    collectObjectResources(root).forEach((resource) => track(owner, resource));
+    return root;
+  }
+
+  // Returns the number of resources that were disposed
+  function release(owner) {
+    const resources = owned.get(owner);
+    if (!resources) return 0;
+    owned.delete(owner);
+    let disposed = 0;
+    resources.forEach((resource) => {
+      const resourceHolders = holders.get(resource);
+      resourceHolders.delete(owner);
+      if (resourceHolders.size > 0) return;
+      holders.delete(resource);
+      resource.dispose();
+      disposed++;
+    });
+    return disposed;
+  }
+
+  function releaseMatching(prefix) {
+    return [...owned.keys()].filter((owner) => owner.startsWith(prefix)).reduce((sum, owner) => sum + release(owner), 0);
+  }
+
+  function getSummary() {
+    const summary = Object.fromEntries(RESOURCE_KINDS.map((kind) => [kind, 0]));
+    holders.forEach((owners, resource) => {
+      summary[getKind(resource)]++;
+    });
+    return { owners: owned.size, ...summary };
+  }
+
+  return {
+    track,
+    trackObject,
+    release,
+    releaseMatching,
+    has: (owner) => owned.has(owner),
+    getOwners: () => [...owned.keys()],
+    getSummary
+  };
+}
+
+export function describeResources(summary) {
+  return `Resources: ${summary.owners} owners, ${RESOURCE_KINDS.map((kind) => `${summary[kind]} ${kind}`).join(', ')}`;
+}
+
+export function getLeakCheckConfig(resourcesCtrl) {
+  return { cycles: resourcesCtrl.cycles, framesPerStep: resourcesCtrl.framesPerStep };
+}
+
+/**
+ * Cycles through every LOD and environment map of the current asset, then returns to the
+ * starting ones and releases everything unused, and checks whether renderer.info.memory
+ * falls back to the count it had before the first cycle. A leak shows up as counts that
+ * grow with every cycle.
+ *
+ * showLOD(lodKey) and showEnvironmentMap(url) resolve once the switch has been applied,
+ * loading what was unloaded; releaseUnused() unloads the LODs and maps that aren't in use.
+ */
+export function createLeakCheck({
+  renderer, resources, appControls, getLODKeys, getEnvironmentMaps, showLOD, showEnvironmentMap, releaseUnused, waitForFrame
+}) {
+  let running = false;
+  let cancelRequested = false;
+  let status = '';
+  let lastResults = null;
+
+  function readMemory() {
+    const { memory, programs } = renderer.info;
+    return { geometries: memory.geometries, textures: memory.textures, programs: programs?.length ?? 0, ...resources.getSummary() };
+  }
+
+  async function waitFrames(count) {
+    for (let i = 0; i < count; i++) {
+      await waitForFrame();
+    }
+  }
+
+  async function settle(config) {
+    releaseUnused();
+    await waitFrames(config.framesPerStep);
+    return readMemory();
+  }
+
+  async function run(config) {
+    if (running) {
+      console.warn('A leak check is already running.');
+      return lastResults;
+    }
+    running = true;
+    cancelRequested = false;
+
+    const initial = {
+      lod: appControls.lod.currentLOD,
+      autoLOD: appControls.lod.autoLOD,
+      envMap: appControls.environment.envMap
+    };
+    appControls.lod.autoLOD = false;
+
+    const results = {
+      startedAt: new Date().toISOString(),
+      config: { ...config },
+      lods: getLODKeys(),
+      environmentMaps: getEnvironmentMaps(),
+      baseline: null,
+      cycles: []
+    };
+
+    try {
+      status = 'baseline';
+      results.baseline = await settle(config);
+      for (let cycle = 1; cycle <= config.cycles && !cancelRequested; cycle++) {
+        for (const lodKey of results.lods) {
+          if (cancelRequested) break;
+          status = `cycle ${cycle}/${config.cycles}: ${lodKey}`;
+          await showLOD(lodKey);
+          await waitFrames(config.framesPerStep);
+        }
+        for (const url of results.environmentMaps) {
+          if (cancelRequested) break;
+          status = `cycle ${cycle}/${config.cycles}: ${url.split('/').pop()}`;
+          await showEnvironmentMap(url);
+          await waitFrames(config.framesPerStep);
+        }
+        await showLOD(initial.lod);
+        await showEnvironmentMap(initial.envMap);
+        results.cycles.push({ cycle, ...(await settle(config)) });
+      }
+
+      const last = results.cycles[results.cycles.length - 1];
+      const first = results.cycles[0];
+      if (last) {
+        results.returnedToBaseline = MEMORY_COUNTERS.every((counter) => last[counter] <= results.baseline[counter]);
+        // Growth after the first cycle, which may still include one-time allocations
+        results.growthPerCycle = Object.fromEntries(MEMORY_COUNTERS.map((counter) => [
+          counter,
+          results.cycles.length > 1 ? (last[counter] - first[counter]) / (results.cycles.length - 1) : null
+        ]));
+      }
+      status = cancelRequested ? 'cancelled' : 'done';
+    } catch (error) {
+      console.error('Leak check failed:', error);
+      results.error = error.message;
+      status = `failed: ${error.message}`;
+    } finally {
+      appControls.lod.autoLOD = initial.autoLOD;
+      results.finishedAt = new Date().toISOString();
+      results.cancelled = cancelRequested;
+      running = false;
+    }
+
+    lastResults = results;
+    console.table([{ cycle: 'baseline', ...results.baseline }, ...results.cycles]);
+    return results;
+  }
+
+  return {
+    run,
+    cancel: () => {
+      cancelRequested = running;
+    },
+    isRunning: () => running,
+    getStatus: () => status,
+    getResults: () => lastResults
+  };
+}
+
+export function describeLeakCheck(results) {
+  if (results.error) return `Leak check failed: ${results.error}`;
+  const last = results.cycles[results.cycles.length - 1];
+  if (!last) return 'Leak check: cancelled before the first cycle';
+  const counts = MEMORY_COUNTERS.map((counter) => `${counter} ${results.baseline[counter]} → ${last[counter]}`).join(', ');
+  const verdict = results.returnedToBaseline ? 'back to baseline' : 'not back to baseline';
+  return `Leak check (${results.cycles.length} cycles): ${counts}, ${verdict}`;
+}
+
+export function downloadLeakCheckResults(results) {
+  if (!results) {
+    console.warn('No leak check results to download yet.');
+    return;
+  }
+  downloadJSON(`leak-check-${fileTimestamp(new Date(results.startedAt))}.json`, results);
+}
+
+export function setupResourcesGUI(gui, resourcesCtrl) {
+  const resourcesFolder = gui.addFolder('Resources');
+  resourcesFolder.add(resourcesCtrl, 'autoRelease').name('Unload Unused on Switch');
+  resourcesFolder.add(resourcesCtrl, 'releaseUnused').name('Unload Unused Now');
+  resourcesFolder.add(resourcesCtrl, 'cycles', 1, 20, 1).name('Leak Check Cycles');
+  resourcesFolder.add(resourcesCtrl, 'framesPerStep', 1, 60, 1).name('Frames per Step');
+  resourcesFolder.add(resourcesCtrl, 'runLeakCheck').name('Run Leak Check');
+  resourcesFolder.add(resourcesCtrl, 'cancelLeakCheck').name('Cancel Leak Check');
+  resourcesFolder.add(resourcesCtrl, 'downloadJSON').name('Download JSON');
+  return resourcesFolder;
+}
@@ -0,0 +1,247 @@
+import * as THREE from 'three';
+import { GPU_TIME_COLUMNS, createSweepRunner } from './benchmark.js';
+import { downloadCSV, downloadFile, downloadJSON, fileTimestamp } from './fileExport.js';
+
+// Shadow map filtering techniques by the name stored in appControls.shadow.shadowType
+export const SHADOW_MAP_TYPES = {
+  Basic: THREE.BasicShadowMap,
+  PCF: THREE.PCFShadowMap,
+  PCFSoft: THREE.PCFSoftShadowMap,
+  VSM: THREE.VSMShadowMap
+};
+export const SHADOW_SWEEP_LOD_MODES = ['current', 'all'];
+
+const CSV_COLUMNS = [
+  'lod', 'type', 'resolution', 'frames', 'meanMs', 'p50Ms', 'p95Ms', 'p99Ms', 'minMs', 'maxMs', 'fps', ...GPU_TIME_COLUMNS, 'drawCalls',
+  'shadowMapBytes', 'error'
+];
+
+// Frames to wait for a LOD that is still loading before the sweep skips it
+const LOD_LOAD_TIMEOUT_FRAMES = 600;
+
+const THUMBNAIL_WIDTH = 320;
+
+/**
+ * Switches the renderer's shadow map type. The type is compiled into every shader that
+ * receives shadows, so all materials in the scene are flagged for recompilation; three.js
+ * reallocates the shadow maps itself when switching to or from VSM.
+ */
+export function applyShadowMapType(renderer, scene, typeName) {
+  const type = SHADOW_MAP_TYPES[typeName];
+  if (type === undefined || renderer.shadowMap.type === type) return false;
+  renderer.shadowMap.type = type;
+  scene.traverse((child) => {
+    const materials = Array.isArray(child.material) ? child.material : [child.material];
+    materials.forEach((material) => {
+      if (material) material.needsUpdate = true;
+    });
+  });
+  return true;
+}
+
+const corner = new THREE.Vector3();
+const targetPosition = new THREE.Vector3();
+
+/**
+ * Fits a directional light's orthographic shadow camera tightly around a world-space box,
+ * as seen from the light, so the shadow map's texels are spent on the model only. margin
+ * pads every side by that fraction of the box's diagonal.
+ */
+export function fitDirectionalShadow(light, box, margin = 0.05) {
+  const shadowCamera = light.shadow.camera;
+  // Same placement DirectionalLightShadow.updateMatrices() uses when rendering
+  shadowCamera.position.setFromMatrixPosition(light.matrixWorld);
+  shadowCamera.lookAt(light.target.getWorldPosition(targetPosition));
+  shadowCamera.updateMatrixWorld();
+
+  const min = new THREE.Vector3(Infinity, Infinity, Infinity);
+  const max = new THREE.Vector3(-Infinity, -Infinity, -Infinity);
+  for (let i = 0; i < 8; i++) {
+    corner.set(i & 1 ? box.max.x : box.min.x, i & 2 ? box.max.y : box.min.y, i & 4 ? box.max.z : box.min.z);
+    corner.applyMatrix4(shadowCamera.matrixWorldInverse);
+    min.min(corner);
+    max.max(corner);
+  }
+
+  const pad = box.min.distanceTo(box.max) * margin;
+  shadowCamera.left = min.x - pad;
+  shadowCamera.right = max.x + pad;
+  shadowCamera.bottom = min.y - pad;
+  shadowCamera.top = max.y + pad;
+  // The camera looks down -z, so the nearest corner has the largest z
+  shadowCamera.near = -max.z - pad;
+  shadowCamera.far = -min.z + pad;
+  shadowCamera.updateProjectionMatrix();
+}
+
+export function getShadowSweepConfig(shadowCtrl, currentLOD, lodKeys) {
+  const sweepCtrl = shadowCtrl.sweep;
+  return {
+    lods: sweepCtrl.lodMode === 'all' ? [...lodKeys] : [currentLOD],
+    types: Object.keys(SHADOW_MAP_TYPES),
+    resolutions: [...shadowCtrl.shadowResolutions],
+    warmupFrames: sweepCtrl.warmupFrames,
+    framesPerStep: sweepCtrl.framesPerStep
+  };
+}
+
+/**
+ * Measures every shadow technique at every shadow resolution, per LOD, with the lights
+ * frozen and the model still. Besides frame times it keeps a thumbnail of each step, so
+ * acne and peter-panning can be compared on one contact sheet.
+ *
+ * captureThumbnail(width) renders a frame and returns a canvas copy of it;
+ * getShadowMapBytes() estimates the shadow maps currently allocated.
+ */
+export function createShadowSweep({
+  appControls, applyShadowSettings, changeLOD, isLODLoaded, waitForFrame, freezeScene, captureThumbnail, getShadowMapBytes
+}) {
+  const sweep = createSweepRunner({ name: 'shadow sweep', waitForFrame });
+  let thumbnails = [];
+
+  async function waitForLOD(lodKey) {
+    for (let frame = 0; frame < LOD_LOAD_TIMEOUT_FRAMES && !isLODLoaded(lodKey); frame++) {
+      await waitForFrame();
+    }
+    return isLODLoaded(lodKey);
+  }
+
+  async function measureStep(step, config) {
+    const shadowCtrl = appControls.shadow;
+    shadowCtrl.shadowType = step.type;
+    shadowCtrl.shadowResolution = step.resolution;
+    applyShadowSettings();
+
+    const measured = await sweep.measureFrames({ warmupFrames: config.warmupFrames, frameCount: config.framesPerStep });
+    if (!sweep.isCancelled()) {
+      thumbnails.push({ ...step, canvas: captureThumbnail(THUMBNAIL_WIDTH) });
+    }
+    return { ...step, ...measured, shadowMapBytes: getShadowMapBytes() };
+  }
+
+  function run(config) {
+    return sweep.run(config, {
+      // Snapshot everything the run touches so it can be restored afterwards
+      setup: () => {
+        thumbnails = [];
+        const shadowCtrl = appControls.shadow;
+        const initial = {
+          shadowType: shadowCtrl.shadowType,
+          shadowResolution: shadowCtrl.shadowResolution,
+          lod: appControls.lod.currentLOD,
+          autoLOD: appControls.lod.autoLOD,
+          rotatePlane: appControls.general.rotatePlane
+        };
+        appControls.lod.autoLOD = false;
+        appControls.general.rotatePlane = false;
+        const restoreScene = freezeScene();
+
+        return () => {
+          restoreScene();
+          shadowCtrl.shadowType = initial.shadowType;
+          shadowCtrl.shadowResolution = initial.shadowResolution;
+          applyShadowSettings();
+          appControls.lod.currentLOD = initial.lod;
+          changeLOD(initial.lod);
+          appControls.lod.autoLOD = initial.autoLOD;
+          appControls.general.rotatePlane = initial.rotatePlane;
+        };
+      },
+      execute: async (results) => {
+        const steps = config.lods.flatMap((lod) => config.types.flatMap((type) => (
+          config.resolutions.map((resolution) => ({ lod, type, resolution }))
+        )));
+        for (let index = 0; index < steps.length && !sweep.isCancelled(); index++) {
+          const step = steps[index];
+          sweep.setStatus(`${index + 1}/${steps.length} ${step.lod} ${step.type} ${step.resolution}`);
+          if (!(await waitForLOD(step.lod))) {
+            results.rows.push({ ...step, error: `${step.lod} did not finish loading` });
+            continue;
+          }
+          appControls.lod.currentLOD = step.lod;
+          changeLOD(step.lod);
+          results.rows.push(await measureStep(step, config));
+        }
+      }
+    });
+  }
+
+  return {
+    run,
+    cancel: sweep.cancel,
+    isRunning: sweep.isRunning,
+    getStatus: sweep.getStatus,
+    getResults: sweep.getResults,
+    getThumbnails: () => thumbnails
+  };
+}
+
+/**
+ * Lays the sweep thumbnails out with one row per LOD and technique and one column per
+ * resolution, each labelled with its median frame time.
+ */
+export function createContactSheet(results, thumbnails) {
+  const resolutions = results.config.resolutions;
+  const rowKeys = [...new Set(thumbnails.map(({ lod, type }) => `${lod} ${type}`))];
+  const cellWidth = thumbnails[0].canvas.width;
+  const cellHeight = thumbnails[0].canvas.height;
+
+  const sheet = document.createElement('canvas');
+  sheet.width = cellWidth * resolutions.length;
+  sheet.height = cellHeight * rowKeys.length;
+  const context = sheet.getContext('2d');
+  context.fillStyle = '#111';
+  context.fillRect(0, 0, sheet.width, sheet.height);
+  context.font = '12px monospace';
+
+  thumbnails.forEach(({ lod, type, resolution, canvas }) => {
+    const x = resolutions.indexOf(resolution) * cellWidth;
+    const y = rowKeys.indexOf(`${lod} ${type}`) * cellHeight;
+    context.drawImage(canvas, x, y);
+    const row = results.rows.find((entry) => entry.lod === lod && entry.type === type && entry.resolution === resolution);
+    const label = `${lod} ${type} ${resolution}: ${row?.p50Ms ?? '–'} ms p50`;
+    context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    context.fillRect(x, y, context.measureText(label).width + 8, 18);
+    context.fillStyle = '#fff';
+    context.fillText(label, x + 4, y + 13);
+  });
+  return sheet;
+}
+
+export function describeShadowSweepRow(row) {
+  if (row.error) return `${row.lod} ${row.type} ${row.resolution}: ${row.error}`;
+  const gpu = row.gpuMs === null ? '' : `, GPU ${row.gpuMs} ms (shadow ${row.gpuShadowMs})`;
+  return `${row.lod} ${row.type} ${row.resolution}: ${row.p50Ms} ms p50, ${row.p95Ms} ms p95${gpu}`;
+}
+
+export function downloadShadowSweepResults(results, format = 'json', thumbnails = []) {
+  if (!results) {
+    console.warn('No shadow sweep results to download yet.');
+    return;
+  }
+  const filename = `shadow-sweep-${fileTimestamp(new Date(results.startedAt))}`;
+  if (format === 'png') {
+    if (thumbnails.length === 0) {
+      console.warn('The shadow sweep captured no thumbnails.');
+      return;
+    }
+    createContactSheet(results, thumbnails).toBlob((blob) => downloadFile(`${filename}.png`, blob));
+  } else if (format === 'csv') {
+    downloadCSV(`${filename}.csv`, results.rows, CSV_COLUMNS);
+  } else {
+    downloadJSON(`${filename}.json`, results);
+  }
+}
+
+export function setupShadowSweepGUI(shadowFolder, sweepCtrl) {
+  const sweepFolder = shadowFolder.addFolder('Technique Sweep');
+  sweepFolder.add(sweepCtrl, 'lodMode', SHADOW_SWEEP_LOD_MODES).name('LODs');
+  sweepFolder.add(sweepCtrl, 'warmupFrames', 0, 300, 1).name('Warmup Frames');
+  sweepFolder.add(sweepCtrl, 'framesPerStep', 30, 2000, 10).name('Frames per Step');
+  sweepFolder.add(sweepCtrl, 'run').name('Run Sweep');
+  sweepFolder.add(sweepCtrl, 'cancel').name('Cancel Sweep');
+  sweepFolder.add(sweepCtrl, 'downloadJSON').name('Download JSON');
+  sweepFolder.add(sweepCtrl, 'downloadCSV').name('Download CSV');
+  sweepFolder.add(sweepCtrl, 'downloadContactSheet').name('Download Contact Sheet');
+  return sweepFolder;
+}
@@ -0,0 +1,217 @@
+import * as THREE from 'three';
+
+export const SPLIT_LAYOUTS = ['wipe', 'side-by-side'];
+
+const SIDES = ['left', 'right'];
+
+/**
+ * Renders two independent configurations of the current asset next to each other,
+ * each with its own LOD and material snapshot, from the shared camera and environment.
+ *
+ * 'wipe' renders both sides full-size and scissors them at a draggable divider, so the
+ * same pixels can be compared across it; 'side-by-side' gives each side its own half-width
+ * viewport. Each side can follow the GUI material instead of its snapshot, so a trait can
+ * be tweaked live on one side against a fixed reference on the other.
+ *
+ * createModel(lodKey, materialCtrl) returns a ready-to-add clone of a loaded LOD, or null
+ * while that LOD is still loading; invalidate() once it has loaded, so the side is rebuilt.
+ */
+export function createSplitView({ scene, camera, renderer, splitCtrl, getLiveMaterial, createModel }) {
+  const snapshots = { left: null, right: null };
+  const models = { left: null, right: null };
+  const stats = { left: null, right: null };
+  let dirty = true;
+
+  const divider = document.getElementById('split-divider');
+  const labels = {
+    left: document.getElementById('split-label-left'),
+    right: document.getElementById('split-label-right')
+  };
+
+  function snapshot(side) {
+    snapshots[side] = { ...getLiveMaterial() };
+    dirty = true;
+  }
+
+  function getMaterial(side) {
+    return splitCtrl[`${side}FollowsGUI`] || !snapshots[side] ? getLiveMaterial() : snapshots[side];
+  }
+
+  function disposeModel(side) {
+    if (!models[side]) return;
+    scene.remove(models[side]);
+    models[side].traverse((child) => {
+      if (child.isMesh) child.material.dispose();
+    });
+    models[side] = null;
+  }
+
+  // Rebuilds both side models after a LOD, material or asset change, or a side's LOD loading
+  function rebuild() {
+    SIDES.forEach((side) => {
+      disposeModel(side);
+      const model = createModel(splitCtrl[`${side}LOD`], getMaterial(side));
+      if (model) {
+        model.visible = false;
+        scene.add(model);
+        models[side] = model;
+      }
+    });
+    dirty = false;
+  }
+
+  function setEnabled(enabled) {
+    SIDES.forEach((side) => {
+      if (!snapshots[side]) snapshot(side);
+    });
+    if (!enabled) {
+      SIDES.forEach(disposeModel);
+    }
+    dirty = true;
+    updateOverlay();
+  }
+
+  function getViewports() {
+    const { x: width, y: height } = renderer.getSize(new THREE.Vector2());
+    if (splitCtrl.layout === 'side-by-side') {
+      const half = Math.floor(width / 2);
+      return {
+        left: { x: 0, width: half, scissorX: 0, scissorWidth: half, height },
+        right: { x: half, width: width - half, scissorX: half, scissorWidth: width - half, height }
+      };
+    }
+    const wipe = Math.round(width * splitCtrl.wipePosition);
+    return {
+      left: { x: 0, width, scissorX: 0, scissorWidth: wipe, height },
+      right: { x: 0, width, scissorX: wipe, scissorWidth: width - wipe, height }
+    };
+  }
+
+  /**
+   * Renders both sides. renderer.info is accumulated over the frame so the regular
+   * overlay shows the total, while each side's share is kept for its label.
+   */
+  function render(mainModel) {
+    if (dirty) rebuild();
+
+    const viewports = getViewports();
+    const aspect = camera.aspect;
+    renderer.info.autoReset = false;
+    renderer.info.reset();
+    renderer.setScissorTest(true);
+    if (mainModel) mainModel.visible = false;
+
+    SIDES.forEach((side) => {
+      const model = models[side];
+      const viewport = viewports[side];
+      const before = { triangles: renderer.info.render.triangles, calls: renderer.info.render.calls };
+
+      if (model && mainModel) {
+        model.rotation.copy(mainModel.rotation);
+      }
+      SIDES.forEach((other) => {
+        if (models[other]) models[other].visible = other === side;
+      });
+
+      renderer.setViewport(viewport.x, 0, viewport.width, viewport.height);
+      renderer.setScissor(viewport.scissorX, 0, viewport.scissorWidth, viewport.height);
+      camera.aspect = viewport.width / viewport.height;
+      camera.updateProjectionMatrix();
+      renderer.render(scene, camera);
+
+      stats[side] = model ? {
+        lodKey: splitCtrl[`${side}LOD`],
+        triangles: renderer.info.render.triangles - before.triangles,
+        drawCalls: renderer.info.render.calls - before.calls
+      } : null;
+    });
+
+    SIDES.forEach((side) => {
+      if (models[side]) models[side].visible = false;
+    });
+    if (mainModel) mainModel.visible = true;
+    camera.aspect = aspect;
+    camera.updateProjectionMatrix();
+    const { x: width, y: height } = renderer.getSize(new THREE.Vector2());
+    renderer.setScissorTest(false);
+    renderer.setViewport(0, 0, width, height);
+    renderer.info.autoReset = true;
+  }
+
+  function describeSide(side) {
+    const sideStats = stats[side];
+    const source = splitCtrl[`${side}FollowsGUI`] ? 'GUI material' : 'snapshot';
+    if (!sideStats) return `${splitCtrl[`${side}LOD`]} (loading…)`;
+    return `${sideStats.lodKey}, ${source}<br>Triangles: ${sideStats.triangles.toLocaleString('en-US')}<br>Draw Calls: ${sideStats.drawCalls}`;
+  }
+
+  // Positions the divider and the per-side labels
+  function updateOverlay() {
+    const visible = splitCtrl.enabled;
+    const position = splitCtrl.layout === 'side-by-side' ? 0.5 : splitCtrl.wipePosition;
+    if (divider) {
+      divider.style.display = visible ? 'block' : 'none';
+      divider.style.left = `${position * 100}%`;
+      divider.style.cursor = splitCtrl.layout === 'wipe' ? 'ew-resize' : 'default';
+    }
+    SIDES.forEach((side) => {
+      const label = labels[side];
+      if (!label) return;
+      label.style.display = visible ? 'block' : 'none';
+      if (side === 'left') {
+        label.style.right = `${(1 - position) * 100}%`;
+      } else {
+        label.style.left = `${position * 100}%`;
+      }
+      if (visible) label.innerHTML = describeSide(side);
+    });
+  }
+
+  // Dragging the divider moves the wipe
+  if (divider) {
+    divider.addEventListener('pointerdown', (event) => {
+      if (splitCtrl.layout !== 'wipe') return;
+      divider.setPointerCapture(event.pointerId);
+      const onMove = (moveEvent) => {
+        splitCtrl.wipePosition = THREE.MathUtils.clamp(moveEvent.clientX / window.innerWidth, 0, 1);
+        updateOverlay();
+      };
+      const onUp = () => {
+        divider.removeEventListener('pointermove', onMove);
+        divider.removeEventListener('pointerup', onUp);
+      };
+      divider.addEventListener('pointermove', onMove);
+      divider.addEventListener('pointerup', onUp);
+      event.stopPropagation();
+    });
+  }
+
+  return {
+    isActive: () => splitCtrl.enabled,
+    render,
+    setEnabled,
+    snapshot,
+    updateOverlay,
+    invalidate: () => {
+      dirty = true;
+    },
+    getStats: () => ({ ...stats })
+  };
+}
+
+export function setupSplitViewGUI(gui, splitCtrl, lodKeys, { onToggle, onChange }) {
+  const splitFolder = gui.addFolder('Split View');
+  splitFolder.add(splitCtrl, 'enabled').name('Enable Split View').onChange(onToggle);
+  splitFolder.add(splitCtrl, 'layout', SPLIT_LAYOUTS).name('Layout').onChange(onChange);
+  splitFolder.add(splitCtrl, 'wipePosition', 0, 1, 0.01).name('Wipe Position').listen().onChange(onChange);
+
+  const controllers = {};
+  ['left', 'right'].forEach((side) => {
+    const label = side === 'left' ? 'Left' : 'Right';
+    controllers[side] = splitFolder.add(splitCtrl, `${side}LOD`, lodKeys).name(`${label} LOD`).onChange(onChange);
+    splitFolder.add(splitCtrl, `${side}FollowsGUI`).name(`${label} Follows GUI`).onChange(onChange);
+    splitFolder.add(splitCtrl, side === 'left' ? 'snapshotLeft' : 'snapshotRight').name(`Snapshot GUI → ${label}`);
+  });
+
+  return { folder: splitFolder, leftLOD: controllers.left, rightLOD: controllers.right };
+}
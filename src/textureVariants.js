@@ -0,0 +1,213 @@
+import * as THREE from 'three';
+import { estimateTextureBytes, formatBytes } from './gpuMemory.js';
+import { downloadJSON, fileTimestamp } from './fileExport.js';
+import { getDeviceSummary } from './capabilities.js';
+
+// 'default' keeps whatever the glTF (or a manifest texture override) provides
+export const TEXTURE_FORMATS = ['default', 'ktx2', 'webp', 'png', 'jpg'];
+
+export const TEXTURE_SLOT_LABELS = {
+  baseColor: 'Base Color',
+  occlusionRoughnessMetallic: 'AORM',
+  normal: 'Normal'
+};
+
+export function getFormatName(format) {
+  return Object.keys(THREE).find((key) => key.endsWith('Format') && THREE[key] === format) || String(format);
+}
+
+function configureTexture(texture, slot) {
+  // glTF UVs expect unflipped textures
+  texture.flipY = false;
+  texture.colorSpace = slot === 'baseColor' ? THREE.SRGBColorSpace : THREE.NoColorSpace;
+  texture.wrapS = THREE.RepeatWrapping;
+  texture.wrapT = THREE.RepeatWrapping;
+  texture.needsUpdate = true;
+  return texture;
+}
+
+function parseKTX2(ktx2Loader, buffer) {
+  return new Promise((resolve, reject) => ktx2Loader.parse(buffer, resolve, reject));
+}
+
+/**
+ * Fetches, decodes and uploads one texture variant, timing each stage separately:
+ * download (network + body), decode (image decode or Basis transcode in the worker)
+ * and upload (renderer.initTexture, which pushes the texture to the GPU).
+ */
+export async function loadTextureVariant(url, slot, format, { ktx2Loader, renderer }) {
+  const metrics = { slot, format, url };
+
+  let start = performance.now();
+  // Bypass the HTTP cache so switching back and forth measures the network every time
+  const response = await fetch(url, { cache: 'no-store' });
+  if (!response.ok) {
+    throw new Error(`${url}: HTTP ${response.status}`);
+  }
+  const buffer = await response.arrayBuffer();
+  metrics.downloadMs = performance.now() - start;
+  metrics.fileBytes = buffer.byteLength;
+
+  start = performance.now();
+  let texture;
+  if (format === 'ktx2') {
+    texture = await parseKTX2(ktx2Loader, buffer);
+  } else {
+    const bitmap = await createImageBitmap(new Blob([buffer]), {
+      imageOrientation: 'none',
+      premultiplyAlpha: 'none',
+      colorSpaceConversion: 'none'
+    });
+    texture = new THREE.Texture(bitmap);
+  }
+  metrics.decodeMs = performance.now() - start;
+  configureTexture(texture, slot);
+
+  start = performance.now();
+  renderer.initTexture(texture);
+  metrics.uploadMs = performance.now() - start;
+
+  const image = texture.mipmaps?.[0] || texture.image;
+  metrics.width = image?.width || 0;
+  metrics.height = image?.height || 0;
+  metrics.gpuFormat = getFormatName(texture.format);
+  metrics.gpuBytes = estimateTextureBytes(texture);
+  ['downloadMs', 'decodeMs', 'uploadMs'].forEach((key) => {
+    metrics[key] = Math.round(metrics[key] * 100) / 100;
+  });
+
+  return { texture, metrics };
+}
+
+export function describeVariantMetrics(metrics) {
+  return `${metrics.format} ${formatBytes(metrics.fileBytes)} file, ${metrics.downloadMs} ms download, `
+    + `${metrics.decodeMs} ms decode, ${metrics.uploadMs} ms upload, ${formatBytes(metrics.gpuBytes)} GPU (${metrics.gpuFormat})`;
+}
+
+/**
+ * Keeps the loaded texture variants per LOD and slot together with their measurements.
+ * Variants are only loaded when a slot is switched away from 'default'. Each texture is
+ * tracked in the resource registry as 'variant:<lod>/<slot>', and variants no longer
+ * requested (e.g. of a LOD that is not shown any more) are released on the next update.
+ *
+ * Updates can overlap while a variant downloads; only the latest one applies its result,
+ * textures loaded for an older one are disposed on arrival.
+ */
+export function createTextureVariantStore({ getLoaders, resources, onVariantsChanged }) {
+  const textures = {};
+  const active = {};
+  const measurements = [];
+  const messages = {};
+  let generation = 0;
+
+  const getOwner = (lodKey, slot) => `variant:${lodKey}/${slot}`;
+
+  function getVariant(lodKey, slot) {
+    return textures[lodKey]?.[slot] || null;
+  }
+
+  function dropVariant(lodKey, slot) {
+    if (textures[lodKey]?.[slot]) {
+      resources.release(getOwner(lodKey, slot));
+      delete textures[lodKey][slot];
+      if (Object.keys(textures[lodKey]).length === 0) delete textures[lodKey];
+    }
+    delete active[`${lodKey}.${slot}`];
+  }
+
+  async function ensureVariant(lodKey, lodEntry, slot, format, requestGeneration) {
+    const url = lodEntry?.variants?.[slot]?.[format];
+    if (!url) {
+      messages[slot] = `${format} not available for ${lodKey}, using default`;
+      dropVariant(lodKey, slot);
+      return null;
+    }
+
+    const key = `${lodKey}.${slot}`;
+    if (active[key]?.url === url) return textures[lodKey][slot];
+
+    messages[slot] = `${format} loading…`;
+
+    const { texture, metrics } = await loadTextureVariant(url, slot, format, getLoaders());
+    if (requestGeneration !== generation) {
+      texture.dispose();
+      return null;
+    }
+    metrics.lod = lodKey;
+    metrics.measuredAt = new Date().toISOString();
+    measurements.push(metrics);
+
+    dropVariant(lodKey, slot);
+    textures[lodKey] = textures[lodKey] || {};
+    textures[lodKey][slot] = resources.track(getOwner(lodKey, slot), texture);
+    active[key] = metrics;
+    messages[slot] = describeVariantMetrics(metrics);
+    return texture;
+  }
+
+  // Releases the variants of every LOD and slot that is not requested any more
+  function dropUnrequested(requests) {
+    Object.entries(textures).forEach(([lodKey, slots]) => {
+      Object.keys(slots).forEach((slot) => {
+        const requested = requests.some((request) => request.lodKey === lodKey && request.slot === slot && request.format !== 'default');
+        if (!requested) dropVariant(lodKey, slot);
+      });
+    });
+  }
+
+  /**
+   * Loads the selected format for each requested { slot, format, lodKey, lodEntry },
+   * then lets the app rebind its materials.
+   */
+  async function update(requests) {
+    const requestGeneration = ++generation;
+    delete messages.error;
+    try {
+      for (const { slot, format, lodKey, lodEntry } of requests) {
+        if (format === 'default') {
+          messages[slot] = '';
+        } else {
+          await ensureVariant(lodKey, lodEntry, slot, format, requestGeneration);
+        }
+        // A newer update has taken over and rebinds the materials itself
+        if (requestGeneration !== generation) return;
+      }
+    } catch (error) {
+      if (requestGeneration !== generation) return;
+      console.error('Texture variant failed to load:', error);
+      messages.error = `Texture variant failed: ${error.message}`;
+    }
+    dropUnrequested(requests);
+    onVariantsChanged();
+  }
+
+  function clear() {
+    // Loads still in flight belong to the previous asset
+    generation++;
+    resources.releaseMatching('variant:');
+    Object.keys(textures).forEach((key) => delete textures[key]);
+    Object.keys(active).forEach((key) => delete active[key]);
+  }
+
+  return {
+    getVariant,
+    update,
+    clear,
+    getMessages: () => Object.entries(messages).filter(([, message]) => message),
+    getMeasurements: () => measurements,
+    downloadReport: () => downloadJSON(`texture-formats-${fileTimestamp()}.json`, {
+      userAgent: navigator.userAgent,
+      device: getDeviceSummary(),
+      measurements
+    })
+  };
+}
+
+export function setupTextureVariantsGUI(gui, texturesCtrl, onChange) {
+  const texturesFolder = gui.addFolder('Texture Formats');
+  Object.entries(TEXTURE_SLOT_LABELS).forEach(([slot, label]) => {
+    texturesFolder.add(texturesCtrl, slot, TEXTURE_FORMATS).name(label).onChange(onChange);
+  });
+  texturesFolder.add(texturesCtrl, 'downloadReport').name('Download Report');
+  return texturesFolder;
+}